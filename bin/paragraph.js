@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+/**
+ * paragraph — command-line front end for the skill's tools
+ *
+ *   paragraph <group> <command> [args...] [--param value ...] [--json | --table] [--profile name]
+ *
+ * Every tool has a subcommand (see COMMANDS); options are the tool's parameters from its JSON
+ * Schema (lib/schemas.js), so new parameters show up without touching this file.
+ * Exit status: 0 when the tool succeeds, 1 when it fails, 2 for usage errors.
+ */
+
+import { promises as fs } from "fs"
+import path from "path"
+import { configureAudit, tools } from "../skill.js"
+import { parseFrontMatter, postFromFrontMatter } from "../lib/frontmatter.js"
+
+/**
+ * Subcommands: "<group> <command> <required> [optional]" → tool
+ * Positional arguments fill the named parameters in order. `file` commands accept
+ * --file post.md (front-matter maps onto the post fields, as in publishFromFile).
+ */
+const COMMANDS = [
+  ["connection test", "paragraph_testConnection"],
+  ["ratelimit status", "paragraph_getRateLimitStatus"],
+  ["audit log", "paragraph_getAuditLog"],
+  ["profiles list", "paragraph_listProfiles"],
+  ["tools describe", "paragraph_describeTools"],
+  ["post create", "paragraph_createPost", { file: true }],
+  ["post validate", "paragraph_validatePost", { file: true }],
+  ["post get <postId>", "paragraph_getPost"],
+  ["post get-by-slug <publicationSlug> <postSlug>", "paragraph_getPostBySlug"],
+  ["post status <postId>", "paragraph_getPostStatus"],
+  ["post wait <postId>", "paragraph_waitForPost"],
+  ["post pending", "paragraph_listPendingPosts"],
+  ["newsletter preview", "paragraph_previewNewsletter", { file: true }],
+  ["newsletter log", "paragraph_getNewsletterLog"],
+  ["post list", "paragraph_listPosts"],
+  ["post by-tag <tag>", "paragraph_getPostsByTag"],
+  ["post search <query>", "paragraph_searchPosts"],
+  ["post index", "paragraph_refreshSearchIndex"],
+  ["post publish-file <filePath>", "paragraph_publishFromFile"],
+  ["post publish-dir <dir>", "paragraph_publishDirectory"],
+  ["draft save [draftId]", "paragraph_saveDraft", { file: true }],
+  ["draft list", "paragraph_listDrafts"],
+  ["draft preview <draftId>", "paragraph_previewDraft"],
+  ["draft publish <draftId>", "paragraph_publishDraft"],
+  ["schedule create", "paragraph_schedulePost", { file: true }],
+  ["schedule list", "paragraph_listScheduled"],
+  ["schedule cancel <scheduleId>", "paragraph_cancelScheduled"],
+  ["schedule run", "paragraph_runScheduled"],
+  ["series publish", "paragraph_publishSeries"],
+  ["series list", "paragraph_listSeries"],
+  ["publication get <slug>", "paragraph_getPublication"],
+  ["publication get-by-domain <domain>", "paragraph_getPublicationByDomain"],
+  ["publication mine", "paragraph_getMyPublication"],
+  ["publication stats", "paragraph_publicationStats"],
+  ["publication export", "paragraph_exportPublication"],
+  ["subscribers add", "paragraph_addSubscriber"],
+  ["subscribers list", "paragraph_listSubscribers"],
+  ["subscribers import <csvPath>", "paragraph_importSubscribers"],
+  ["subscribers count <publicationId>", "paragraph_getSubscriberCount"],
+  ["subscribers sync-holders", "paragraph_syncHoldersToSubscribers"],
+  ["subscribers sync-log", "paragraph_getHolderSyncLog"],
+  ["coin get <coinId>", "paragraph_getCoin"],
+  ["coin get-by-contract <contractAddress>", "paragraph_getCoinByContract"],
+  ["coin popular", "paragraph_getPopularCoins"],
+  ["coin holders <coinId>", "paragraph_listCoinHolders"],
+  ["coin report <coinId>", "paragraph_coinReport"],
+  ["coin snapshots <coinId>", "paragraph_listCoinSnapshots"],
+  ["coin diff <coinId>", "paragraph_diffCoinSnapshots"],
+  ["user get <userId>", "paragraph_getUser"],
+  ["user by-wallet <walletAddress>", "paragraph_getUserByWallet"],
+  ["feed list", "paragraph_getFeed"]
+].map(([usage, tool, options = {}]) => {
+  const [group, command, ...args] = usage.split(" ")
+  return {
+    usage,
+    group,
+    command,
+    tool,
+    args: args.map(arg => ({ name: arg.slice(1, -1), required: arg.startsWith("<") })),
+    file: !!options.file
+  }
+})
+
+// Options handled by the CLI itself rather than passed to the tool
+const GLOBAL_OPTIONS = ["json", "table", "help", "profile"]
+
+class UsageError extends Error {}
+
+/**
+ * A command's parameters: the properties of its tool's JSON Schema
+ */
+const parameters = (entry) => tools[entry.tool].schema.parameters.properties
+
+const typesOf = (schema) => [].concat(schema.type || [])
+
+const camelCase = (name) => name.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase())
+const kebabCase = (name) => name.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)
+
+/**
+ * Convert an option string to the parameter's schema type
+ * Object/array parameters take JSON (arrays also a comma-separated list). Values that don't
+ * parse are passed on unchanged for the tool's schema check to report.
+ */
+function coerce(value, schema) {
+  const types = typesOf(schema)
+  if (typeof value === "boolean") return value
+  if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true"
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && !Number.isNaN(Number(value))) {
+    return Number(value)
+  }
+  if (types.includes("string") || !types.some(type => type === "object" || type === "array")) return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return types.includes("array") ? value.split(",").map(item => item.trim()).filter(Boolean) : value
+  }
+}
+
+/**
+ * Parse `--name value`, `--name=value`, `--flag` and `--no-flag` options plus positionals
+ * Boolean parameters never consume the next argument.
+ */
+function parseOptions(argv, booleans) {
+  const positionals = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1))
+      break
+    }
+    if (arg === "-h") {
+      options.help = true
+      continue
+    }
+    if (!arg.startsWith("--")) {
+      positionals.push(arg)
+      continue
+    }
+    const [flag, inline] = arg.slice(2).split(/=(.*)/s)
+    const name = camelCase(flag)
+    if (inline !== undefined) {
+      options[name] = inline
+    } else if (flag.startsWith("no-") && !booleans.has(name)) {
+      options[camelCase(flag.slice(3))] = false
+    } else if (booleans.has(name) || argv[i + 1] === undefined || argv[i + 1].startsWith("--")) {
+      options[name] = true
+    } else {
+      options[name] = argv[++i]
+    }
+  }
+  return { positionals, options }
+}
+
+/**
+ * Find the subcommand for the leading words
+ * A tool name (with or without the "paragraph_" prefix) also works as a command.
+ */
+function findCommand(words) {
+  const [group, command] = words
+  const match = COMMANDS.find(c => c.group === group && c.command === command)
+  if (match) return { entry: match, consumed: 2 }
+
+  const toolName = group?.startsWith("paragraph_") ? group : `paragraph_${group}`
+  if (tools[toolName]) {
+    const entry = COMMANDS.find(c => c.tool === toolName) || { usage: toolName, tool: toolName, args: [], file: false }
+    return { entry: { ...entry, usage: `${group} ${entry.args.map(a => a.required ? `<${a.name}>` : `[${a.name}]`).join(" ")}`.trim() }, consumed: 1 }
+  }
+  return null
+}
+
+/**
+ * Build the tool's argument object from positionals and options
+ */
+async function buildParams(entry, positionals, options) {
+  const properties = parameters(entry)
+  const result = {}
+
+  if (positionals.length > entry.args.length) {
+    throw new UsageError(`Unexpected argument "${positionals[entry.args.length]}"`)
+  }
+  entry.args.forEach((arg, i) => {
+    if (positionals[i] !== undefined) result[arg.name] = positionals[i]
+    else if (arg.required && options[arg.name] === undefined) throw new UsageError(`Missing <${arg.name}>`)
+  })
+
+  // --file post.md: front-matter and body fill the post fields; explicit options win
+  if (entry.file && options.file !== undefined) {
+    if (typeof options.file !== "string") throw new UsageError("--file expects a path")
+    const filePath = path.resolve(options.file)
+    const { data, body } = parseFrontMatter(await fs.readFile(filePath, "utf8"))
+    Object.assign(result, postFromFrontMatter(data, body))
+    if (properties.baseDir) result.baseDir = path.dirname(filePath)
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    if (name === "file" && entry.file) continue
+    if (name === "profile") {
+      result.profile = value
+      continue
+    }
+    if (GLOBAL_OPTIONS.includes(name)) continue
+    if (!properties[name]) {
+      throw new UsageError(`Unknown option --${kebabCase(name)} for "${entry.usage.split(" <")[0].split(" [")[0]}"`)
+    }
+    result[name] = coerce(value, properties[name])
+  }
+  return result
+}
+
+/**
+ * Render one table cell: scalars as text, objects as compact JSON, long values truncated
+ */
+function cell(value) {
+  if (value === null || value === undefined) return ""
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value)
+  const line = text.replace(/\s+/g, " ")
+  return line.length > 60 ? `${line.slice(0, 59)}…` : line
+}
+
+/**
+ * Render rows as an aligned text table; columns are the union of the rows' keys
+ */
+function table(rows) {
+  if (!rows.length) return "(no results)"
+  const records = rows.map(row => row !== null && typeof row === "object" && !Array.isArray(row) ? row : { value: row })
+  const columns = [...new Set(records.flatMap(Object.keys))]
+  const cells = records.map(record => columns.map(column => cell(record[column])))
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)))
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd()
+  return [line(columns), line(widths.map(w => "-".repeat(w))), ...cells.map(line)].join("\n")
+}
+
+/**
+ * Human-readable output: lists (arrays or `{ items, nextCursor }` pages) become tables,
+ * objects become key/value tables
+ */
+function formatTable(data) {
+  if (Array.isArray(data)) return table(data)
+  if (data !== null && typeof data === "object") {
+    if (Array.isArray(data.items)) {
+      const { items, ...meta } = data
+      const footer = Object.entries(meta)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}: ${cell(value)}`)
+      return [table(items), ...(footer.length ? ["", ...footer] : [])].join("\n")
+    }
+    return table(Object.entries(data).map(([key, value]) => ({ key, value })))
+  }
+  return String(data)
+}
+
+/**
+ * Usage text: every command, or one command's parameters
+ */
+function usage(entry) {
+  if (!entry) {
+    const width = Math.max(...COMMANDS.map(c => c.usage.length))
+    return [
+      "Usage: paragraph <group> <command> [args...] [--param value ...] [--json | --table] [--profile name]",
+      "",
+      "Commands:",
+      ...COMMANDS.map(c => `  ${c.usage.padEnd(width)}  ${c.tool}`),
+      "",
+      "Options are the tool's parameters in kebab-case (--max-items 50, --no-send-welcome-email).",
+      "Run `paragraph <group> <command> --help` for a command's options."
+    ].join("\n")
+  }
+  const schema = tools[entry.tool].schema
+  const positional = new Set(entry.args.map(a => a.name))
+  const lines = [`Usage: paragraph ${entry.usage} [options]`, "", `${schema.description} (${entry.tool}).`, "", "Options:"]
+  for (const [name, property] of Object.entries(schema.parameters.properties)) {
+    if (positional.has(name)) continue
+    const detail = [
+      typesOf(property).join("|") || property.enum?.join("|"),
+      schema.parameters.required.includes(name) && "required",
+      property.default !== undefined && `default ${property.default}`
+    ].filter(Boolean).join(", ")
+    lines.push(`  --${kebabCase(name)}  (${detail})${property.description ? ` ${property.description}` : ""}`)
+  }
+  if (entry.file) lines.push("  --file  (path) Markdown file; front-matter sets title, subtitle, slug, categories, ...")
+  lines.push("  --profile  (string) Named profile from the profiles file", "  --json | --table  Output format")
+  return lines.join("\n")
+}
+
+/**
+ * Send the stdout audit sink (PARAGRAPH_AUDIT=stdout) to stderr, so stdout only ever holds the
+ * command's output and `--json` stays parseable
+ */
+function keepStdoutForResults() {
+  const sinks = (process.env.PARAGRAPH_AUDIT || "").split(",").map(sink => sink.trim())
+  if (!sinks.includes("stdout")) return
+  configureAudit({
+    sinks: sinks.map(sink => sink === "stdout" ? event => process.stderr.write(`${JSON.stringify(event)}\n`) : sink)
+  })
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  keepStdoutForResults()
+  const words = argv.slice(0, 2).filter(word => !word.startsWith("-"))
+  if (!words.length || words[0] === "help") {
+    const found = words[0] === "help" ? findCommand(argv.slice(1)) : null
+    process.stdout.write(`${usage(found?.entry)}\n`)
+    return 0
+  }
+
+  const found = findCommand(words)
+  try {
+    if (!found) throw new UsageError(`Unknown command "${words.join(" ")}"`)
+    const { entry, consumed } = found
+    const booleans = new Set(Object.entries(parameters(entry)).filter(([, schema]) => schema.type === "boolean").map(([name]) => name))
+    booleans.add("json").add("table").add("help")
+    const { positionals, options } = parseOptions(argv.slice(consumed), booleans)
+    if (options.help) {
+      process.stdout.write(`${usage(entry)}\n`)
+      return 0
+    }
+    if (options.json && options.table) throw new UsageError("Use either --json or --table")
+    const params = await buildParams(entry, positionals, options)
+
+    const result = await tools[entry.tool](params)
+
+    const asJson = options.json || (!options.table && !process.stdout.isTTY)
+    if (asJson) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`)
+    } else if (result.success) {
+      process.stdout.write(`${formatTable(result.data)}\n`)
+    } else {
+      process.stderr.write(`Error [${result.code}]: ${result.error}\n`)
+    }
+    return result.success ? 0 : 1
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error
+    process.stderr.write(`paragraph: ${error.message}\nRun \`paragraph help\` for usage.\n`)
+    return 2
+  }
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code },
+  error => {
+    process.stderr.write(`paragraph: ${error.message}\n`)
+    process.exitCode = 1
+  }
+)
@@ -0,0 +1,137 @@
+/**
+ * Audit trail: structured events for tool calls and log lines, and the sinks they go to
+ * Events are plain JSON objects; a sink is any function taking one event. Arguments are
+ * redacted before they are recorded: secrets removed, emails masked, long values cut short.
+ */
+
+import { promises as fs } from "fs"
+import path from "path"
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"]
+
+const SECRET_KEY = /apikey|api_key|secret|password|token|authorization/i
+const EMAIL = /^([^@\s])[^@\s]*@([^@\s]+\.[^@\s]+)$/
+const MAX_STRING = 200
+const MAX_ITEMS = 20
+const MAX_DEPTH = 4
+const MAX_RESULT_IDS = 20
+const ID_KEY = /^(id|[a-z]+Id)$/
+// Lists whose items' ids count as result ids
+const RESULT_LISTS = ["items", "parts", "results", "published", "entries", "added"]
+
+/**
+ * Copy of a tool's arguments that is safe to keep: secret-looking keys replaced, emails masked,
+ * strings over MAX_STRING characters and arrays over MAX_ITEMS items shortened
+ */
+export function redact(value, key = "", depth = 0) {
+  if (key && SECRET_KEY.test(key) && value !== undefined && value !== null) return "[redacted]"
+  if (typeof value === "string") {
+    const email = value.match(EMAIL)
+    if (email) return `${email[1]}***@${email[2]}`
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (+${value.length - MAX_STRING} chars)` : value
+  }
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) return `[${value.byteLength} bytes]`
+  if (typeof value === "function") return "[function]"
+  if (!value || typeof value !== "object") return value
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[${value.length} items]` : "[object]"
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ITEMS).map(item => redact(item, "", depth + 1))
+    if (value.length > MAX_ITEMS) items.push(`… (+${value.length - MAX_ITEMS} more)`)
+    return items
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1)]))
+}
+
+/**
+ * Ids a tool returned: `id` / `<name>Id` fields at the top level and on the items of its lists
+ */
+export function resultIds(data) {
+  const ids = new Set()
+  const collect = (object) => {
+    if (!object || typeof object !== "object" || Array.isArray(object)) return
+    for (const [key, value] of Object.entries(object)) {
+      if (ID_KEY.test(key) && (typeof value === "string" || typeof value === "number")) ids.add(String(value))
+    }
+  }
+  const lists = Array.isArray(data) ? [data] : RESULT_LISTS.map(key => data?.[key]).filter(Array.isArray)
+  collect(data)
+  for (const list of lists) list.slice(0, MAX_RESULT_IDS).forEach(collect)
+  return [...ids].slice(0, MAX_RESULT_IDS)
+}
+
+// Appends per file, in order, so a rotation never races a write
+const appendQueues = new Map()
+
+/**
+ * Append one event to a JSONL file; once the file passes maxBytes it is moved to
+ * "<name>.1.jsonl" (replacing the previous one) and a new file is started
+ */
+export function appendJsonl(file, event, { maxBytes } = {}) {
+  const previous = appendQueues.get(file) || Promise.resolve()
+  const next = previous.then(async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true })
+    if (maxBytes) {
+      const size = await fs.stat(file).then(stat => stat.size, () => 0)
+      if (size >= maxBytes) await fs.rename(file, rotatedFile(file))
+    }
+    await fs.appendFile(file, JSON.stringify(event) + "\n")
+  })
+  const settled = next.catch(() => {})
+  appendQueues.set(file, settled)
+  settled.then(() => { if (appendQueues.get(file) === settled) appendQueues.delete(file) })
+  return next
+}
+
+/**
+ * Path the rotated copy of a JSONL file is kept at
+ */
+export function rotatedFile(file) {
+  return file.replace(/(\.jsonl)?$/, ".1.jsonl")
+}
+
+/**
+ * Events from a JSONL file and its rotated copy, oldest first
+ * Lines that don't parse (e.g. cut off by a crash) are skipped.
+ */
+export async function readJsonl(file) {
+  const events = []
+  for (const name of [rotatedFile(file), file]) {
+    let text
+    try {
+      text = await fs.readFile(name, "utf8")
+    } catch (e) {
+      if (e.code === "ENOENT") continue
+      throw e
+    }
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue
+      try {
+        events.push(JSON.parse(line))
+      } catch {
+        // Partial line
+      }
+    }
+  }
+  return events
+}
+
+/**
+ * Events matching every given filter
+ * @param {Object} filters - type, tool, callId, success, level (at or above), since, until (ISO dates)
+ */
+export function filterEvents(events, { type, tool, callId, success, level, since, until } = {}) {
+  const minLevel = level ? LOG_LEVELS.indexOf(level) : -1
+  const start = since ? Date.parse(since) : null
+  const end = until ? Date.parse(until) : null
+  return events.filter(event => {
+    if (type && event.type !== type) return false
+    if (tool && event.tool !== tool) return false
+    if (callId && event.callId !== callId) return false
+    if (success !== undefined && success !== null && event.success !== success) return false
+    if (minLevel >= 0 && (event.type !== "log" || LOG_LEVELS.indexOf(event.level) < minLevel)) return false
+    const at = Date.parse(event.at)
+    if (start !== null && at < start) return false
+    if (end !== null && at > end) return false
+    return true
+  })
+}
@@ -0,0 +1,76 @@
+/**
+ * Response cache backends for GET requests
+ * Entries are `{ group, body, etag, storedAt, expiresAt }`; `group` names the endpoint family
+ * (e.g. "feed", "subscribers") so writes can invalidate every cached page of a list at once.
+ * Both backends share one async interface: get(key), set(key, entry), invalidate(groups), clear().
+ */
+
+import { promises as fs } from "fs"
+import path from "path"
+
+/**
+ * In-process cache (lost when the process exits)
+ * Bodies are cloned on the way in and out so callers can't mutate cached data.
+ */
+export function createMemoryCache() {
+  const entries = new Map()
+  return {
+    async get(key) {
+      const entry = entries.get(key)
+      return entry ? structuredClone(entry) : null
+    },
+    async set(key, entry) {
+      entries.set(key, structuredClone(entry))
+    },
+    async invalidate(groups) {
+      for (const [key, entry] of entries) {
+        if (groups.includes(entry.group)) entries.delete(key)
+      }
+    },
+    async clear() {
+      entries.clear()
+    }
+  }
+}
+
+/**
+ * On-disk cache: one JSON file per entry, named "<group>-<key>.json", so it survives restarts
+ * and invalidation only has to look at file names
+ * @param {string} dir - Cache directory (created on first write)
+ */
+export function createDiskCache(dir) {
+  const file = (key) => path.join(dir, `${key}.json`)
+  const removeWhere = async (match) => {
+    let names
+    try {
+      names = await fs.readdir(dir)
+    } catch (e) {
+      if (e.code === "ENOENT") return
+      throw e
+    }
+    await Promise.all(names.filter(match).map(name => fs.rm(path.join(dir, name), { force: true })))
+  }
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(file(key), "utf8"))
+      } catch (e) {
+        // Missing or half-written entries are plain cache misses
+        return null
+      }
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true })
+      const tmp = `${file(key)}.${process.pid}.tmp`
+      await fs.writeFile(tmp, JSON.stringify(entry))
+      await fs.rename(tmp, file(key))
+    },
+    async invalidate(groups) {
+      await removeWhere(name => groups.some(group => name.startsWith(`${group}-`)))
+    },
+    async clear() {
+      await removeWhere(name => name.endsWith(".json"))
+    }
+  }
+}
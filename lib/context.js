@@ -0,0 +1,10 @@
+/**
+ * Client context for tool calls
+ * Tools for a specific client (createParagraphClient, `profile` argument) run inside
+ * clientContext.run(client, ...), so request(), publication discovery and the local
+ * state store pick up that client's settings without threading them through every call.
+ */
+
+import { AsyncLocalStorage } from "async_hooks"
+
+export const clientContext = new AsyncLocalStorage()
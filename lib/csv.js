@@ -0,0 +1,69 @@
+/**
+ * Small RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>} Rows with their 1-based starting line; blank lines are skipped
+ */
+export function parseCsv(text) {
+  const rows = []
+  let fields = []
+  let field = ""
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  const endRow = () => {
+    fields.push(field)
+    if (fields.length > 1 || fields[0].trim() !== "") rows.push({ line: rowLine, fields })
+    fields = []
+    field = ""
+  }
+
+  const input = text.replace(/^\uFEFF/, "")
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i]
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        if (ch === "\n") line++
+        field += ch
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true
+    } else if (ch === ",") {
+      fields.push(field)
+      field = ""
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++
+      endRow()
+      line++
+      rowLine = line
+    } else {
+      field += ch
+    }
+  }
+  if (field !== "" || fields.length) endRow()
+  return rows
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialize rows (arrays of values) to CSV text with a trailing newline
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(",")).join("\n") + "\n"
+}
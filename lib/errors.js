@@ -0,0 +1,147 @@
+/**
+ * Typed errors for tool responses
+ * Every failure maps to a stable `code` so agents can branch on it instead of matching
+ * message text; wrapTool copies the fields below into the `{ success: false, ... }` envelope.
+ */
+
+/**
+ * Stable error codes
+ * - VALIDATION_ERROR: bad arguments or post fields (HTTP 400/422, schema and pre-publish checks)
+ * - AUTH_FAILED: API key rejected (HTTP 401/403)
+ * - NOT_FOUND: resource, draft, scheduled post or file does not exist (HTTP 404/410)
+ * - CONFLICT: the operation clashes with current state (already published, pending attempt, HTTP 409)
+ * - RATE_LIMITED: HTTP 429; see retryAfter
+ * - TIMEOUT: no response in time (HTTP 408 or the request timeout)
+ * - NETWORK: the request never reached the API
+ * - UPSTREAM: the API failed or answered unexpectedly (5xx and other statuses)
+ * - CONFIG_ERROR: missing API key, profile or publication configuration
+ * - POLICY_VIOLATION: blocked by a local safeguard (newsletter confirmation, daily limit, blackout hours)
+ * - INTERNAL_ERROR: anything else
+ */
+export const ERROR_CODES = [
+  "VALIDATION_ERROR",
+  "AUTH_FAILED",
+  "NOT_FOUND",
+  "CONFLICT",
+  "RATE_LIMITED",
+  "TIMEOUT",
+  "NETWORK",
+  "UPSTREAM",
+  "CONFIG_ERROR",
+  "POLICY_VIOLATION",
+  "INTERNAL_ERROR"
+]
+
+// HTTP statuses worth retrying (rate limits, transient server errors)
+export const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504])
+
+const STATUS_CODES = {
+  400: "VALIDATION_ERROR",
+  401: "AUTH_FAILED",
+  403: "AUTH_FAILED",
+  404: "NOT_FOUND",
+  408: "TIMEOUT",
+  409: "CONFLICT",
+  410: "NOT_FOUND",
+  422: "VALIDATION_ERROR",
+  429: "RATE_LIMITED"
+}
+
+/**
+ * Error with a stable code and HTTP context
+ */
+export class ParagraphError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   * @param {string} [fields.code] - One of ERROR_CODES (default INTERNAL_ERROR)
+   * @param {number} [fields.status] - HTTP status
+   * @param {boolean} [fields.retryable] - Trying again later may succeed
+   * @param {number} [fields.retryAfter] - Milliseconds to wait before retrying, when the API said so
+   * @param {string} [fields.endpoint] - "METHOD /path" of the failed request
+   * @param {Array} [fields.details] - Per-field issues ({ field, message })
+   * @param {Error} [fields.cause]
+   */
+  constructor(message, { code = "INTERNAL_ERROR", status = null, retryable = false, retryAfter = null, endpoint = null, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = "ParagraphError"
+    this.code = code
+    this.status = status
+    this.retryable = retryable
+    this.retryAfter = retryAfter
+    this.endpoint = endpoint
+    if (details) this.details = details
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Error code for an HTTP status
+ */
+export function codeForStatus(status) {
+  return STATUS_CODES[status] || "UPSTREAM"
+}
+
+/**
+ * Error for a non-2xx response; the message comes from the JSON body when there is one
+ * @param {Response} response
+ * @param {string} endpoint - "METHOD /path"
+ * @returns {Promise<ParagraphError>}
+ */
+export async function httpError(response, endpoint) {
+  let message = `HTTP ${response.status} ${response.statusText}`
+  try {
+    const data = await response.json()
+    message = data.msg || data.message || data.error || message
+  } catch (e) {}
+  return new ParagraphError(message, {
+    code: codeForStatus(response.status),
+    status: response.status,
+    retryable: RETRYABLE_STATUSES.has(response.status),
+    retryAfter: parseRetryAfter(response.headers.get("retry-after")),
+    endpoint
+  })
+}
+
+/**
+ * Error for a fetch() that threw: TIMEOUT when aborted by the request timeout, NETWORK otherwise
+ * @param {Error} e - What fetch threw
+ * @param {number|null} timeoutMs
+ * @param {string} endpoint - "METHOD /path"
+ */
+export function fetchError(e, timeoutMs, endpoint) {
+  const timedOut = e.name === "AbortError"
+  return new ParagraphError(
+    timedOut ? `Request timed out after ${timeoutMs}ms` : `Network error: ${e.cause?.message || e.message}`,
+    { code: timedOut ? "TIMEOUT" : "NETWORK", retryable: true, endpoint, cause: e }
+  )
+}
+
+/**
+ * Structured fields for a failed tool's envelope
+ * Errors from outside the skill (e.g. file system errors) get a best-effort code.
+ * @returns {{ code: string, status: number|null, retryable: boolean, retryAfter: number|null, endpoint: string|null }}
+ */
+export function errorFields(error) {
+  let code = "INTERNAL_ERROR"
+  if (error instanceof ParagraphError) code = error.code
+  else if (error?.code === "ENOENT") code = "NOT_FOUND"
+  return {
+    code,
+    status: error?.status ?? null,
+    retryable: !!error?.retryable,
+    retryAfter: error?.retryAfter ?? null,
+    endpoint: error?.endpoint ?? null
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * YAML front-matter for markdown files
+ * Emits a conservative YAML subset: strings are double-quoted (JSON escapes are valid YAML),
+ * arrays use flow style and nested objects are indented blocks. Parses the subset writers
+ * commonly use (see parseFrontMatter); no external YAML dependency.
+ */
+
+/**
+ * Serialize a scalar or array as a YAML value
+ */
+function yamlValue(value) {
+  if (Array.isArray(value)) return `[${value.map(yamlValue).join(", ")}]`
+  if (typeof value === "string") return JSON.stringify(value)
+  if (value instanceof Date) return JSON.stringify(value.toISOString())
+  return String(value)
+}
+
+/**
+ * Serialize an object as YAML lines, skipping null/undefined values
+ */
+function yamlLines(data, indent = "") {
+  const lines = []
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue
+    if (typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)) {
+      const nested = yamlLines(value, `${indent}  `)
+      if (nested.length) lines.push(`${indent}${key}:`, ...nested)
+    } else {
+      lines.push(`${indent}${key}: ${yamlValue(value)}`)
+    }
+  }
+  return lines
+}
+
+/**
+ * Build a markdown document with YAML front-matter
+ * @param {Object} data - Front-matter fields
+ * @param {string} body - Markdown body
+ * @returns {string}
+ */
+export function stringifyFrontMatter(data, body = "") {
+  return `---\n${yamlLines(data).join("\n")}\n---\n\n${body.replace(/^\n+/, "")}${body.endsWith("\n") ? "" : "\n"}`
+}
+
+/**
+ * Split a comma-separated flow sequence, respecting quotes
+ */
+function splitFlow(text) {
+  const items = []
+  let current = ""
+  let quote = null
+  for (const ch of text) {
+    if (quote) {
+      current += ch
+      if (ch === quote) quote = null
+    } else if (ch === '"' || ch === "'") {
+      quote = ch
+      current += ch
+    } else if (ch === ",") {
+      items.push(current)
+      current = ""
+    } else {
+      current += ch
+    }
+  }
+  if (current.trim()) items.push(current)
+  return items.map(item => parseScalar(item.trim()))
+}
+
+/**
+ * Parse a YAML scalar (quoted or plain string, number, boolean, null, flow sequence)
+ */
+function parseScalar(text) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text)
+    } catch (e) {
+      return text.slice(1, -1)
+    }
+  }
+  if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'")
+  if (text.startsWith("[") && text.endsWith("]")) return splitFlow(text.slice(1, -1))
+  const plain = text.replace(/\s+#.*$/, "")
+  if (plain === "" || plain === "~" || plain === "null") return null
+  if (plain === "true") return true
+  if (plain === "false") return false
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain)
+  return plain
+}
+
+/**
+ * Parse an indented block of YAML mapping lines into an object
+ */
+function parseBlock(lines) {
+  const data = {}
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+    if (!line.trim() || line.trim().startsWith("#")) continue
+    const match = line.match(/^(\s*)([^:#\s][^:]*?):(?:\s+(.*))?$/)
+    if (!match) continue
+    const [, indent, key, rest = ""] = match
+
+    if (rest.trim()) {
+      data[key] = parseScalar(rest.trim())
+      continue
+    }
+
+    // Empty value: the following more-indented lines hold a list or a nested mapping
+    const child = []
+    while (i + 1 < lines.length && (!lines[i + 1].trim() || lines[i + 1].match(/^\s*/)[0].length > indent.length ||
+      (lines[i + 1].trim().startsWith("- ") && lines[i + 1].match(/^\s*/)[0].length === indent.length))) {
+      child.push(lines[++i])
+    }
+    const items = child.filter(l => l.trim())
+    if (!items.length) {
+      data[key] = null
+    } else if (items[0].trim().startsWith("-")) {
+      data[key] = items.map(l => parseScalar(l.trim().replace(/^-\s*/, "")))
+    } else {
+      const childIndent = items[0].match(/^\s*/)[0].length
+      data[key] = parseBlock(items.map(l => l.slice(childIndent)))
+    }
+  }
+  return data
+}
+
+// Front-matter fence: "---" line, YAML, "---" line
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/
+
+/**
+ * Parse a markdown document with optional YAML front-matter
+ * Supports the subset writers use: scalars, quoted strings, flow and block lists, nested maps.
+ * @param {string} text
+ * @returns {{ data: Object, body: string }}
+ */
+export function parseFrontMatter(text) {
+  const match = text.match(FRONT_MATTER)
+  if (!match) return { data: {}, body: text }
+  return { data: parseBlock(match[1].split(/\r?\n/)), body: text.slice(match[0].length).replace(/^\r?\n/, "") }
+}
+
+/**
+ * Set top-level front-matter fields in a document, keeping the rest of the file untouched
+ * Existing keys are replaced in place; new keys are appended (front-matter is created if missing).
+ * @param {string} text - Original document
+ * @param {Object} fields - Scalar fields to set
+ * @returns {string}
+ */
+export function setFrontMatterFields(text, fields) {
+  const match = text.match(FRONT_MATTER)
+  if (!match) return stringifyFrontMatter(fields, text)
+
+  const lines = match[1].split(/\r?\n/)
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue
+    const line = `${key}: ${yamlValue(value)}`
+    const index = lines.findIndex(l => l.startsWith(`${key}:`))
+    if (index >= 0) lines[index] = line
+    else lines.push(line)
+  }
+  return `---\n${lines.join("\n")}\n---\n${text.slice(match[0].length)}`
+}
+
+/**
+ * Map a markdown file's front-matter onto createPost fields
+ * Falls back to the first "# Heading" for the title (removing it from the body).
+ * Aliases: tags → categories, cover → imageUrl, preview → postPreview.
+ */
+export function postFromFrontMatter(data, body) {
+  let title = data.title
+  let markdown = body
+  if (!title) {
+    const heading = body.match(/^#\s+(.+)$/m)
+    if (heading) {
+      title = heading[1].trim()
+      markdown = body.replace(heading[0], "").replace(/^\s*\n/, "")
+    }
+  }
+
+  const post = {
+    title: title != null ? String(title) : undefined,
+    markdown,
+    subtitle: data.subtitle != null ? String(data.subtitle) : undefined,
+    slug: data.slug != null ? String(data.slug) : undefined,
+    categories: data.categories ?? data.tags ?? undefined,
+    imageUrl: data.imageUrl ?? data.cover ?? undefined,
+    postPreview: data.postPreview ?? data.preview ?? undefined,
+    sendNewsletter: data.sendNewsletter ?? undefined,
+    coin: data.coin ?? undefined
+  }
+  for (const key of Object.keys(post)) {
+    if (post[key] === undefined) delete post[key]
+  }
+  return post
+}
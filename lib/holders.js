@@ -0,0 +1,192 @@
+/**
+ * Coin holder analytics: concentration metrics, snapshot diffs and markdown reports
+ * Balances arrive as decimal strings (token units can exceed Number precision), so all
+ * arithmetic is done on BigInt fixed-point values and only shares become Numbers.
+ */
+
+const DECIMALS = 18
+const SCALE = 10n ** BigInt(DECIMALS)
+const SHARE_DIGITS = 6
+
+/**
+ * Parse a balance ("1000", "12.5", 42) into a fixed-point BigInt
+ * @returns {bigint}
+ */
+export function parseBalance(value) {
+  const text = String(value ?? "0").trim()
+  const match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/)
+  if (!match || (match[2] === "" && !match[3])) return 0n
+  const [, sign, whole, fraction = ""] = match
+  const amount = BigInt(whole || "0") * SCALE + BigInt(fraction.slice(0, DECIMALS).padEnd(DECIMALS, "0"))
+  return sign ? -amount : amount
+}
+
+/**
+ * Format a fixed-point BigInt back to a decimal string without trailing zeros
+ */
+export function formatBalance(amount) {
+  const negative = amount < 0n
+  const abs = negative ? -amount : amount
+  const whole = abs / SCALE
+  const fraction = (abs % SCALE).toString().padStart(DECIMALS, "0").replace(/0+$/, "")
+  return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`
+}
+
+/**
+ * part / total as a Number rounded to SHARE_DIGITS decimals (0 when total is 0)
+ */
+function ratio(part, total) {
+  if (total === 0n) return 0
+  const factor = 10n ** BigInt(SHARE_DIGITS)
+  return Number((part * factor) / total) / Number(factor)
+}
+
+/**
+ * Holders with a positive balance, largest first, keyed by lowercase wallet
+ */
+function positiveHolders(holders) {
+  return holders
+    .map(holder => ({ walletAddress: holder.walletAddress.toLowerCase(), amount: parseBalance(holder.balance) }))
+    .filter(holder => holder.amount > 0n)
+    .sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : a.walletAddress.localeCompare(b.walletAddress)))
+}
+
+/**
+ * Gini coefficient of the balances (0 = equal, approaching 1 = one holder owns everything)
+ * G = (2 * Σ i·x_i) / (n · Σ x) - (n + 1) / n with x sorted ascending and i starting at 1
+ */
+function gini(amounts, total) {
+  const n = BigInt(amounts.length)
+  if (n < 2n || total === 0n) return 0
+  const ascending = [...amounts].sort((a, b) => (a > b ? 1 : a < b ? -1 : 0))
+  let weighted = 0n
+  ascending.forEach((amount, i) => { weighted += BigInt(i + 1) * amount })
+  return ratio(2n * weighted - (n + 1n) * total, n * total)
+}
+
+/**
+ * Concentration metrics for a coin's holders
+ * Zero balances are ignored.
+ *
+ * @param {Array<{ walletAddress: string, balance: string }>} holders
+ * @param {Object} [options]
+ * @param {number} [options.topN=10] - How many of the largest holders to list and sum
+ * @returns {{ holderCount: number, totalBalance: string, gini: number, topN: number, topShare: number, topHolders: Array }}
+ */
+export function holderMetrics(holders, { topN = 10 } = {}) {
+  const sorted = positiveHolders(holders)
+  const total = sorted.reduce((sum, holder) => sum + holder.amount, 0n)
+  const top = sorted.slice(0, topN)
+  return {
+    holderCount: sorted.length,
+    totalBalance: formatBalance(total),
+    gini: gini(sorted.map(holder => holder.amount), total),
+    topN,
+    topShare: ratio(top.reduce((sum, holder) => sum + holder.amount, 0n), total),
+    topHolders: top.map((holder, i) => ({
+      rank: i + 1,
+      walletAddress: holder.walletAddress,
+      balance: formatBalance(holder.amount),
+      share: ratio(holder.amount, total)
+    }))
+  }
+}
+
+/**
+ * Compare two holder snapshots
+ * @param {{ id: string, takenAt: string, holders: Array }} from - Older snapshot
+ * @param {{ id: string, takenAt: string, holders: Array }} to - Newer snapshot
+ * @returns {Object} New holders, exits and balance changes (largest first) plus count/total deltas
+ */
+export function diffSnapshots(from, to) {
+  const before = new Map(positiveHolders(from.holders).map(holder => [holder.walletAddress, holder.amount]))
+  const after = new Map(positiveHolders(to.holders).map(holder => [holder.walletAddress, holder.amount]))
+  const bySize = (a, b) => (b.size > a.size ? 1 : b.size < a.size ? -1 : 0)
+
+  const newHolders = []
+  const changes = []
+  for (const [walletAddress, amount] of after) {
+    const previous = before.get(walletAddress)
+    if (previous === undefined) {
+      newHolders.push({ walletAddress, balance: formatBalance(amount), size: amount })
+    } else if (previous !== amount) {
+      const change = amount - previous
+      changes.push({
+        walletAddress,
+        before: formatBalance(previous),
+        after: formatBalance(amount),
+        change: formatBalance(change),
+        size: change < 0n ? -change : change
+      })
+    }
+  }
+  const exits = [...before]
+    .filter(([walletAddress]) => !after.has(walletAddress))
+    .map(([walletAddress, amount]) => ({ walletAddress, balance: formatBalance(amount), size: amount }))
+
+  const sum = (holders) => [...holders.values()].reduce((total, amount) => total + amount, 0n)
+  const strip = (items) => items.sort(bySize).map(({ size, ...item }) => item)
+  return {
+    from: { id: from.id, takenAt: from.takenAt },
+    to: { id: to.id, takenAt: to.takenAt },
+    holderCountChange: after.size - before.size,
+    totalBalanceChange: formatBalance(sum(after) - sum(before)),
+    newHolders: strip(newHolders),
+    exits: strip(exits),
+    changes: strip(changes)
+  }
+}
+
+const percent = (share) => `${(share * 100).toFixed(2)}%`
+const shortWallet = (wallet) => `${wallet.slice(0, 6)}…${wallet.slice(-4)}`
+const signed = (amount) => (amount.startsWith("-") ? amount : `+${amount}`)
+
+/**
+ * Markdown section for a snapshot diff
+ */
+export function renderSnapshotDiff(diff, { heading = "##" } = {}) {
+  const lines = [
+    `${heading} Changes since ${diff.from.takenAt.slice(0, 10)}`,
+    "",
+    `- Holders: ${diff.holderCountChange >= 0 ? "+" : ""}${diff.holderCountChange} (${diff.newHolders.length} new, ${diff.exits.length} exited)`,
+    `- Total balance: ${signed(diff.totalBalanceChange)}`,
+    `- Balance changes: ${diff.changes.length}`
+  ]
+  const table = (title, header, rows) => {
+    if (!rows.length) return
+    lines.push("", `**${title}**`, "", header, header.replace(/[^|]+/g, " --- "), ...rows)
+  }
+  table("New holders", "| Wallet | Balance |", diff.newHolders.map(h => `| \`${shortWallet(h.walletAddress)}\` | ${h.balance} |`))
+  table("Exits", "| Wallet | Previous balance |", diff.exits.map(h => `| \`${shortWallet(h.walletAddress)}\` | ${h.balance} |`))
+  table("Balance changes", "| Wallet | Before | After | Change |", diff.changes.map(h =>
+    `| \`${shortWallet(h.walletAddress)}\` | ${h.before} | ${h.after} | ${signed(h.change)} |`))
+  return lines.join("\n")
+}
+
+/**
+ * Markdown report for a coin (metrics, top holders and, when present, the diff)
+ * @param {{ coin: Object, takenAt: string, metrics: Object, diff?: Object }} report
+ */
+export function renderCoinReport({ coin, takenAt, metrics, diff }) {
+  const title = coin.ticker ? `${coin.name || coin.ticker} ($${coin.ticker.replace(/^\$/, "")})` : coin.name || coin.id
+  const lines = [
+    `# Holder report: ${title}`,
+    "",
+    `Snapshot taken ${takenAt.slice(0, 10)}${coin.contractAddress ? ` · contract \`${coin.contractAddress}\`` : ""}`,
+    "",
+    "| Metric | Value |",
+    "| --- | --- |",
+    `| Holders | ${metrics.holderCount} |`,
+    `| Total balance | ${metrics.totalBalance} |`,
+    `| Top ${metrics.topN} share | ${percent(metrics.topShare)} |`,
+    `| Gini coefficient | ${metrics.gini.toFixed(3)} |`
+  ]
+  if (metrics.topHolders.length) {
+    lines.push("", `## Top ${metrics.topHolders.length} holders`, "", "| # | Wallet | Balance | Share |", "| --- | --- | --- | --- |")
+    for (const holder of metrics.topHolders) {
+      lines.push(`| ${holder.rank} | \`${shortWallet(holder.walletAddress)}\` | ${holder.balance} | ${percent(holder.share)} |`)
+    }
+  }
+  if (diff) lines.push("", renderSnapshotDiff(diff))
+  return lines.join("\n") + "\n"
+}
@@ -0,0 +1,127 @@
+/**
+ * Local image handling for posts
+ * Finds local image files referenced by a post (cover imageUrl and markdown images) and
+ * rewrites those references once the files have been uploaded. Markdown can come from an
+ * untrusted source, so only image files (by extension and content) inside baseDir qualify.
+ */
+
+import { promises as fs } from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { extractMarkdownUrls, isLocalImageRef } from "./validate.js"
+
+// Content types for image uploads, by extension
+export const IMAGE_CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".avif": "image/avif"
+}
+
+// Leading bytes of each image format (SVG is text and checked separately)
+const MAGIC_BYTES = [
+  { contentType: "image/jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: "image/png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: "image/gif", test: (b) => /^GIF8[79]a/.test(b.subarray(0, 6).toString("latin1")) },
+  { contentType: "image/webp", test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+  { contentType: "image/avif", test: (b) => b.subarray(4, 8).toString("latin1") === "ftyp" && /^avi[fs]$/.test(b.subarray(8, 12).toString("latin1")) }
+]
+const SNIFF_BYTES = 1024
+
+/**
+ * Content type of an image from its leading bytes, or null when it is not a supported image
+ * @param {Buffer} buffer - At least the first few hundred bytes of the file
+ */
+export function sniffImageType(buffer) {
+  const match = MAGIC_BYTES.find(format => format.test(buffer))
+  if (match) return match.contentType
+  // SVG: optional BOM, XML declaration, doctype and comments, then an <svg> element
+  const text = buffer.subarray(0, SNIFF_BYTES).toString("utf8").replace(/^\uFEFF/, "")
+  return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text) ? "image/svg+xml" : null
+}
+
+/**
+ * Check that a local image may be uploaded: inside baseDir (after resolving symlinks), with an
+ * image extension, and with content that matches that extension
+ * @returns {Promise<{ contentType: string }|{ error: string }>}
+ */
+export async function checkImageFile(filePath, baseDir) {
+  let real, root
+  try {
+    real = await fs.realpath(filePath)
+  } catch (e) {
+    return { error: "not found" }
+  }
+  try {
+    root = await fs.realpath(baseDir)
+  } catch (e) {
+    return { error: `baseDir ${baseDir} not found` }
+  }
+  const relative = path.relative(root, real)
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) return { error: `outside baseDir ${root}` }
+
+  const contentType = IMAGE_CONTENT_TYPES[path.extname(real).toLowerCase()]
+  if (!contentType) return { error: `not an image file (allowed: ${Object.keys(IMAGE_CONTENT_TYPES).join(", ")})` }
+
+  let head
+  const handle = await fs.open(real, "r")
+  try {
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0)
+    head = buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+  const sniffed = sniffImageType(head)
+  if (sniffed !== contentType) return { error: `content is not ${contentType}` }
+  return { contentType }
+}
+
+/**
+ * Resolve a local image reference to an absolute path
+ * Markdown references may be URL-encoded (e.g. "my%20image.png").
+ */
+export function resolveImagePath(ref, baseDir) {
+  if (ref.startsWith("file:")) return fileURLToPath(ref)
+  let decoded = ref
+  try {
+    decoded = decodeURIComponent(ref)
+  } catch (e) {
+    // Keep the raw reference
+  }
+  return path.resolve(baseDir, decoded)
+}
+
+/**
+ * List the distinct local image references in a post
+ * @param {{ markdown?: string, imageUrl?: string }} post
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Array<{ ref: string, path: string, cover: boolean }>}
+ */
+export function findLocalImages({ markdown, imageUrl }, baseDir) {
+  const refs = new Map()
+  if (isLocalImageRef(imageUrl)) {
+    refs.set(imageUrl, { ref: imageUrl, path: resolveImagePath(imageUrl, baseDir), cover: true })
+  }
+  for (const { kind, url } of extractMarkdownUrls(markdown || "")) {
+    if (kind === "image" && isLocalImageRef(url) && !refs.has(url)) {
+      refs.set(url, { ref: url, path: resolveImagePath(url, baseDir), cover: false })
+    }
+  }
+  return [...refs.values()]
+}
+
+/**
+ * Replace image references in markdown using a ref → URL map
+ * Only image syntax is touched; links and code blocks are left alone.
+ */
+export function rewriteImageRefs(markdown, replacements) {
+  const parts = markdown.split(/(^\s*(?:```|~~~)[^\n]*\n[\s\S]*?^\s*(?:```|~~~)\s*$)/m)
+  return parts.map((part, i) => {
+    if (i % 2 === 1) return part // fenced code block
+    return part.replace(/(!\[[^\]]*\]\(\s*<?)([^)\s>]+)(>?(?:\s+["'][^"']*["'])?\s*\))/g, (match, open, ref, close) =>
+      replacements.has(ref) ? `${open}${replacements.get(ref)}${close}` : match)
+  }).join("")
+}
@@ -0,0 +1,117 @@
+/**
+ * Keccak-256 (the pre-standard SHA-3 variant used by Ethereum)
+ * Node's crypto only ships FIPS SHA3-256, which pads differently, so EIP-55
+ * address checksums need this small implementation.
+ */
+
+const MASK = (1n << 64n) - 1n
+const RATE = 136 // bytes, for a 256-bit output
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+]
+
+// Rotation offsets indexed by x + 5 * y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+]
+
+const rotl = (value, shift) => shift === 0 ? value : ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & MASK
+
+/**
+ * Keccak-f[1600] permutation over 25 64-bit lanes (in place)
+ */
+function keccakF(state) {
+  for (const rc of ROUND_CONSTANTS) {
+    // θ
+    const c = []
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1)
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d
+    }
+    // ρ and π
+    const b = new Array(25)
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y])
+      }
+    }
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ ((~b[((x + 1) % 5) + y] & MASK) & b[((x + 2) % 5) + y])
+      }
+    }
+    // ι
+    state[0] ^= rc
+  }
+}
+
+/**
+ * Keccak-256 digest as a lowercase hex string
+ * @param {string|Buffer|Uint8Array} input - Strings are UTF-8 encoded
+ */
+export function keccak256(input) {
+  const bytes = typeof input === "string" ? Buffer.from(input, "utf8") : Buffer.from(input)
+
+  // Keccak padding: 0x01 ... 0x80 up to a multiple of the rate
+  const padded = Buffer.alloc(Math.floor(bytes.length / RATE) * RATE + RATE)
+  bytes.copy(padded)
+  padded[bytes.length] ^= 0x01
+  padded[padded.length - 1] ^= 0x80
+
+  const state = new Array(25).fill(0n)
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let i = 0; i < RATE / 8; i++) {
+      state[i] ^= padded.readBigUInt64LE(offset + i * 8)
+    }
+    keccakF(state)
+  }
+
+  const out = Buffer.alloc(32)
+  for (let i = 0; i < 4; i++) out.writeBigUInt64LE(state[i], i * 8)
+  return out.toString("hex")
+}
+
+/**
+ * EIP-55 checksummed form of an EVM address
+ * @param {string} address - 0x-prefixed, 40 hex chars (any case)
+ */
+export function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase()
+  const hash = keccak256(hex)
+  let result = "0x"
+  for (let i = 0; i < hex.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i]
+  }
+  return result
+}
+
+/**
+ * Validate an EVM wallet address
+ * All-lowercase or all-uppercase addresses carry no checksum and only need the right shape;
+ * mixed-case addresses must match their EIP-55 checksum.
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function checkWalletAddress(address) {
+  if (typeof address !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return { valid: false, reason: "must be 0x followed by 40 hex characters" }
+  }
+  const hex = address.slice(2)
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return { valid: true }
+  return toChecksumAddress(address) === address
+    ? { valid: true }
+    : { valid: false, reason: "checksum mismatch (EIP-55); check for a typo" }
+}
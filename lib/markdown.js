@@ -0,0 +1,149 @@
+/**
+ * Minimal Markdown → HTML renderer for local previews
+ * Covers what agent-written posts use: headings, paragraphs, lists, blockquotes,
+ * fenced code, rules, emphasis, inline code, links and images. Not a full CommonMark parser.
+ */
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+/**
+ * Whether a link or image target is safe to render: http(s), mailto or relative
+ * (anything before the first "/", "?" or "#" that ends in ":" is a scheme)
+ */
+function isSafeUrl(url) {
+  const scheme = url.match(/^([^/?#]*?):/)
+  return !scheme || /^(https?|mailto)$/i.test(scheme[1])
+}
+
+/**
+ * Render inline markup (code spans first so their contents stay literal)
+ * Links and images with any other scheme (javascript:, data:, ...) render as their text.
+ */
+function renderInline(text) {
+  const codeSpans = []
+  let out = text.replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(`<code>${escapeHtml(code)}</code>`)
+    return `\u0000${codeSpans.length - 1}\u0000`
+  })
+
+  out = escapeHtml(out)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (_, alt, src, title) =>
+      isSafeUrl(src) ? `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ""}>` : alt)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (_, label, href, title) =>
+      isSafeUrl(href) ? `<a href="${href}"${title ? ` title="${title}"` : ""}>${label}</a>` : label)
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(?<!\w)__(?=\S)(.+?)(?<=\S)__(?!\w)/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, "<em>$1</em>")
+    .replace(/(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "<em>$1</em>")
+    .replace(/~~(.+?)~~/g, "<del>$1</del>")
+
+  return out.replace(/\u0000(\d+)\u0000/g, (_, i) => codeSpans[Number(i)])
+}
+
+/**
+ * Render a Markdown document to an HTML fragment
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderMarkdown(markdown) {
+  const lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n")
+  const html = []
+  let paragraph = []
+  let list = null // { tag: "ul" | "ol", items: [] }
+  let quote = []
+
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${renderInline(paragraph.join(" "))}</p>`)
+    paragraph = []
+  }
+  const flushList = () => {
+    if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join("")}</${list.tag}>`)
+    list = null
+  }
+  const flushQuote = () => {
+    if (quote.length) html.push(`<blockquote>${renderMarkdown(quote.join("\n"))}</blockquote>`)
+    quote = []
+  }
+  const flushAll = () => {
+    flushParagraph()
+    flushList()
+    flushQuote()
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    const fence = line.match(/^\s*(```|~~~)\s*([\w-]*)/)
+    if (fence) {
+      flushAll()
+      const code = []
+      i++
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i])
+        i++
+      }
+      const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : ""
+      html.push(`<pre><code${lang}>${escapeHtml(code.join("\n"))}</code></pre>`)
+      continue
+    }
+
+    if (/^\s*>/.test(line)) {
+      flushParagraph()
+      flushList()
+      quote.push(line.replace(/^\s*>\s?/, ""))
+      continue
+    }
+    flushQuote()
+
+    if (!line.trim()) {
+      flushParagraph()
+      flushList()
+      continue
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/)
+    if (heading) {
+      flushAll()
+      const level = heading[1].length
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`)
+      continue
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushAll()
+      html.push("<hr>")
+      continue
+    }
+
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/)
+    if (item) {
+      flushParagraph()
+      const tag = /\d/.test(item[1]) ? "ol" : "ul"
+      if (list && list.tag !== tag) flushList()
+      if (!list) list = { tag, items: [] }
+      list.items.push(item[2])
+      continue
+    }
+
+    if (list && /^\s+\S/.test(line)) {
+      // Continuation of the previous list item
+      list.items[list.items.length - 1] += ` ${line.trim()}`
+      continue
+    }
+
+    flushList()
+    paragraph.push(line.trim())
+  }
+
+  flushAll()
+  return html.join("\n")
+}
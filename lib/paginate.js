@@ -0,0 +1,70 @@
+/**
+ * Cursor pagination shared by the list tools
+ * Paragraph list endpoints answer with `{ items | <resource>, pagination: { cursor, hasMore, total } }`;
+ * everything here works on the normalized `{ items, nextCursor, hasMore }` page shape.
+ */
+
+/**
+ * Normalize a raw list response to `{ items, nextCursor, hasMore }` (plus `total` when the API reports it)
+ * @param {Object|Array} result - Raw response body
+ * @param {string} [itemsKey] - Resource-specific key checked before `items` (e.g. "holders", "coins")
+ */
+export function normalizePage(result, itemsKey) {
+  const items = Array.isArray(result)
+    ? result
+    : [itemsKey && result?.[itemsKey], result?.items].find(Array.isArray) || []
+  const pagination = result?.pagination || {}
+  const hasMore = !!pagination.hasMore && !!pagination.cursor
+  const page = { items, nextCursor: hasMore ? pagination.cursor : null, hasMore }
+  if (pagination.total !== undefined) page.total = pagination.total
+  return page
+}
+
+/**
+ * Follow cursors page by page
+ * The last request only asks for the items still needed, so `nextCursor` of the final page
+ * resumes exactly where `maxItems` stopped.
+ *
+ * @param {(cursor: string|undefined, limit: number) => Promise<{ items, nextCursor, hasMore }>} fetchPage
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - Start cursor
+ * @param {number} [options.pageSize] - Items per request
+ * @param {number} [options.maxItems] - Stop after this many items
+ * @param {() => Promise<void>} [options.pace] - Awaited between requests
+ * @returns {AsyncGenerator<{ items, nextCursor, hasMore }>}
+ */
+export async function* paginatePages(fetchPage, { cursor, pageSize = 100, maxItems = Infinity, pace } = {}) {
+  let remaining = maxItems
+  while (remaining > 0) {
+    const page = await fetchPage(cursor, Math.min(pageSize, remaining))
+    const items = page.items.slice(0, remaining)
+    remaining -= items.length
+    yield { ...page, items }
+    if (!page.hasMore || !items.length) return
+    cursor = page.nextCursor
+    if (remaining > 0 && pace) await pace()
+  }
+}
+
+/**
+ * Iterate items across pages (same options as paginatePages)
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* paginate(fetchPage, options) {
+  for await (const page of paginatePages(fetchPage, options)) yield* page.items
+}
+
+/**
+ * Collect every page into one `{ items, nextCursor, hasMore }` result
+ * `nextCursor`/`hasMore` describe what is left after the last page fetched (e.g. when maxItems was hit).
+ */
+export async function collectPages(fetchPage, options) {
+  const result = { items: [], nextCursor: options?.cursor || null, hasMore: false }
+  for await (const page of paginatePages(fetchPage, options)) {
+    result.items.push(...page.items)
+    result.nextCursor = page.nextCursor
+    result.hasMore = page.hasMore
+    if (page.total !== undefined) result.total = page.total
+  }
+  return result
+}
@@ -0,0 +1,882 @@
+/**
+ * JSON Schemas for every tool: description, parameters and return shape
+ * wrapTool checks arguments against `parameters` (see checkSchema in validate.js) before the tool
+ * runs; paragraph_describeTools and the CLI read them. Semantic checks (title length, slug format,
+ * markdown lint, coin limits) stay in validatePost so dry runs can report them.
+ */
+
+const id = (description) => ({ type: "string", minLength: 1, description })
+const flag = (fallback, description) => ({ type: "boolean", default: fallback, description })
+
+/**
+ * Object schema; unknown parameters are rejected so typos don't pass silently
+ */
+const params = (properties = {}, required = [], extra = {}) => ({
+  type: "object",
+  properties,
+  required,
+  additionalProperties: false,
+  ...extra
+})
+
+const shape = (properties, description) => ({ type: "object", ...(description && { description }), properties })
+
+// Parameters shared by the list tools (see listPages in skill.js)
+const PAGE_PARAMETERS = {
+  limit: { type: "integer", minimum: 1, description: "Items per request (API default when omitted)" },
+  cursor: { type: "string", description: "nextCursor of a previous page" },
+  all: flag(false, "Follow cursors and return every page"),
+  maxItems: { type: "integer", minimum: 1, description: "Stop after this many items (fetches as many pages as needed)" }
+}
+
+// legacyKey: the list's key before the shared page shape, still returned on single pages for one release
+const page = (items, legacyKey) => ({
+  type: "object",
+  properties: {
+    items: { type: "array", items },
+    nextCursor: { type: ["string", "null"], description: "Pass as cursor to continue; null when there is nothing left" },
+    hasMore: { type: "boolean" },
+    total: { type: "integer", description: "Reported by some endpoints" },
+    ...legacyKey && {
+      [legacyKey]: { type: "array", items, deprecated: true, description: "Same as items (single pages only); use items" },
+      pagination: { type: "object", deprecated: true, description: "{ cursor, hasMore, total } (single pages only); use nextCursor / hasMore" }
+    }
+  },
+  required: ["items", "nextCursor", "hasMore"]
+})
+
+const POST = shape({
+  id: { type: "string" },
+  title: { type: "string" },
+  subtitle: { type: "string" },
+  slug: { type: ["string", "null"] },
+  url: { type: ["string", "null"] },
+  markdown: { type: "string", description: "Only when content is included" },
+  categories: { type: "array", items: { type: "string" } },
+  imageUrl: { type: "string" },
+  publishedAt: { type: ["string", "null"] },
+  coinId: { type: "string" }
+}, "Paragraph post")
+
+const POST_REF = shape({ id: { type: "string" }, title: { type: "string" }, url: { type: ["string", "null"] } })
+
+const PUBLICATION = shape({
+  id: { type: "string" },
+  slug: { type: "string" },
+  name: { type: "string" },
+  customDomain: { type: ["string", "null"] }
+}, "Paragraph publication")
+
+const COIN = shape({
+  id: { type: "string" },
+  postId: { type: "string" },
+  contractAddress: { type: "string" },
+  ticker: { type: "string" },
+  name: { type: "string" }
+}, "Coin (tokenized post)")
+
+const USER = shape({ id: { type: "string" }, name: { type: "string" }, walletAddress: { type: "string" } }, "Paragraph user")
+
+const COIN_CONFIG = {
+  type: "object",
+  description: "Tokenize the post: ticker (2-10 letters/digits, $ prefix allowed) and name required",
+  properties: {
+    ticker: { type: "string" },
+    name: { type: "string", description: "Max 100 characters" },
+    supply: { type: "integer", description: "Positive integer" },
+    initialPrice: { type: "number", description: "Positive number" },
+    metadata: { type: "object", additionalProperties: { type: "string" } }
+  }
+}
+
+// paragraph_createPost fields (also used by drafts, schedules and validatePost)
+const POST_FIELDS = {
+  title: { type: "string", description: "Max 200 characters" },
+  markdown: { type: "string", description: "Post body; local image paths are uploaded" },
+  subtitle: { type: "string", description: "Max 300 characters" },
+  imageUrl: { type: "string", description: "Cover image: https URL or local file" },
+  sendNewsletter: flag(false, "Email the post to subscribers"),
+  slug: { type: "string", description: "Lowercase letters/digits separated by single hyphens" },
+  postPreview: { type: "string", description: "Max 500 characters" },
+  categories: { type: ["array", "string"], items: { type: "string" }, description: "Array or comma-separated string; normalized and de-duplicated" },
+  coin: COIN_CONFIG
+}
+
+const BASE_DIR = { type: "string", description: "Directory local image paths are resolved against (default: working directory)" }
+
+const VALIDATION_REPORT = shape({
+  valid: { type: "boolean" },
+  errors: { type: "array", items: shape({ field: { type: "string" }, message: { type: "string" }, line: { type: "integer" } }) },
+  warnings: { type: "array", items: { type: "object" } },
+  normalized: { type: "object", description: "Cleaned fields that would be sent" }
+})
+
+const DRAFT = shape({
+  id: { type: "string" },
+  status: { enum: ["draft", "published"] },
+  title: { type: "string" },
+  createdAt: { type: "string" },
+  updatedAt: { type: "string" },
+  postId: { type: "string" },
+  url: { type: ["string", "null"] },
+  baseDir: { type: "string", description: "Absolute directory local image paths resolve against" }
+}, "Local draft")
+
+const PENDING_POST = shape({
+  postId: { type: "string" },
+  title: { type: ["string", "null"] },
+  status: { enum: ["processing", "ready"] },
+  withCoin: { type: "boolean" },
+  webhookUrl: { type: ["string", "null"] },
+  checks: { type: "integer" },
+  trackedAt: { type: "string" },
+  checkedAt: { type: "string" },
+  readyAt: { type: "string" },
+  slug: { type: "string" },
+  url: { type: "string" },
+  notifiedAt: { type: ["string", "null"], description: "When the post-ready handler/webhook was notified" },
+  notifyError: { type: ["string", "null"] },
+  lastError: { type: "string", description: "Last failed status check (refresh)" }
+}, "Pending-post registry entry")
+
+const POST_STATUS = {
+  postId: { type: "string" },
+  status: { enum: ["processing", "ready"] },
+  slug: { type: ["string", "null"] },
+  url: { type: ["string", "null"] },
+  publishedAt: { type: ["string", "null"] },
+  coin: shape({ id: { type: "string" }, contractAddress: { type: "string" } }),
+  tracked: { type: "boolean", description: "In the pending registry; the fields below are only set when tracked" },
+  trackedAt: { type: "string" },
+  checks: { type: "integer" },
+  readyAt: { type: ["string", "null"] },
+  notifiedAt: { type: ["string", "null"] },
+  notifyError: { type: ["string", "null"] }
+}
+
+const WITH_COIN = { type: "boolean", description: "Also wait for the post's coin to be deployed (default: as tracked by createPost)" }
+const WEBHOOK_URL = { type: "string", description: "POST a post.ready event here once slug/url are available (default: PARAGRAPH_POST_READY_WEBHOOK)" }
+
+const CONFIRM_TOKEN = { type: "string", description: "From paragraph_previewNewsletter; needed with sendNewsletter unless the newsletter policy turns confirmation off" }
+
+const NEWSLETTER_STATUSES = ["sending", "sent", "blocked", "failed", "unconfirmed", "skipped"]
+
+const NEWSLETTER_ALLOWANCE = {
+  policy: shape({
+    requireConfirmation: { type: "boolean" },
+    maxPerDay: { type: ["integer", "null"] },
+    blackoutHours: { type: ["object", "null"], properties: { start: { type: "integer" }, end: { type: "integer" } } },
+    timeZone: { type: "string" }
+  }, "Active newsletter policy"),
+  today: { type: "string" },
+  sendsToday: { type: "integer" },
+  remainingToday: { type: ["integer", "null"], description: "null when there is no daily limit" },
+  blackoutActive: { type: "boolean" }
+}
+
+const SCHEDULE_STATUSES = ["pending", "publishing", "published", "failed", "cancelled"]
+
+const SCHEDULED = shape({
+  id: { type: "string" },
+  status: { enum: SCHEDULE_STATUSES },
+  publishAt: { type: "string" },
+  waitForProcessing: { type: "boolean" },
+  baseDir: { type: "string", description: "Absolute directory local image paths resolve against" },
+  attempts: { type: "integer" },
+  createdAt: { type: "string" },
+  updatedAt: { type: "string" }
+}, "Scheduled post")
+
+const FILE_RESULT = shape({
+  file: { type: "string" },
+  status: { enum: ["published", "skipped", "would-publish", "invalid", "failed"] },
+  postId: { type: "string" },
+  url: { type: ["string", "null"] }
+})
+
+const SERIES = shape({
+  id: { type: "string" },
+  title: { type: "string" },
+  description: { type: ["string", "null"] },
+  status: { enum: ["publishing", "incomplete", "complete"] },
+  createdAt: { type: "string" },
+  updatedAt: { type: "string" },
+  parts: {
+    type: "array",
+    items: shape({
+      part: { type: "integer" },
+      title: { type: "string" },
+      postId: { type: "string" },
+      slug: { type: ["string", "null"] },
+      url: { type: ["string", "null"] },
+      publishedAt: { type: ["string", "null"] }
+    })
+  },
+  index: shape({
+    slug: { type: "string" },
+    plannedUrl: { type: "string", description: "URL the parts link to" },
+    postId: { type: ["string", "null"] },
+    url: { type: ["string", "null"] },
+    parts: { type: "integer", description: "Parts listed in the published index" }
+  }, "Series index post")
+}, "Series manifest")
+
+const SUBSCRIBER = shape({ email: { type: ["string", "null"] }, walletAddress: { type: ["string", "null"] }, createdAt: { type: "string" } }, "Subscriber")
+
+const HOLDER = shape({ walletAddress: { type: "string" }, balance: { type: "string" } }, "Coin holder")
+
+const HOLDER_SYNC_ACTIONS = ["added", "would-add", "existing", "no-user", "failed"]
+
+const HOLDER_SYNC_RUN = shape({
+  id: { type: "string" },
+  ranAt: { type: "string" },
+  dryRun: { type: "boolean" },
+  coinIds: { type: "array", items: { type: "string" } },
+  minBalance: { type: "string" },
+  sendWelcomeEmail: { type: "boolean" },
+  holders: { type: "integer", description: "Distinct wallets at or above minBalance" },
+  counts: shape(Object.fromEntries(HOLDER_SYNC_ACTIONS.map(action => [action, { type: "integer" }]))),
+  changes: {
+    type: "array",
+    description: "Per wallet (the log leaves out existing subscribers)",
+    items: shape({
+      walletAddress: { type: "string" },
+      coins: { type: "array", items: shape({ coinId: { type: "string" }, balance: { type: "string" } }) },
+      userId: { type: ["string", "null"] },
+      userName: { type: ["string", "null"] },
+      action: { enum: HOLDER_SYNC_ACTIONS },
+      error: { type: "string" },
+      code: { type: "string" }
+    })
+  }
+}, "Holder sync run")
+
+const HOLDER_METRICS = shape({
+  holderCount: { type: "integer", description: "Holders with a positive balance" },
+  totalBalance: { type: "string" },
+  gini: { type: "number", description: "0 = equal balances, near 1 = one holder owns almost everything" },
+  topN: { type: "integer" },
+  topShare: { type: "number", description: "Fraction of the total held by the topN largest holders" },
+  topHolders: { type: "array", items: shape({ rank: { type: "integer" }, walletAddress: { type: "string" }, balance: { type: "string" }, share: { type: "number" } }) }
+}, "Concentration metrics (balances are decimal strings)")
+
+const SNAPSHOT_REF = shape({ id: { type: "string" }, takenAt: { type: "string" } })
+
+const SNAPSHOT_DIFF = shape({
+  from: SNAPSHOT_REF,
+  to: SNAPSHOT_REF,
+  holderCountChange: { type: "integer" },
+  totalBalanceChange: { type: "string" },
+  newHolders: { type: "array", items: HOLDER },
+  exits: { type: "array", items: HOLDER },
+  changes: { type: "array", items: shape({ walletAddress: { type: "string" }, before: { type: "string" }, after: { type: "string" }, change: { type: "string" } }) }
+}, "Holder changes between two snapshots")
+
+/**
+ * @type {Object.<string, { description: string, parameters: Object, returns: Object }>}
+ */
+export const TOOL_SCHEMAS = {
+  paragraph_testConnection: {
+    description: "Test connection and authentication",
+    parameters: params(),
+    returns: shape({ message: { type: "string" }, hasSubscribers: { type: "boolean" }, totalSubscribers: { type: "integer" } })
+  },
+
+  paragraph_getAuditLog: {
+    description: "Query the local audit log of tool calls (redacted args, endpoints, status, latency, retries, result ids) and log lines, newest first",
+    parameters: params({
+      tool: { type: "string", description: "Only calls of this tool (and its log lines)" },
+      type: { enum: ["tool", "log"] },
+      level: { enum: ["debug", "info", "warn", "error"], description: "Only log lines at or above this level" },
+      success: { type: "boolean", description: "Only successful (true) or failed (false) calls" },
+      callId: { type: "string", description: "One call and its log lines" },
+      since: { type: "string", description: "ISO date" },
+      until: { type: "string", description: "ISO date" },
+      limit: { type: "integer", minimum: 1, default: 50 }
+    }),
+    returns: shape({
+      events: {
+        type: "array",
+        items: shape({
+          type: { enum: ["tool", "log"] },
+          callId: { type: "string" },
+          at: { type: "string" },
+          tool: { type: ["string", "null"] },
+          client: { type: "string", description: "Client or profile name" },
+          args: { type: "object", description: "Redacted: secrets removed, emails masked, long values shortened" },
+          success: { type: "boolean" },
+          code: { type: "string" },
+          status: { type: ["integer", "null"] },
+          error: { type: "string" },
+          durationMs: { type: "integer" },
+          requests: {
+            type: "array",
+            items: shape({
+              endpoint: { type: "string", description: "METHOD /path" },
+              status: { type: ["integer", "null"], description: "null when served from the cache without revalidation" },
+              durationMs: { type: "integer" },
+              retries: { type: "integer" },
+              fromCache: { type: "boolean" },
+              error: { type: "string", description: "Error code when the request failed" }
+            })
+          },
+          retries: { type: "integer" },
+          fromCache: { type: "boolean" },
+          resultIds: { type: "array", items: { type: "string" } },
+          level: { enum: ["debug", "info", "warn", "error"] },
+          message: { type: "string" },
+          data: { type: "object" }
+        }, "Audit event (tool call or log line)")
+      },
+      total: { type: "integer", description: "Matching events before limit" },
+      recording: { type: "boolean", description: "The jsonl sink is active" }
+    })
+  },
+
+  paragraph_getRateLimitStatus: {
+    description: "Last-seen rate-limit budget from x-ratelimit-* headers (no API call)",
+    parameters: params(),
+    returns: shape({
+      known: { type: "boolean" },
+      limit: { type: ["integer", "null"] },
+      remaining: { type: ["integer", "null"] },
+      resetAt: { type: ["string", "null"] },
+      observedAt: { type: ["string", "null"] },
+      waitMs: { type: "integer", description: "How long to wait before the budget resets (0 when not exhausted)" }
+    })
+  },
+
+  paragraph_listProfiles: {
+    description: "List configured profiles from the profiles file (API keys are never returned)",
+    parameters: params(),
+    returns: {
+      type: "array",
+      items: shape({ name: { type: "string" }, description: { type: ["string", "null"] }, publicationSlug: { type: ["string", "null"] }, publicationId: { type: ["string", "null"] } })
+    }
+  },
+
+  paragraph_describeTools: {
+    description: "JSON Schemas (description, parameters, returns) for every tool",
+    parameters: params({
+      names: { type: "array", items: { type: "string" }, description: "Only these tools (default: all)" }
+    }),
+    returns: {
+      type: "array",
+      items: shape({ name: { type: "string" }, description: { type: "string" }, parameters: { type: "object" }, returns: { type: "object" } })
+    }
+  },
+
+  paragraph_createPost: {
+    description: "Create (publish) a post. Validated before publishing; idempotent per idempotencyKey",
+    parameters: params({
+      ...POST_FIELDS,
+      idempotencyKey: { type: ["string", "boolean"], description: "Deduplication key (default, or true: hash of title + markdown); false disables" },
+      baseDir: BASE_DIR,
+      waitForProcessing: flag(false, "Poll until onchain processing finishes and return the full post"),
+      processingDeadlineMs: { type: "integer", minimum: 0, default: 25000, description: "How long waitForProcessing polls before returning with _warning" },
+      webhookUrl: WEBHOOK_URL,
+      confirmToken: CONFIRM_TOKEN
+    }, ["title", "markdown"]),
+    returns: POST
+  },
+
+  paragraph_previewNewsletter: {
+    description: "Preview a newsletter send: subscribers reached, daily limit, blackout hours and a confirmToken for this title + markdown",
+    parameters: params(POST_FIELDS, ["title", "markdown"], { description: "The paragraph_createPost fields; the token is bound to title and markdown" }),
+    returns: shape({
+      title: { type: "string" },
+      publicationId: { type: "string" },
+      subscriberCount: { type: "integer", description: "Subscribers the newsletter will be emailed to" },
+      ...NEWSLETTER_ALLOWANCE,
+      allowedNow: { type: "boolean", description: "The daily limit and blackout hours allow a send right now" },
+      blockedBy: { type: "array", items: shape({ rule: { type: "string" }, message: { type: "string" } }) },
+      confirmToken: { type: "string", description: "Pass to paragraph_createPost with the same title and markdown" },
+      expiresAt: { type: "string" }
+    })
+  },
+
+  paragraph_getNewsletterLog: {
+    description: "Newsletter audit log (sent, blocked, failed), newest first, with today's sends against the policy",
+    parameters: params({
+      limit: { type: "integer", minimum: 1, default: 20 },
+      status: { enum: NEWSLETTER_STATUSES }
+    }),
+    returns: shape({
+      entries: {
+        type: "array",
+        items: shape({
+          id: { type: "string" },
+          at: { type: "string" },
+          date: { type: "string", description: "Calendar day in the policy time zone" },
+          title: { type: "string" },
+          status: { enum: NEWSLETTER_STATUSES },
+          subscriberCount: { type: ["integer", "null"], description: "From the confirming preview" },
+          confirmed: { type: "boolean" },
+          postId: { type: ["string", "null"] },
+          violations: { type: "array", items: shape({ rule: { type: "string" }, message: { type: "string" } }) },
+          error: { type: "string" }
+        })
+      },
+      total: { type: "integer" },
+      ...NEWSLETTER_ALLOWANCE
+    })
+  },
+
+  paragraph_getPostStatus: {
+    description: "Check once whether a post's slug/url are available (onchain processing finished)",
+    parameters: params({ postId: id(), withCoin: WITH_COIN }, ["postId"]),
+    returns: shape(POST_STATUS)
+  },
+
+  paragraph_waitForPost: {
+    description: "Poll a post with backoff until slug/url are available or the deadline passes; tracked in the pending registry",
+    parameters: params({
+      postId: id(),
+      deadlineMs: { type: "integer", minimum: 0, default: 60000, description: "Give up (timedOut) after this long" },
+      intervalMs: { type: "integer", minimum: 1, default: 1000, description: "First delay between checks" },
+      maxIntervalMs: { type: "integer", minimum: 1, default: 10000, description: "Longest delay between checks" },
+      backoff: { type: "number", minimum: 1, default: 2, description: "Delay multiplier per check" },
+      withCoin: WITH_COIN,
+      webhookUrl: WEBHOOK_URL
+    }, ["postId"]),
+    returns: shape({
+      ...POST_STATUS,
+      attempts: { type: "integer" },
+      waitedMs: { type: "integer" },
+      timedOut: { type: "boolean", description: "Still processing at the deadline; call again later" }
+    })
+  },
+
+  paragraph_listPendingPosts: {
+    description: "List posts in the pending registry (created, slug/url not seen yet), oldest first",
+    parameters: params({
+      includeReady: flag(false, "Include posts that finished processing (kept for a week)"),
+      refresh: flag(false, "Check each processing post once before listing")
+    }),
+    returns: shape({ items: { type: "array", items: PENDING_POST }, total: { type: "integer" } })
+  },
+
+  paragraph_validatePost: {
+    description: "Dry-run the createPost validation without calling the API",
+    parameters: params({ ...POST_FIELDS, baseDir: BASE_DIR }),
+    returns: VALIDATION_REPORT
+  },
+
+  paragraph_saveDraft: {
+    description: "Save a local draft (create, or update when draftId is given); title and markdown are required for new drafts",
+    parameters: params({ draftId: id("Draft to update"), ...POST_FIELDS, baseDir: { ...BASE_DIR, description: "Directory local image paths are resolved against when the draft is previewed or published (stored as an absolute path; default: working directory)" } }),
+    returns: DRAFT
+  },
+
+  paragraph_listDrafts: {
+    description: "List local drafts, newest first",
+    parameters: params({ status: { enum: ["draft", "published"] } }),
+    returns: shape({ drafts: { type: "array", items: DRAFT }, total: { type: "integer" } })
+  },
+
+  paragraph_previewDraft: {
+    description: "Rendered HTML and validation report for a draft",
+    parameters: params({ draftId: id() }, ["draftId"]),
+    returns: shape({ draft: DRAFT, html: { type: "string" }, validation: VALIDATION_REPORT })
+  },
+
+  paragraph_publishDraft: {
+    description: "Publish a draft through paragraph_createPost",
+    parameters: params({ draftId: id(), waitForProcessing: flag(false), confirmToken: CONFIRM_TOKEN }, ["draftId"]),
+    returns: shape({ draftId: { type: "string" }, post: POST })
+  },
+
+  paragraph_schedulePost: {
+    description: "Queue a post for publishing at publishAt (validated now, published by paragraph_runScheduled)",
+    parameters: params({
+      ...POST_FIELDS,
+      publishAt: { type: ["string", "number"], description: "ISO date string or epoch milliseconds" },
+      waitForProcessing: flag(true),
+      baseDir: { ...BASE_DIR, description: "Directory local image paths are resolved against when the post is published (stored as an absolute path; default: working directory)" }
+    }, ["publishAt"]),
+    returns: SCHEDULED
+  },
+
+  paragraph_listScheduled: {
+    description: "List scheduled posts, soonest first",
+    parameters: params({ status: { enum: SCHEDULE_STATUSES } }),
+    returns: shape({ items: { type: "array", items: SCHEDULED }, total: { type: "integer" } })
+  },
+
+  paragraph_cancelScheduled: {
+    description: "Cancel a pending scheduled post",
+    parameters: params({ scheduleId: id() }, ["scheduleId"]),
+    returns: shape({ id: { type: "string" }, status: { enum: ["cancelled"] } })
+  },
+
+  paragraph_runScheduled: {
+    description: "Publish every scheduled post that is due",
+    parameters: params({ limit: { type: "integer", minimum: 1, description: "Publish at most this many" } }),
+    returns: shape({ processed: { type: "integer" }, published: { type: "array" }, failed: { type: "array" }, retrying: { type: "array" } })
+  },
+
+  paragraph_publishSeries: {
+    description: "Publish posts in order as a series with \"Part N of M\" headers, links to earlier parts and an index post; seriesId appends",
+    parameters: params({
+      title: { type: "string", description: "Series title (required for a new series); also the index post's title" },
+      description: { type: "string", description: "Intro for the index post" },
+      posts: { type: "array", minItems: 1, items: params(POST_FIELDS, ["title", "markdown"]), description: "Parts in order" },
+      seriesId: { type: "string", description: "Append the posts to this series" },
+      indexSlug: { type: "string", description: "Slug for the index post; must not be taken yet (default: title + series id + \"-index\")" },
+      baseDir: BASE_DIR
+    }, ["posts"]),
+    returns: shape({
+      seriesId: { type: "string" },
+      status: SERIES.properties.status,
+      title: { type: "string" },
+      parts: SERIES.properties.parts,
+      index: SERIES.properties.index,
+      error: { type: "string", description: "Why publishing stopped (status incomplete)" }
+    })
+  },
+
+  paragraph_listSeries: {
+    description: "List locally stored series manifests, newest first",
+    parameters: params(),
+    returns: shape({ items: { type: "array", items: SERIES }, total: { type: "integer" } })
+  },
+
+  paragraph_publishFromFile: {
+    description: "Publish a markdown file with YAML front-matter; writes the post id/url back into the file",
+    parameters: params({
+      filePath: id(),
+      dryRun: flag(false),
+      force: flag(false, "Publish again even if already published"),
+      waitForProcessing: flag(true)
+    }, ["filePath"]),
+    returns: FILE_RESULT
+  },
+
+  paragraph_publishDirectory: {
+    description: "Publish every markdown file in a directory, in file-name order",
+    parameters: params({
+      dir: id(),
+      dryRun: flag(false),
+      recursive: flag(false),
+      force: flag(false),
+      waitForProcessing: flag(true)
+    }, ["dir"]),
+    returns: shape({ dir: { type: "string" }, dryRun: { type: "boolean" }, total: { type: "integer" }, counts: { type: "object" }, results: { type: "array", items: FILE_RESULT } })
+  },
+
+  paragraph_getPost: {
+    description: "Get a post by ID",
+    parameters: params({ postId: id() }, ["postId"]),
+    returns: POST
+  },
+
+  paragraph_getPostBySlug: {
+    description: "Get a post by publication slug and post slug",
+    parameters: params({ publicationSlug: id(), postSlug: id() }, ["publicationSlug", "postSlug"]),
+    returns: POST
+  },
+
+  paragraph_listPosts: {
+    description: "List posts in a publication",
+    parameters: params({
+      publicationId: id("Default: configured or auto-discovered publication"),
+      includeContent: flag(false, "Include markdown"),
+      ...PAGE_PARAMETERS
+    }),
+    returns: page(POST, "posts")
+  },
+
+  paragraph_exportPublication: {
+    description: "Back up every post as markdown with front-matter, cover images and a manifest (resumable, incremental)",
+    parameters: params({
+      publicationId: id("Default: configured or auto-discovered publication"),
+      outputDir: { type: "string", description: "Default: <state dir>/exports/<publicationId>" },
+      downloadImages: flag(true),
+      full: flag(false, "Re-export everything instead of only new posts"),
+      pageSize: { type: "integer", minimum: 1, default: 50 }
+    }),
+    returns: shape({
+      outputDir: { type: "string" },
+      exported: { type: "integer" },
+      skipped: { type: "integer" },
+      images: { type: "integer" },
+      warnings: { type: "array", items: { type: "string" } },
+      resumed: { type: "boolean" },
+      totalPosts: { type: "integer" },
+      watermark: { type: ["string", "null"] }
+    })
+  },
+
+  paragraph_getPublication: {
+    description: "Get a publication by slug",
+    parameters: params({ slug: id() }, ["slug"]),
+    returns: PUBLICATION
+  },
+
+  paragraph_getPublicationByDomain: {
+    description: "Get a publication by custom domain",
+    parameters: params({ domain: id() }, ["domain"]),
+    returns: PUBLICATION
+  },
+
+  paragraph_getMyPublication: {
+    description: "Get the publication of the API key (auto-discovered)",
+    parameters: params(),
+    returns: PUBLICATION
+  },
+
+  paragraph_publicationStats: {
+    description: "Publication analytics: weekly cadence, categories, post length, missing covers/previews, subscriber trend and coin holders per post, as JSON plus markdown",
+    parameters: params({
+      publicationId: { type: "string", description: "Default: auto-discovered" },
+      weeks: { type: "integer", minimum: 1, default: 12, description: "Weeks covered by the cadence and subscriber trend" },
+      saveSnapshot: flag(true, "Store today's subscriber count for future trends")
+    }),
+    returns: shape({
+      publication: shape({ id: { type: "string" }, name: { type: ["string", "null"] }, slug: { type: ["string", "null"] } }),
+      generatedAt: { type: "string" },
+      periodWeeks: { type: "integer" },
+      totalPosts: { type: "integer" },
+      cadence: shape({
+        weeks: { type: "array", items: shape({ weekStart: { type: "string", description: "Monday (UTC)" }, posts: { type: "integer" } }) },
+        postsInPeriod: { type: "integer" },
+        averagePerWeek: { type: "number" },
+        lastPublishedAt: { type: ["string", "null"] },
+        daysSinceLastPost: { type: ["integer", "null"] }
+      }),
+      categories: shape({
+        items: { type: "array", items: shape({ category: { type: "string" }, posts: { type: "integer" }, share: { type: "number" } }) },
+        uncategorized: { type: "integer" }
+      }),
+      length: shape({
+        measured: { type: "integer" },
+        averageWords: { type: ["integer", "null"] },
+        medianWords: { type: ["integer", "null"] },
+        shortest: { type: ["object", "null"] },
+        longest: { type: ["object", "null"] }
+      }),
+      missing: shape({ cover: { type: "array", items: POST_REF }, preview: { type: "array", items: POST_REF } }),
+      subscribers: shape({
+        current: { type: ["integer", "null"] },
+        changeSincePrevious: { type: ["integer", "null"] },
+        changeInPeriod: { type: ["integer", "null"] },
+        snapshots: { type: "array", items: shape({ date: { type: "string" }, count: { type: "integer" }, takenAt: { type: "string" } }) }
+      }),
+      coins: shape({
+        coinedPosts: { type: "integer" },
+        totalHolders: { type: "integer", description: "Sum of holder counts per coin" },
+        uniqueHolders: { type: "integer", description: "Distinct wallets across all coins" },
+        posts: {
+          type: "array",
+          items: shape({ postId: { type: "string" }, title: { type: "string" }, coinId: { type: "string" }, ticker: { type: ["string", "null"] }, holderCount: { type: ["integer", "null"] }, totalBalance: { type: ["string", "null"] }, error: { type: "string" } })
+        }
+      }),
+      markdown: { type: "string" }
+    })
+  },
+
+  paragraph_addSubscriber: {
+    description: "Add a subscriber by email and/or wallet",
+    parameters: params({
+      email: { type: "string", minLength: 1 },
+      wallet: { type: "string", minLength: 1 },
+      sendWelcomeEmail: flag(true)
+    }, [], { anyOf: [{ required: ["email"] }, { required: ["wallet"] }] }),
+    returns: { type: "object" }
+  },
+
+  paragraph_listSubscribers: {
+    description: "List subscribers of the API key's publication",
+    parameters: params(PAGE_PARAMETERS),
+    returns: page(SUBSCRIBER, "subscribers")
+  },
+
+  paragraph_importSubscribers: {
+    description: "Validate, dedupe and import subscribers from a CSV file (email,wallet,tags columns)",
+    parameters: params({
+      csvPath: id(),
+      sendWelcomeEmail: flag(true),
+      dryRun: flag(false, "Report what would be imported without uploading"),
+      checkExisting: flag(true, "Skip rows that are already subscribers"),
+      chunkSize: { type: "integer", minimum: 1, default: 1000, description: "Rows per upload" }
+    }, ["csvPath"]),
+    returns: shape({
+      dryRun: { type: "boolean" },
+      total: { type: "integer" },
+      valid: { type: "integer" },
+      invalid: { type: "integer" },
+      duplicate: { type: "integer" },
+      existing: { type: "integer" },
+      toImport: { type: "integer" },
+      chunks: { type: "integer" },
+      imported: { type: "integer" },
+      skipped: { type: "integer" },
+      rows: { type: "array", items: { type: "object" } }
+    })
+  },
+
+  paragraph_syncHoldersToSubscribers: {
+    description: "Add holders of one or more coins as wallet subscribers (resolved via getUserByWallet, existing subscribers skipped, logged)",
+    parameters: params({
+      coinIds: { type: "array", items: id(), minItems: 1, description: "Coins whose holders to sync" },
+      minBalance: { type: ["string", "number"], default: 0, description: "Minimum balance in at least one of the coins" },
+      requireUser: flag(false, "Skip wallets that have no Paragraph user"),
+      sendWelcomeEmail: flag(false),
+      dryRun: flag(false, "Report what would be added without adding anything")
+    }, ["coinIds"]),
+    returns: HOLDER_SYNC_RUN
+  },
+
+  paragraph_getHolderSyncLog: {
+    description: "Change log of holder-to-subscriber syncs, newest first",
+    parameters: params({ limit: { type: "integer", minimum: 1, default: 10, description: "Runs to return" } }),
+    returns: shape({ runs: { type: "array", items: HOLDER_SYNC_RUN }, total: { type: "integer" } })
+  },
+
+  paragraph_getCoin: {
+    description: "Get a coin by ID",
+    parameters: params({ coinId: id() }, ["coinId"]),
+    returns: COIN
+  },
+
+  paragraph_getCoinByContract: {
+    description: "Get a coin by contract address",
+    parameters: params({ contractAddress: id() }, ["contractAddress"]),
+    returns: COIN
+  },
+
+  paragraph_getPopularCoins: {
+    description: "Get popular coins",
+    parameters: params(),
+    returns: page(COIN)
+  },
+
+  paragraph_listCoinHolders: {
+    description: "List holders of a coin",
+    parameters: params({ coinId: id(), ...PAGE_PARAMETERS }, ["coinId"]),
+    returns: page(HOLDER, "holders")
+  },
+
+  paragraph_coinReport: {
+    description: "Holder concentration report (holder count, top-N share, Gini) over every holder; saves a dated snapshot and can diff against an earlier one",
+    parameters: params({
+      coinId: id(),
+      topN: { type: "integer", minimum: 1, default: 10, description: "Largest holders to list and sum" },
+      saveSnapshot: flag(true, "Save the holders as a dated local snapshot"),
+      compareTo: { type: "string", description: "Snapshot id to diff against, or \"latest\" for the newest saved one (skipped if none)" },
+      includeMarkdown: flag(false, "Add the report as markdown, ready for paragraph_createPost")
+    }, ["coinId"]),
+    returns: shape({
+      coin: COIN,
+      takenAt: { type: "string" },
+      snapshotId: { type: ["string", "null"] },
+      metrics: HOLDER_METRICS,
+      diff: SNAPSHOT_DIFF,
+      markdown: { type: "string" }
+    })
+  },
+
+  paragraph_listCoinSnapshots: {
+    description: "List saved holder snapshots of a coin, oldest first",
+    parameters: params({ coinId: id() }, ["coinId"]),
+    returns: shape({
+      items: {
+        type: "array",
+        items: shape({ id: { type: "string" }, takenAt: { type: "string" }, holderCount: { type: "integer" }, totalBalance: { type: "string" }, gini: { type: "number" } })
+      },
+      total: { type: "integer" }
+    })
+  },
+
+  paragraph_diffCoinSnapshots: {
+    description: "Diff two saved holder snapshots: new holders, exits and balance changes",
+    parameters: params({
+      coinId: id(),
+      from: { type: "string", default: "previous", description: "Older snapshot id (\"previous\" = second newest)" },
+      to: { type: "string", default: "latest", description: "Newer snapshot id (\"latest\" = newest)" },
+      includeMarkdown: flag(false, "Add the diff as markdown")
+    }, ["coinId"]),
+    returns: { ...SNAPSHOT_DIFF, properties: { ...SNAPSHOT_DIFF.properties, markdown: { type: "string" } } }
+  },
+
+  paragraph_getUser: {
+    description: "Get a user by ID",
+    parameters: params({ userId: id() }, ["userId"]),
+    returns: USER
+  },
+
+  paragraph_getUserByWallet: {
+    description: "Get a user by wallet address",
+    parameters: params({ walletAddress: id() }, ["walletAddress"]),
+    returns: USER
+  },
+
+  paragraph_getSubscriberCount: {
+    description: "Get the subscriber count of a publication",
+    parameters: params({ publicationId: id() }, ["publicationId"]),
+    returns: shape({ count: { type: "integer" } })
+  },
+
+  paragraph_getFeed: {
+    description: "Get the curated feed (public)",
+    parameters: params(PAGE_PARAMETERS),
+    returns: page(POST, "posts")
+  },
+
+  paragraph_getPostsByTag: {
+    description: "Get posts by tag",
+    parameters: params({ tag: id(), includeContent: flag(false, "Include markdown"), ...PAGE_PARAMETERS }, ["tag"]),
+    returns: page(POST, "posts")
+  },
+
+  paragraph_searchPosts: {
+    description: "Keyword search (BM25 over title, subtitle and content) in the local post index, with tag, publication and date filters",
+    parameters: params({
+      query: { type: "string", description: "Keywords; empty lists the filtered posts newest first" },
+      tag: { type: "string", description: "Only posts with this category" },
+      publication: { type: "string", description: "Only posts from this publication (id or slug)" },
+      from: { type: "string", description: "Published at or after (ISO date)" },
+      to: { type: "string", description: "Published at or before (ISO date; a bare date includes the whole day)" },
+      limit: { type: "integer", minimum: 1, default: 10 },
+      refresh: flag(false, "Pull new posts from every followed source before searching")
+    }, ["query"]),
+    returns: shape({
+      query: { type: "string" },
+      total: { type: "integer", description: "Matches before limit" },
+      results: {
+        type: "array",
+        items: shape({
+          id: { type: "string" },
+          title: { type: "string" },
+          subtitle: { type: ["string", "null"] },
+          url: { type: ["string", "null"] },
+          publication: shape({ id: { type: ["string", "null"] }, slug: { type: ["string", "null"] } }),
+          categories: { type: "array", items: { type: "string" } },
+          publishedAt: { type: ["string", "null"] },
+          excerpt: { type: "string" },
+          sources: { type: "array", items: { type: "string" } },
+          score: { type: "number" },
+          matched: { type: "array", items: { type: "string" }, description: "Query terms found in the post" }
+        })
+      },
+      indexed: { type: "integer", description: "Posts in the index" },
+      refreshed: { type: ["object", "null"], description: "paragraph_refreshSearchIndex result when the index was refreshed first" }
+    })
+  },
+
+  paragraph_refreshSearchIndex: {
+    description: "Add new posts to the local search index from publications, tags and the feed (incremental; sources are followed)",
+    parameters: params({
+      publicationIds: { type: "array", items: id(), description: "Publications to index (default: followed sources, else own publication)" },
+      tags: { type: "array", items: id(), description: "Tags to index" },
+      includeFeed: flag(false, "Index the feed too"),
+      maxItems: { type: "integer", minimum: 1, default: 200, description: "Posts read per source" },
+      full: flag(false, "Re-read posts that are already indexed")
+    }),
+    returns: shape({
+      added: { type: "integer" },
+      total: { type: "integer" },
+      sources: { type: "array", items: shape({ source: { type: "string" }, fetched: { type: "integer" } }) }
+    })
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Local full-text search over posts: BM25 ranking on title, subtitle and content
+ * Documents are plain JSON (term frequencies, no inverted index) so the whole index can live
+ * in one state file; document frequencies are counted per query, which is fast enough for
+ * the few thousand posts an agent indexes.
+ */
+
+// Field weights: a title match counts as three body matches
+const FIELD_WEIGHTS = { title: 3, subtitle: 2, content: 1 }
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+const EXCERPT_LENGTH = 280
+
+const STOPWORDS = new Set(("a an and are as at be but by for from has have how i if in into is it its of on or our " +
+  "so that the their then there these this to was we were what when which who will with you your").split(" "))
+
+/**
+ * Lowercased, accent-free word tokens without stopwords or single characters
+ */
+export function tokenize(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+}
+
+/**
+ * Plain text of a markdown body (images, link targets, code fences and markup removed)
+ */
+function plainText(markdown) {
+  return String(markdown || "")
+    .replace(/```[^\n]*\n?/g, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[#>*_`~|]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+/**
+ * Build the search document for a post
+ * @param {Object} post - Post as returned by the list endpoints (markdown optional)
+ * @param {string} source - Where it was found (e.g. "publication:pub_1", "tag:web3", "feed")
+ * @returns {Object} { id, title, subtitle, url, publication, categories, publishedAt, excerpt, terms, length, sources }
+ */
+export function indexDocument(post, source) {
+  const content = plainText(post.markdown || post.content || "")
+  const terms = Object.create(null) // tokens such as "constructor" must not hit Object.prototype
+  let length = 0
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const text = field === "content" ? content : post[field]
+    for (const token of tokenize(text)) {
+      terms[token] = (terms[token] || 0) + weight
+      length += weight
+    }
+  }
+  const publication = post.publication || {}
+  return {
+    id: post.id,
+    title: post.title || "",
+    subtitle: post.subtitle || null,
+    url: post.url || null,
+    publication: { id: publication.id || post.publicationId || null, slug: publication.slug || null },
+    categories: (post.categories || []).map(category => String(category).toLowerCase()),
+    publishedAt: post.publishedAt || null,
+    excerpt: content.length > EXCERPT_LENGTH ? `${content.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, "")}…` : content,
+    terms,
+    length,
+    sources: [source]
+  }
+}
+
+/**
+ * End of a `to` date filter: a bare date (YYYY-MM-DD) includes that whole day
+ */
+function rangeEnd(to) {
+  const time = Date.parse(to)
+  return /^\d{4}-\d{2}-\d{2}$/.test(to) ? time + 24 * 60 * 60 * 1000 : time + 1
+}
+
+/**
+ * Documents matching the filters
+ * @param {Object} filters - tag, publication (id or slug), from, to (ISO dates)
+ */
+function filterDocuments(docs, { tag, publication, from, to } = {}) {
+  const wantedTag = tag?.toLowerCase()
+  const wantedPublication = publication?.replace(/^@/, "").toLowerCase()
+  const start = from ? Date.parse(from) : null
+  const end = to ? rangeEnd(to) : null
+  return docs.filter(doc => {
+    if (wantedTag && !doc.categories.includes(wantedTag)) return false
+    if (wantedPublication && doc.publication.id?.toLowerCase() !== wantedPublication && doc.publication.slug?.toLowerCase() !== wantedPublication) return false
+    if (start !== null || end !== null) {
+      const published = Date.parse(doc.publishedAt)
+      if (Number.isNaN(published)) return false
+      if (start !== null && published < start) return false
+      if (end !== null && published >= end) return false
+    }
+    return true
+  })
+}
+
+/**
+ * Rank documents for a keyword query with BM25
+ * Documents with none of the query terms are left out; an empty query lists the filtered
+ * documents newest first instead.
+ *
+ * @param {Array} docs - indexDocument() results
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - tag, publication, from, to
+ * @param {number} [options.limit=10]
+ * @returns {{ total: number, results: Array }} total counts every match, results the top `limit`
+ */
+export function searchDocuments(docs, query, { filters, limit = 10 } = {}) {
+  const candidates = filterDocuments(docs, filters)
+  const terms = [...new Set(tokenize(query))]
+  const result = ({ terms: _, length: __, ...doc }, score, matched) => ({ ...doc, score, matched })
+
+  if (!terms.length) {
+    const newest = candidates.sort((a, b) => String(b.publishedAt).localeCompare(String(a.publishedAt)))
+    return { total: newest.length, results: newest.slice(0, limit).map(doc => result(doc, 0, [])) }
+  }
+
+  // Corpus statistics come from the whole index so filters don't change a document's score
+  const count = docs.length
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (count || 1) || 1
+  const frequency = (doc, term) => (Object.hasOwn(doc.terms, term) ? doc.terms[term] : 0)
+  const idf = Object.fromEntries(terms.map(term => {
+    const df = docs.reduce((n, doc) => n + (frequency(doc, term) ? 1 : 0), 0)
+    return [term, Math.log(1 + (count - df + 0.5) / (df + 0.5))]
+  }))
+
+  const scored = []
+  for (const doc of candidates) {
+    let score = 0
+    const matched = []
+    for (const term of terms) {
+      const tf = frequency(doc, term)
+      if (!tf) continue
+      matched.push(term)
+      score += idf[term] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength))
+    }
+    if (matched.length) scored.push(result(doc, Math.round(score * 1000) / 1000, matched))
+  }
+  scored.sort((a, b) => b.score - a.score || String(b.publishedAt).localeCompare(String(a.publishedAt)))
+  return { total: scored.length, results: scored.slice(0, limit) }
+}
@@ -0,0 +1,217 @@
+/**
+ * Publication analytics: posting cadence, categories, post length, content gaps, subscriber
+ * trend and coin holders, plus a markdown summary for editorial reviews
+ */
+
+import { holderMetrics, parseBalance } from "./holders.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+const isoDate = (date) => date.toISOString().slice(0, 10)
+
+/**
+ * Monday 00:00 UTC of the week containing date
+ */
+export function weekStart(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7))
+  return day
+}
+
+/**
+ * Words in a markdown body; images, link targets and markup characters don't count
+ */
+export function countWords(markdown) {
+  return String(markdown || "")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .split(/\s+/)
+    .filter(word => /[\p{L}\p{N}]/u.test(word))
+    .length
+}
+
+/**
+ * Posts per week for the `weeks` weeks up to and including the current one
+ */
+function cadence(posts, weeks, now) {
+  const published = posts.filter(post => post.publishedAt).map(post => Date.parse(post.publishedAt)).filter(Number.isFinite)
+  const first = weekStart(now).getTime() - (weeks - 1) * WEEK_MS
+  const counts = Array.from({ length: weeks }, (_, i) => ({ weekStart: isoDate(new Date(first + i * WEEK_MS)), posts: 0 }))
+  for (const time of published) {
+    const index = Math.floor((weekStart(new Date(time)).getTime() - first) / WEEK_MS)
+    if (index >= 0 && index < weeks) counts[index].posts++
+  }
+  const last = published.length ? Math.max(...published) : null
+  const inPeriod = counts.reduce((sum, week) => sum + week.posts, 0)
+  return {
+    weeks: counts,
+    postsInPeriod: inPeriod,
+    averagePerWeek: round(inPeriod / weeks),
+    lastPublishedAt: last ? new Date(last).toISOString() : null,
+    daysSinceLastPost: last ? Math.floor((now.getTime() - last) / DAY_MS) : null
+  }
+}
+
+/**
+ * Posts per category (lowercased), most used first
+ */
+function categoryDistribution(posts) {
+  const counts = new Map()
+  let uncategorized = 0
+  for (const post of posts) {
+    const categories = [...new Set((post.categories || []).map(category => String(category).toLowerCase()))]
+    if (!categories.length) uncategorized++
+    for (const category of categories) counts.set(category, (counts.get(category) || 0) + 1)
+  }
+  const items = [...counts]
+    .map(([category, count]) => ({ category, posts: count, share: posts.length ? round(count / posts.length, 4) : 0 }))
+    .sort((a, b) => b.posts - a.posts || a.category.localeCompare(b.category))
+  return { items, uncategorized }
+}
+
+/**
+ * Word counts over the posts that came with their markdown
+ */
+function postLength(posts) {
+  const measured = posts
+    .filter(post => typeof post.markdown === "string")
+    .map(post => ({ id: post.id, title: post.title, words: countWords(post.markdown) }))
+    .sort((a, b) => a.words - b.words)
+  if (!measured.length) return { measured: 0, averageWords: null, medianWords: null, shortest: null, longest: null }
+  const middle = Math.floor(measured.length / 2)
+  return {
+    measured: measured.length,
+    averageWords: Math.round(measured.reduce((sum, post) => sum + post.words, 0) / measured.length),
+    medianWords: measured.length % 2 ? measured[middle].words : Math.round((measured[middle - 1].words + measured[middle].words) / 2),
+    shortest: measured[0],
+    longest: measured[measured.length - 1]
+  }
+}
+
+/**
+ * Subscriber trend from stored daily snapshots (oldest first), limited to the report period
+ */
+function subscriberTrend(snapshots, weeks, now) {
+  const since = isoDate(new Date(weekStart(now).getTime() - (weeks - 1) * WEEK_MS))
+  const recent = snapshots.filter(snapshot => snapshot.date >= since)
+  const latest = snapshots[snapshots.length - 1] || null
+  const previous = snapshots[snapshots.length - 2] || null
+  return {
+    current: latest?.count ?? null,
+    changeSincePrevious: latest && previous ? latest.count - previous.count : null,
+    changeInPeriod: recent.length > 1 ? recent[recent.length - 1].count - recent[0].count : null,
+    snapshots: recent
+  }
+}
+
+/**
+ * Holder totals per coined post
+ * @param {Array<{ postId, title, coinId, ticker?, holders?, error? }>} coins
+ */
+function coinTotals(coins) {
+  const wallets = new Set()
+  const posts = coins.map(({ holders, ...coin }) => {
+    if (!holders) return { ...coin, holderCount: null, totalBalance: null }
+    for (const holder of holders) {
+      if (parseBalance(holder.balance) > 0n) wallets.add(holder.walletAddress.toLowerCase())
+    }
+    const { holderCount, totalBalance } = holderMetrics(holders, { topN: 0 })
+    return { ...coin, holderCount, totalBalance }
+  }).sort((a, b) => (b.holderCount ?? -1) - (a.holderCount ?? -1))
+  return {
+    coinedPosts: coins.length,
+    totalHolders: posts.reduce((sum, post) => sum + (post.holderCount || 0), 0),
+    uniqueHolders: wallets.size,
+    posts
+  }
+}
+
+/**
+ * Build the publication report
+ *
+ * @param {Object} input
+ * @param {Object} input.publication - { id, name?, slug? }
+ * @param {Array} input.posts - Every post, with markdown when available
+ * @param {Array<{ date: string, count: number }>} input.subscriberSnapshots - Oldest first
+ * @param {Array} input.coins - { postId, title, coinId, ticker, holders } per coined post (error instead of holders on failure)
+ * @param {number} [input.weeks=12] - Weeks covered by the cadence and subscriber trend
+ * @param {Date} [input.now]
+ */
+export function publicationStats({ publication, posts, subscriberSnapshots = [], coins = [], weeks = 12, now = new Date() }) {
+  const summary = (post) => ({ id: post.id, title: post.title, url: post.url || null })
+  return {
+    publication,
+    generatedAt: now.toISOString(),
+    periodWeeks: weeks,
+    totalPosts: posts.length,
+    cadence: cadence(posts, weeks, now),
+    categories: categoryDistribution(posts),
+    length: postLength(posts),
+    missing: {
+      cover: posts.filter(post => !post.imageUrl).map(summary),
+      preview: posts.filter(post => !post.postPreview && !post.subtitle).map(summary)
+    },
+    subscribers: subscriberTrend(subscriberSnapshots, weeks, now),
+    coins: coinTotals(coins)
+  }
+}
+
+const signed = (value) => (value > 0 ? `+${value}` : String(value))
+const percent = (share) => `${round(share * 100, 1)}%`
+
+/**
+ * Markdown summary of a publicationStats() report
+ */
+export function renderPublicationStats(report) {
+  const { cadence: c, categories, length, missing, subscribers, coins } = report
+  const name = report.publication.name || report.publication.slug || report.publication.id
+  const lines = [
+    `# Publication report: ${name}`,
+    "",
+    `Generated ${report.generatedAt.slice(0, 10)} · last ${report.periodWeeks} weeks`,
+    "",
+    "| Metric | Value |",
+    "| --- | --- |",
+    `| Posts (all time) | ${report.totalPosts} |`,
+    `| Posts in period | ${c.postsInPeriod} (${c.averagePerWeek}/week) |`,
+    `| Last post | ${c.lastPublishedAt ? `${c.lastPublishedAt.slice(0, 10)} (${c.daysSinceLastPost} days ago)` : "never"} |`,
+    `| Average length | ${length.averageWords === null ? "n/a" : `${length.averageWords} words (median ${length.medianWords})`} |`,
+    `| Subscribers | ${subscribers.current ?? "n/a"}${subscribers.changeInPeriod !== null ? ` (${signed(subscribers.changeInPeriod)} in period)` : ""} |`,
+    `| Coin holders | ${coins.totalHolders} across ${coins.coinedPosts} coined posts (${coins.uniqueHolders} unique wallets) |`,
+    "",
+    "## Posting cadence",
+    "",
+    "| Week of | Posts |",
+    "| --- | --- |",
+    ...c.weeks.map(week => `| ${week.weekStart} | ${week.posts} |`)
+  ]
+
+  if (categories.items.length || categories.uncategorized) {
+    lines.push("", "## Categories", "", "| Category | Posts | Share |", "| --- | --- | --- |")
+    lines.push(...categories.items.map(item => `| ${item.category} | ${item.posts} | ${percent(item.share)} |`))
+    if (categories.uncategorized) lines.push(`| _(none)_ | ${categories.uncategorized} | ${percent(categories.uncategorized / report.totalPosts)} |`)
+  }
+
+  const gaps = (title, posts) => {
+    lines.push("", `## ${title} (${posts.length})`, "")
+    lines.push(...(posts.length ? posts.map(post => `- ${post.url ? `[${post.title}](${post.url})` : post.title}`) : ["None."]))
+  }
+  gaps("Missing cover image", missing.cover)
+  gaps("Missing preview text", missing.preview)
+
+  if (subscribers.snapshots.length > 1) {
+    lines.push("", "## Subscriber trend", "", "| Date | Subscribers |", "| --- | --- |")
+    lines.push(...subscribers.snapshots.map(snapshot => `| ${snapshot.date} | ${snapshot.count} |`))
+  }
+
+  if (coins.posts.length) {
+    lines.push("", "## Coins", "", "| Post | Coin | Holders | Total balance |", "| --- | --- | --- | --- |")
+    for (const coin of coins.posts) {
+      const label = coin.ticker ? `$${coin.ticker.replace(/^\$/, "")}` : coin.coinId
+      lines.push(`| ${coin.title} | ${label} | ${coin.holderCount ?? `error: ${coin.error}`} | ${coin.totalBalance ?? "n/a"} |`)
+    }
+  }
+  return lines.join("\n") + "\n"
+}
@@ -0,0 +1,82 @@
+/**
+ * Local state store for the Paragraph skill
+ * Persists small JSON documents (drafts, queues, ledgers) under PARAGRAPH_STATE_DIR
+ */
+
+import { promises as fs } from "fs"
+import os from "os"
+import path from "path"
+import { clientContext } from "./context.js"
+
+/**
+ * Directory holding local skill state
+ * A client's own state dir wins; otherwise read lazily to respect per-agent env injection
+ * (default: ~/.openclaw/paragraph)
+ */
+export function stateDir() {
+  return clientContext.getStore()?.stateDir || process.env.PARAGRAPH_STATE_DIR || path.join(os.homedir(), ".openclaw", "paragraph")
+}
+
+/**
+ * Resolve a path inside the state directory
+ */
+export function statePath(...parts) {
+  return path.join(stateDir(), ...parts)
+}
+
+/**
+ * Read a JSON document from the state directory
+ * @param {string} name - File name relative to the state dir (e.g. "drafts.json")
+ * @param {any} fallback - Returned when the file does not exist yet
+ */
+export async function readState(name, fallback) {
+  try {
+    const text = await fs.readFile(statePath(name), "utf8")
+    return JSON.parse(text)
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback
+    throw new Error(`Could not read local state ${name}: ${e.message}`)
+  }
+}
+
+/**
+ * Write a JSON document to the state directory
+ * Writes to a temp file first so a crash never leaves a half-written document
+ */
+export async function writeState(name, data) {
+  const file = statePath(name)
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  const tmp = `${file}.${process.pid}.tmp`
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2))
+  await fs.rename(tmp, file)
+}
+
+// Pending read-modify-write chains, keyed by file path
+const locks = new Map()
+
+/**
+ * Read-modify-write a JSON document
+ * Calls are serialized per document so concurrent tool calls don't drop updates
+ * @param {string} name - File name relative to the state dir
+ * @param {any} fallback - Initial value when the file does not exist
+ * @param {Function} fn - Receives the current value and mutates it in place
+ * @returns {Promise<any>} The value returned by fn
+ */
+export async function updateState(name, fallback, fn) {
+  const key = statePath(name)
+  const previous = locks.get(key) || Promise.resolve()
+  let result
+  const run = previous.then(async () => {
+    const current = await readState(name, fallback)
+    result = await fn(current)
+    await writeState(name, current)
+  })
+  const settled = run.catch(() => {})
+  locks.set(key, settled)
+  try {
+    await run
+  } finally {
+    if (locks.get(key) === settled) locks.delete(key)
+  }
+  return result
+}
@@ -0,0 +1,385 @@
+/**
+ * Pre-publish validation for Paragraph posts
+ * Enforces the documented API limits and lints the markdown body before anything is sent.
+ * Used by paragraph_createPost, the draft tools and paragraph_validatePost (dry run).
+ */
+
+import { ParagraphError } from "./errors.js"
+
+// Field limits from the Paragraph API docs
+export const LIMITS = {
+  title: 200,
+  subtitle: 300,
+  postPreview: 500,
+  slugMin: 1,
+  slugMax: 256
+}
+
+// Lowercase letters/digits separated by single hyphens, e.g. "my-web3-journey"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+/**
+ * Error thrown when post fields or tool arguments fail validation (code VALIDATION_ERROR)
+ * `details` holds the structured issues ({ field, message }) for the tool response
+ */
+export class ValidationError extends ParagraphError {
+  constructor(errors) {
+    super(`Validation failed: ${errors.map(e => `${e.field}: ${e.message}`).join("; ")}`, { code: "VALIDATION_ERROR", details: errors })
+    this.name = "ValidationError"
+  }
+}
+
+/**
+ * Normalize categories from an array or a comma-separated string
+ * Trims entries, drops empties and removes case-insensitive duplicates (first spelling wins).
+ * @returns {string[]|null} null when the input is not a string or array of strings
+ */
+export function normalizeCategories(categories) {
+  let list
+  if (typeof categories === "string") {
+    list = categories.split(",")
+  } else if (Array.isArray(categories) && categories.every(c => typeof c === "string")) {
+    list = categories
+  } else {
+    return null
+  }
+
+  const seen = new Set()
+  const result = []
+  for (const raw of list) {
+    const category = raw.trim()
+    if (!category || seen.has(category.toLowerCase())) continue
+    seen.add(category.toLowerCase())
+    result.push(category)
+  }
+  return result
+}
+
+/**
+ * Whether an image reference points at a local file (relative/absolute path or file: URL)
+ * rather than a hosted image
+ */
+export function isLocalImageRef(value) {
+  if (typeof value !== "string" || !value || value.startsWith("//")) return false
+  return value.startsWith("file:") || !/^[a-z][a-z0-9+.-]*:/i.test(value)
+}
+
+/**
+ * Whether a reference is relative (a path, query or fragment with no scheme or host)
+ */
+function isRelativeRef(value) {
+  return !!value && !value.startsWith("//") && !/^[a-z][a-z0-9+.-]*:/i.test(value)
+}
+
+/**
+ * Classify a URL found in a post
+ * @returns {"ok"|"insecure"|"malformed"}
+ */
+function checkUrl(value) {
+  let url
+  try {
+    url = new URL(value)
+  } catch (e) {
+    return "malformed"
+  }
+  if (url.protocol === "https:") return "ok"
+  if (url.protocol === "http:") return "insecure"
+  return "malformed"
+}
+
+/**
+ * Strip fenced code blocks and inline code so their contents are not linted as markup
+ */
+function stripCode(markdown) {
+  return markdown
+    .replace(/^\s*(```|~~~)[^\n]*\n[\s\S]*?^\s*\1\s*$/gm, "")
+    .replace(/`[^`\n]+`/g, "")
+}
+
+/**
+ * Find image and link references in markdown
+ * @returns {Array<{ kind: "image"|"link", url: string, line: number }>}
+ */
+export function extractMarkdownUrls(markdown) {
+  const refs = []
+  const lines = stripCode(markdown).split("\n")
+  lines.forEach((line, i) => {
+    const inline = /(!?)\[[^\]]*\]\(\s*<?([^)\s>]*)>?(?:\s+["'][^"']*["'])?\s*\)/g
+    let match
+    while ((match = inline.exec(line))) {
+      refs.push({ kind: match[1] ? "image" : "link", url: match[2], line: i + 1 })
+    }
+    const definition = line.match(/^\s{0,3}\[[^\]]+\]:\s*<?(\S+?)>?(?:\s+["'(].*)?$/)
+    if (definition) refs.push({ kind: "link", url: definition[1], line: i + 1 })
+    const autolink = /<((?:https?|ftp):[^>\s]+)>/g
+    while ((match = autolink.exec(line))) {
+      refs.push({ kind: "link", url: match[1], line: i + 1 })
+    }
+  })
+  return refs
+}
+
+/**
+ * Lint a markdown body for structural problems and bad URLs
+ * @param {string} markdown
+ * @param {Object} [options]
+ * @param {boolean} [options.allowLocalImages] - Accept local image paths (they are uploaded before publishing)
+ * @returns {{ errors: Array, warnings: Array }}
+ */
+export function lintMarkdown(markdown, { allowLocalImages = false } = {}) {
+  const errors = []
+  const warnings = []
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n")
+
+  // Code fences must be closed; headings must have text (outside code blocks)
+  let fence = null
+  lines.forEach((line, i) => {
+    const marker = line.match(/^\s*(```|~~~)/)
+    if (marker) {
+      if (!fence) fence = { marker: marker[1], line: i + 1 }
+      else if (marker[1] === fence.marker) fence = null
+      return
+    }
+    if (!fence && /^\s{0,3}#{1,6}\s*#*\s*$/.test(line)) {
+      errors.push({ field: "markdown", line: i + 1, message: `Empty heading on line ${i + 1}` })
+    }
+  })
+  if (fence) {
+    errors.push({ field: "markdown", line: fence.line, message: `Unclosed code fence opened on line ${fence.line}` })
+  }
+
+  for (const ref of extractMarkdownUrls(markdown)) {
+    if (ref.kind === "link" && (ref.url.startsWith("#") || ref.url.startsWith("mailto:"))) continue
+    if (ref.kind === "image" && isLocalImageRef(ref.url)) {
+      if (!allowLocalImages) {
+        errors.push({ field: "markdown", line: ref.line, message: `Local image path on line ${ref.line}: "${ref.url}" (use an https URL or let createPost upload it)` })
+      }
+      continue
+    }
+    // Relative links are valid markdown but resolve against the post's own URL on Paragraph
+    if (ref.kind === "link" && isRelativeRef(ref.url)) {
+      warnings.push({ field: "markdown", line: ref.line, message: `Relative link on line ${ref.line}: "${ref.url}" (resolves against the post's URL; use an absolute URL to link elsewhere)` })
+      continue
+    }
+    const status = checkUrl(ref.url)
+    if (status === "malformed") {
+      errors.push({ field: "markdown", line: ref.line, message: `Malformed ${ref.kind} URL on line ${ref.line}: "${ref.url}"` })
+    } else if (status === "insecure") {
+      // Insecure images are blocked as mixed content on the HTTPS post page; links still work
+      const issue = { field: "markdown", line: ref.line, message: `Non-HTTPS ${ref.kind} URL on line ${ref.line}: ${ref.url}` }
+      if (ref.kind === "image") errors.push(issue)
+      else warnings.push(issue)
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Validate a coin configuration, collecting issues under coin.* fields
+ * Returns the normalized `coinData` payload (ticker uppercased, leading $ removed).
+ */
+function checkCoin(coin, errors) {
+  if (typeof coin !== "object" || coin === null || Array.isArray(coin)) {
+    errors.push({ field: "coin", message: "coin must be an object with ticker and name" })
+    return null
+  }
+
+  const ticker = typeof coin.ticker === "string" ? coin.ticker.trim().replace(/^\$/, "").toUpperCase() : ""
+  if (!/^[A-Z0-9]{2,10}$/.test(ticker)) {
+    errors.push({ field: "coin.ticker", message: "coin.ticker is required and must be 2-10 letters or digits" })
+  }
+
+  const name = typeof coin.name === "string" ? coin.name.trim() : ""
+  if (!name || name.length > 100) {
+    errors.push({ field: "coin.name", message: "coin.name is required and must be at most 100 characters" })
+  }
+
+  const coinData = { ticker, name }
+
+  if (coin.supply !== undefined) {
+    if (!Number.isSafeInteger(coin.supply) || coin.supply <= 0) {
+      errors.push({ field: "coin.supply", message: "coin.supply must be a positive integer" })
+    }
+    coinData.supply = coin.supply
+  }
+
+  if (coin.initialPrice !== undefined) {
+    if (typeof coin.initialPrice !== "number" || !Number.isFinite(coin.initialPrice) || coin.initialPrice <= 0) {
+      errors.push({ field: "coin.initialPrice", message: "coin.initialPrice must be a positive number" })
+    }
+    coinData.initialPrice = coin.initialPrice
+  }
+
+  if (coin.metadata !== undefined) {
+    if (typeof coin.metadata !== "object" || coin.metadata === null || Array.isArray(coin.metadata)) {
+      errors.push({ field: "coin.metadata", message: "coin.metadata must be an object" })
+    } else {
+      for (const [key, value] of Object.entries(coin.metadata)) {
+        if (typeof value !== "string") {
+          errors.push({ field: `coin.metadata.${key}`, message: `coin.metadata.${key} must be a string` })
+        }
+      }
+      coinData.metadata = { ...coin.metadata }
+    }
+  }
+
+  return coinData
+}
+
+/**
+ * Check a string field's type and maximum length
+ */
+function checkText(post, field, max, errors) {
+  const value = post[field]
+  if (value === undefined || value === null || value === "") return
+  if (typeof value !== "string") {
+    errors.push({ field, message: `${field} must be a string` })
+  } else if (value.length > max) {
+    errors.push({ field, message: `${field} must be at most ${max} characters (got ${value.length})` })
+  }
+}
+
+/**
+ * Validate post fields before publishing
+ *
+ * @param {Object} post - paragraph_createPost parameters
+ * @param {Object} [options]
+ * @param {boolean} [options.allowLocalImages] - Accept local image paths in imageUrl and markdown
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string, line?: number}>, warnings: Array, normalized: Object }}
+ *   `normalized` holds the cleaned fields to send (categories as an array, coin as coinData)
+ */
+export function validatePost(post = {}, { allowLocalImages = false } = {}) {
+  const errors = []
+  const warnings = []
+  const normalized = {}
+
+  if (!post.title) errors.push({ field: "title", message: "title is required" })
+  if (!post.markdown) errors.push({ field: "markdown", message: "markdown is required" })
+  else if (typeof post.markdown !== "string") errors.push({ field: "markdown", message: "markdown must be a string" })
+
+  checkText(post, "title", LIMITS.title, errors)
+  checkText(post, "subtitle", LIMITS.subtitle, errors)
+  checkText(post, "postPreview", LIMITS.postPreview, errors)
+
+  if (post.slug !== undefined && post.slug !== null && post.slug !== "") {
+    if (typeof post.slug !== "string") {
+      errors.push({ field: "slug", message: "slug must be a string" })
+    } else if (post.slug.length < LIMITS.slugMin || post.slug.length > LIMITS.slugMax) {
+      errors.push({ field: "slug", message: `slug must be ${LIMITS.slugMin}-${LIMITS.slugMax} characters` })
+    } else if (!SLUG_PATTERN.test(post.slug)) {
+      errors.push({ field: "slug", message: "slug may only contain lowercase letters, digits and single hyphens (e.g. \"my-post\")" })
+    } else {
+      normalized.slug = post.slug
+    }
+  }
+
+  if (post.imageUrl && allowLocalImages && isLocalImageRef(post.imageUrl)) {
+    // Uploaded and replaced with the hosted URL before publishing
+  } else if (post.imageUrl) {
+    const status = typeof post.imageUrl === "string" ? checkUrl(post.imageUrl) : "malformed"
+    if (status === "malformed") errors.push({ field: "imageUrl", message: "imageUrl must be an absolute https:// URL" })
+    else if (status === "insecure") errors.push({ field: "imageUrl", message: "imageUrl must use HTTPS" })
+    else normalized.imageUrl = post.imageUrl
+  }
+
+  if (post.categories !== undefined && post.categories !== null) {
+    const categories = normalizeCategories(post.categories)
+    if (!categories) {
+      errors.push({ field: "categories", message: "categories must be an array of strings or a comma-separated string" })
+    } else if (categories.length) {
+      normalized.categories = categories
+    }
+  }
+
+  if (post.sendNewsletter !== undefined && typeof post.sendNewsletter !== "boolean") {
+    errors.push({ field: "sendNewsletter", message: "sendNewsletter must be a boolean" })
+  }
+
+  if (typeof post.markdown === "string" && post.markdown) {
+    const lint = lintMarkdown(post.markdown, { allowLocalImages })
+    errors.push(...lint.errors)
+    warnings.push(...lint.warnings)
+  }
+
+  if (post.coin) {
+    normalized.coinData = checkCoin(post.coin, errors)
+  }
+
+  for (const field of ["title", "markdown", "subtitle", "postPreview"]) {
+    if (typeof post[field] === "string" && post[field]) normalized[field] = post[field]
+  }
+  normalized.sendNewsletter = post.sendNewsletter === true
+
+  return { valid: errors.length === 0, errors, warnings, normalized }
+}
+
+// JSON Schema type checks ("integer" must be a whole number, "number" finite)
+const JSON_TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => typeof value === "object" && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null
+}
+
+const TYPE_NAMES = { string: "a string", number: "a number", integer: "an integer", boolean: "a boolean", object: "an object", array: "an array", null: "null" }
+
+/**
+ * Check a value against a tool's JSON Schema
+ * Covers the subset the tool schemas use: type (or a list of types), properties, required,
+ * additionalProperties: false, items, enum, minimum, minLength, minItems and anyOf of alternative
+ * required fields. Optional properties that are null are treated as omitted.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [field] - Path of value in the arguments, used in messages
+ * @returns {Array<{ field: string, message: string }>} Empty when the value matches
+ */
+export function checkSchema(schema, value, field = "") {
+  const name = field || "arguments"
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => JSON_TYPES[type](value))) {
+      return [{ field: name, message: `${name} must be ${types.map(type => TYPE_NAMES[type]).join(" or ")}` }]
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field: name, message: `${name} must be one of: ${schema.enum.join(", ")}` }]
+  }
+
+  const errors = []
+  if (typeof value === "string" && schema.minLength && value.length < schema.minLength) {
+    errors.push({ field: name, message: schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters` })
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field: name, message: `${name} must be at least ${schema.minimum}` })
+  }
+  if (Array.isArray(value) && schema.minItems && value.length < schema.minItems) {
+    errors.push({ field: name, message: schema.minItems === 1 ? `${name} must not be empty` : `${name} must have at least ${schema.minItems} items` })
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...checkSchema(schema.items, item, `${name}[${i}]`)))
+  }
+
+  if (JSON_TYPES.object(value)) {
+    const path = (key) => field ? `${field}.${key}` : key
+    const required = schema.required || []
+    for (const key of required) {
+      if (value[key] === undefined || value[key] === null) errors.push({ field: path(key), message: `${path(key)} is required` })
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined || (item === null && !required.includes(key))) continue
+      const property = schema.properties?.[key]
+      if (property) errors.push(...checkSchema(property, item, path(key)))
+      else if (schema.additionalProperties === false) errors.push({ field: path(key), message: `Unknown parameter ${path(key)}` })
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => !checkSchema(option, value, field).length)) {
+      const names = schema.anyOf.flatMap(option => option.required || [])
+      errors.push({ field: path(names[0]), message: `At least one of ${names.join(" or ")} is required` })
+    }
+  }
+  return errors
+}
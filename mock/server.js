@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Paragraph API server for offline development and tests
+ * Mimics the endpoints skill.js uses (posts, feed, tags, publications, subscribers and import,
+ * coins, holders, users, image uploads) on top of seeded fixtures, with cursor pagination,
+ * ETags, onchain-processing simulation and injectable faults (429/5xx/delays).
+ *
+ * Programmatic:
+ *   const mock = await startMockServer()
+ *   process.env.PARAGRAPH_API_BASE_URL = mock.baseUrl
+ *   mock.inject({ path: "/v1/posts/feed", status: 429, retryAfter: 0 })
+ *   await mock.close()
+ *
+ * CLI:
+ *   node mock/server.js [--port 4010] [--fixtures ./my-fixtures.json]
+ *   Faults can then be injected over HTTP: POST /__mock/faults, DELETE /__mock/faults, POST /__mock/reset
+ */
+
+import { createHash } from "crypto"
+import { readFileSync } from "fs"
+import http from "http"
+import path from "path"
+import { fileURLToPath } from "url"
+
+const DEFAULT_FIXTURES = fileURLToPath(new URL("./fixtures.json", import.meta.url))
+const MAX_LIMIT = 100
+const IMAGE_HOST = "https://storage.mock.paragraph.test"
+
+/**
+ * Load a fixtures file (default: mock/fixtures.json)
+ */
+export function loadFixtures(file = DEFAULT_FIXTURES) {
+  return JSON.parse(readFileSync(file, "utf8"))
+}
+
+/**
+ * Build mutable server state from fixtures (deep-copied, so fixtures can be reused)
+ */
+function seedState(fixtures) {
+  const data = structuredClone(fixtures)
+  const publications = data.publications || []
+  const postUrl = (post) => {
+    const pub = publications.find(p => p.id === post.publicationId)
+    return post.slug ? `https://paragraph.com/@${pub?.slug || "unknown"}/${post.slug}` : null
+  }
+  return {
+    apiKeys: data.apiKeys || {},
+    publications,
+    posts: (data.posts || []).map(post => ({ ...post, url: post.url || postUrl(post), processingPolls: 0 })),
+    subscribers: data.subscribers || {},
+    coins: data.coins || [],
+    users: data.users || [],
+    nextId: 1000
+  }
+}
+
+// Cursors are opaque to clients; here they are just a base64url offset
+const encodeCursor = (offset) => Buffer.from(String(offset)).toString("base64url")
+const decodeCursor = (cursor) => (cursor ? Number(Buffer.from(cursor, "base64url").toString()) || 0 : 0)
+
+/**
+ * Slice a list into a page in the API's { items, pagination } shape
+ */
+function paginateList(list, query, defaultLimit, key = "items") {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(query.get("limit")) || defaultLimit))
+  const offset = decodeCursor(query.get("cursor"))
+  const items = list.slice(offset, offset + limit)
+  const next = offset + items.length
+  const hasMore = next < list.length
+  return { [key]: items, pagination: { cursor: hasMore ? encodeCursor(next) : null, hasMore, total: list.length } }
+}
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "post"
+const newestFirst = (a, b) => String(b.publishedAt).localeCompare(String(a.publishedAt))
+
+/**
+ * Parse the email,wallet_address,tags CSV the import endpoint accepts (simple rows only)
+ */
+function parseImportCsv(text) {
+  const [header, ...lines] = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter(line => line.trim())
+  const columns = (header || "").split(",").map(c => c.trim().toLowerCase())
+  return lines.map(line => {
+    const cells = line.split(",")
+    const value = (names) => {
+      const index = columns.findIndex(c => names.includes(c))
+      return index >= 0 ? (cells[index] || "").trim() : ""
+    }
+    return { email: value(["email"]), walletAddress: value(["wallet_address", "wallet", "walletaddress"]) }
+  })
+}
+
+/**
+ * Start the mock server
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - Seed data (default mock/fixtures.json)
+ * @param {number} [options.port] - Port (default 0 = random free port)
+ * @param {number} [options.processingPolls] - GETs of a new post that still show it processing (default 1)
+ * @param {Object} [options.rateLimit] - Emit x-ratelimit-* headers: { limit, windowMs }
+ * @returns {Promise<{ url, baseUrl, state, requests, inject, clearFaults, reset, close }>}
+ */
+export async function startMockServer({ fixtures = loadFixtures(), port = 0, processingPolls = 1, rateLimit = null } = {}) {
+  let state = seedState(fixtures)
+  let faults = []
+  const requests = []
+  let budget = rateLimit ? { remaining: rateLimit.limit, resetAt: Date.now() + rateLimit.windowMs } : null
+
+  const publicationById = (id) => state.publications.find(p => p.id === id)
+  const publicationBySlug = (slug) => state.publications.find(p => p.slug === slug.replace(/^@/, ""))
+  const withPublication = (post) => {
+    const pub = publicationById(post.publicationId)
+    const { processingPolls: _, requestedSlug: __, ...rest } = post
+    return { ...rest, publication: pub ? { id: pub.id, slug: pub.slug, customDomain: pub.customDomain || null } : null }
+  }
+  const published = () => state.posts.filter(p => p.slug && p.url).sort(newestFirst)
+  const summary = (post, includeContent) => {
+    const full = withPublication(post)
+    if (!includeContent) delete full.markdown
+    return full
+  }
+
+  // Simulated onchain processing: slug/url (and the coin contract) appear after N GETs
+  const finishProcessing = (post) => {
+    if (post.processingPolls > 0) {
+      post.processingPolls--
+      return
+    }
+    if (post.url) return
+    const pub = publicationById(post.publicationId)
+    post.slug = post.requestedSlug || slugify(post.title)
+    post.url = `https://paragraph.com/@${pub?.slug || "unknown"}/${post.slug}`
+    const coin = state.coins.find(c => c.id === post.coinId)
+    if (coin && !coin.contractAddress) {
+      coin.contractAddress = `0x${createHash("sha256").update(coin.id).digest("hex").slice(0, 40)}`
+    }
+  }
+
+  /**
+   * Route a request; returns [status, body] (body null for empty responses)
+   */
+  async function route(method, pathname, query, req, rawBody) {
+    const auth = req.headers.authorization || ""
+    const key = auth.replace(/^Bearer\s+/i, "")
+    const keyNames = Object.keys(state.apiKeys)
+    if (!key || (keyNames.length && !state.apiKeys[key])) return [401, { msg: "Invalid or missing API key" }]
+    const myPubId = state.apiKeys[key] || state.publications[0]?.id
+    const json = () => {
+      try {
+        return JSON.parse(rawBody.toString("utf8") || "{}")
+      } catch (e) {
+        return null
+      }
+    }
+    let m
+
+    if (method === "GET" && pathname === "/v1/posts/feed") {
+      return [200, paginateList(published().map(p => summary(p, false)), query, 20)]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/posts\/tag\/([^/]+)$/))) {
+      const tag = decodeURIComponent(m[1]).toLowerCase()
+      const posts = published().filter(p => (p.categories || []).some(c => c.toLowerCase() === tag))
+      return [200, paginateList(posts.map(p => summary(p, query.get("includeContent") === "true")), query, 20)]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/posts\/([^/]+)$/))) {
+      const post = state.posts.find(p => p.id === decodeURIComponent(m[1]))
+      if (!post) return [404, { msg: "Post not found" }]
+      finishProcessing(post)
+      return [200, withPublication(post)]
+    }
+    if (method === "POST" && pathname === "/v1/posts") {
+      const body = json()
+      if (!body || !body.title || !body.markdown) return [400, { msg: "title and markdown are required" }]
+      const post = {
+        id: `post_${state.nextId++}`,
+        publicationId: myPubId,
+        title: body.title,
+        subtitle: body.subtitle || null,
+        markdown: body.markdown,
+        imageUrl: body.imageUrl || null,
+        categories: body.categories || [],
+        requestedSlug: body.slug || null,
+        slug: null,
+        url: null,
+        publishedAt: new Date().toISOString(),
+        sendNewsletter: !!body.sendNewsletter,
+        processingPolls
+      }
+      if (body.coinData) {
+        const coin = { id: `coin_${state.nextId++}`, postId: post.id, contractAddress: null, holders: [], ...body.coinData }
+        state.coins.push(coin)
+        post.coinId = coin.id
+      }
+      state.posts.push(post)
+      return [200, { id: post.id }]
+    }
+
+    if (method === "GET" && (m = pathname.match(/^\/publications\/slug\/([^/]+)\/posts\/slug\/([^/]+)$/))) {
+      const pub = publicationBySlug(decodeURIComponent(m[1]))
+      const post = pub && state.posts.find(p => p.publicationId === pub.id && p.slug === decodeURIComponent(m[2]))
+      return post ? [200, withPublication(post)] : [404, { msg: "Post not found" }]
+    }
+    if (method === "GET" && (m = pathname.match(/^(?:\/v1)?\/publications\/slug\/([^/]+)$/))) {
+      const pub = publicationBySlug(decodeURIComponent(m[1]))
+      return pub ? [200, pub] : [404, { msg: "Publication not found" }]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/publications\/domain\/([^/]+)$/))) {
+      const pub = state.publications.find(p => p.customDomain === decodeURIComponent(m[1]))
+      return pub ? [200, pub] : [404, { msg: "Publication not found" }]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/publications\/([^/]+)\/posts$/))) {
+      if (!publicationById(m[1])) return [404, { msg: "Publication not found" }]
+      const posts = state.posts.filter(p => p.publicationId === m[1]).sort(newestFirst)
+      return [200, paginateList(posts.map(p => summary(p, query.get("includeContent") === "true")), query, 10)]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/publications\/([^/]+)\/subscribers\/count$/))) {
+      if (!publicationById(m[1])) return [404, { msg: "Publication not found" }]
+      return [200, { count: (state.subscribers[m[1]] || []).length }]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/publications\/([^/]+)$/))) {
+      const pub = publicationById(m[1])
+      return pub ? [200, pub] : [404, { msg: "Publication not found" }]
+    }
+
+    const subscribers = (state.subscribers[myPubId] ||= [])
+    if (method === "GET" && pathname === "/v1/subscribers") {
+      return [200, paginateList(subscribers, query, 10)]
+    }
+    if (method === "POST" && pathname === "/v1/subscribers") {
+      const body = json()
+      if (!body || (!body.email && !body.wallet)) return [400, { msg: "email or wallet is required" }]
+      const exists = subscribers.some(s => (body.email && s.email?.toLowerCase() === body.email.toLowerCase()) ||
+        (body.wallet && s.walletAddress?.toLowerCase() === body.wallet.toLowerCase()))
+      if (!exists) subscribers.push({ email: body.email || null, walletAddress: body.wallet || null, createdAt: new Date().toISOString() })
+      return [200, { success: true }]
+    }
+    if (method === "POST" && pathname === "/v1/subscribers/import") {
+      const form = await new Request("http://mock/import", { method, headers: { "content-type": req.headers["content-type"] || "" }, body: rawBody })
+        .formData()
+        .catch(() => null)
+      const file = form?.get("file")
+      if (!file || typeof file === "string") return [400, { msg: "invalid format: expected a CSV file field" }]
+      let imported = 0
+      let skipped = 0
+      const rows = parseImportCsv(await file.text())
+      for (const row of rows) {
+        const duplicate = subscribers.some(s => (row.email && s.email?.toLowerCase() === row.email.toLowerCase()) ||
+          (row.walletAddress && s.walletAddress?.toLowerCase() === row.walletAddress.toLowerCase()))
+        if ((!row.email && !row.walletAddress) || duplicate) {
+          skipped++
+          continue
+        }
+        subscribers.push({ email: row.email || null, walletAddress: row.walletAddress || null, createdAt: new Date().toISOString() })
+        imported++
+      }
+      return [200, { imported, skipped, total: rows.length }]
+    }
+
+    if (method === "GET" && pathname === "/v1/coins/list/popular") {
+      return [200, { coins: state.coins.filter(c => c.contractAddress).map(({ holders, ...coin }) => coin) }]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/coins\/contract\/([^/]+)$/))) {
+      const coin = state.coins.find(c => c.contractAddress?.toLowerCase() === decodeURIComponent(m[1]).toLowerCase())
+      if (!coin) return [404, { msg: "Coin not found" }]
+      const { holders, ...rest } = coin
+      return [200, rest]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/coins\/([^/]+)\/holders$/))) {
+      const coin = state.coins.find(c => c.id === m[1])
+      return coin ? [200, paginateList(coin.holders || [], query, 50, "holders")] : [404, { msg: "Coin not found" }]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/coins\/([^/]+)$/))) {
+      const coin = state.coins.find(c => c.id === m[1])
+      if (!coin) return [404, { msg: "Coin not found" }]
+      const { holders, ...rest } = coin
+      return [200, rest]
+    }
+
+    if (method === "GET" && (m = pathname.match(/^\/v1\/users\/wallet\/([^/]+)$/))) {
+      const user = state.users.find(u => u.walletAddress?.toLowerCase() === decodeURIComponent(m[1]).toLowerCase())
+      return user ? [200, user] : [404, { msg: "User not found" }]
+    }
+    if (method === "GET" && (m = pathname.match(/^\/v1\/users\/([^/]+)$/))) {
+      const user = state.users.find(u => u.id === m[1])
+      return user ? [200, user] : [404, { msg: "User not found" }]
+    }
+
+    if (method === "POST" && pathname === "/v1/images") {
+      const hash = createHash("sha256").update(rawBody).digest("hex").slice(0, 16)
+      return [200, { url: `${IMAGE_HOST}/images/${hash}` }]
+    }
+
+    return [404, { msg: `No mock route for ${method} ${pathname}` }]
+  }
+
+  /**
+   * First injected fault matching this request (consumed according to `times`)
+   */
+  function takeFault(method, pathname) {
+    const index = faults.findIndex(f =>
+      (!f.method || f.method.toUpperCase() === method) &&
+      (!f.path || (f.path instanceof RegExp ? f.path.test(pathname) : pathname.startsWith(f.path))))
+    if (index < 0) return null
+    const fault = faults[index]
+    if (--fault.remaining <= 0) faults.splice(index, 1)
+    return fault
+  }
+
+  /**
+   * Handle mock control endpoints (/__mock/*)
+   */
+  function control(method, pathname, rawBody) {
+    if (pathname === "/__mock/faults" && method === "POST") {
+      const fault = JSON.parse(rawBody.toString("utf8") || "{}")
+      if (fault.pathPattern) fault.path = new RegExp(fault.pathPattern)
+      inject(fault)
+      return [200, { faults: faults.length }]
+    }
+    if (pathname === "/__mock/faults" && method === "DELETE") {
+      clearFaults()
+      return [200, { faults: 0 }]
+    }
+    if (pathname === "/__mock/reset" && method === "POST") {
+      reset()
+      return [200, { reset: true }]
+    }
+    if (pathname === "/__mock/requests" && method === "GET") return [200, { requests }]
+    return [404, { msg: "Unknown mock control endpoint" }]
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = []
+    for await (const chunk of req) chunks.push(chunk)
+    const rawBody = Buffer.concat(chunks)
+    const url = new URL(req.url, "http://mock")
+    const method = req.method.toUpperCase()
+    const headers = { "content-type": "application/json" }
+    const send = (status, body) => {
+      if (body === null || status === 204 || status === 304) {
+        res.writeHead(status, headers)
+        res.end()
+      } else {
+        res.writeHead(status, headers)
+        res.end(JSON.stringify(body))
+      }
+    }
+
+    try {
+      if (url.pathname.startsWith("/__mock/")) return send(...control(method, url.pathname, rawBody))
+      if (!url.pathname.startsWith("/api/")) return send(404, { msg: "Mock API lives under /api" })
+      const pathname = url.pathname.slice("/api".length)
+      requests.push({ method, path: pathname, query: Object.fromEntries(url.searchParams), headers: req.headers })
+
+      if (budget) {
+        if (Date.now() >= budget.resetAt) budget = { remaining: rateLimit.limit, resetAt: Date.now() + rateLimit.windowMs }
+        budget.remaining = Math.max(0, budget.remaining - 1)
+        headers["x-ratelimit-limit"] = String(rateLimit.limit)
+        headers["x-ratelimit-remaining"] = String(budget.remaining)
+        headers["x-ratelimit-reset"] = String(Math.ceil((budget.resetAt - Date.now()) / 1000))
+      }
+
+      const fault = takeFault(method, pathname)
+      if (fault?.delayMs) await new Promise(r => setTimeout(r, fault.delayMs))
+      if (fault?.status) {
+        if (fault.retryAfter !== undefined) headers["retry-after"] = String(fault.retryAfter)
+        Object.assign(headers, fault.headers)
+        return send(fault.status, fault.body ?? { msg: `Injected ${fault.status}` })
+      }
+
+      const [status, body] = await route(method, pathname, url.searchParams, req, rawBody)
+      if (method === "GET" && status === 200) {
+        const etag = `"${createHash("sha256").update(JSON.stringify(body)).digest("hex").slice(0, 16)}"`
+        headers.etag = etag
+        if (req.headers["if-none-match"] === etag) return send(304, null)
+      }
+      return send(status, body)
+    } catch (error) {
+      return send(500, { msg: `Mock server error: ${error.message}` })
+    }
+  })
+
+  await new Promise(resolve => server.listen(port, "127.0.0.1", resolve))
+  const origin = `http://127.0.0.1:${server.address().port}`
+
+  /**
+   * Inject a fault: { method?, path? (prefix or RegExp), status?, body?, headers?, retryAfter? (seconds),
+   * delayMs?, times? (default 1, Infinity for every request) }
+   */
+  function inject(fault) {
+    faults.push({ ...fault, remaining: fault.times ?? 1 })
+  }
+
+  function clearFaults() {
+    faults = []
+  }
+
+  /**
+   * Restore the seeded fixtures and drop faults and the request log
+   */
+  function reset() {
+    state = seedState(fixtures)
+    faults = []
+    requests.length = 0
+  }
+
+  return {
+    url: origin,
+    baseUrl: `${origin}/api`,
+    get state() {
+      return state
+    },
+    requests,
+    inject,
+    clearFaults,
+    reset,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.()
+      server.close(() => resolve())
+    })
+  }
+}
+
+// CLI: node mock/server.js [--port N] [--fixtures file]
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const arg = (name) => {
+    const index = process.argv.indexOf(`--${name}`)
+    return index > 0 ? process.argv[index + 1] : undefined
+  }
+  const fixturesFile = arg("fixtures")
+  const mock = await startMockServer({
+    port: Number(arg("port") || 4010),
+    fixtures: fixturesFile ? loadFixtures(path.resolve(fixturesFile)) : loadFixtures()
+  })
+  console.log(`Mock Paragraph API listening on ${mock.url}`)
+  console.log(`export PARAGRAPH_API_BASE_URL=${mock.baseUrl}`)
+  console.log(`export PARAGRAPH_API_KEY=${Object.keys(mock.state.apiKeys)[0] || "any_key"}`)
+}
@@ -5,39 +5,388 @@
  * Uses native fetch to interact with Paragraph.com API
  */
 
+import { AsyncLocalStorage } from "async_hooks"
+import { createHash, randomUUID } from "crypto"
+import { promises as fs } from "fs"
+import path from "path"
+import { readState, stateDir, statePath, updateState, writeState } from "./lib/store.js"
+import { clientContext } from "./lib/context.js"
+import { parseFrontMatter, postFromFrontMatter, setFrontMatterFields, stringifyFrontMatter } from "./lib/frontmatter.js"
+import { renderMarkdown } from "./lib/markdown.js"
+import { checkSchema, validatePost, ValidationError } from "./lib/validate.js"
+import { errorFields, fetchError, httpError, ParagraphError } from "./lib/errors.js"
+import { TOOL_SCHEMAS } from "./lib/schemas.js"
+import { checkImageFile, findLocalImages, rewriteImageRefs } from "./lib/images.js"
+import { parseCsv, toCsv } from "./lib/csv.js"
+import { diffSnapshots, holderMetrics, parseBalance, renderCoinReport, renderSnapshotDiff } from "./lib/holders.js"
+import { publicationStats, renderPublicationStats } from "./lib/stats.js"
+import { indexDocument, searchDocuments } from "./lib/search.js"
+import { checkWalletAddress } from "./lib/keccak.js"
+import { collectPages, normalizePage, paginate, paginatePages } from "./lib/paginate.js"
+import { createDiskCache, createMemoryCache } from "./lib/cache.js"
+import { appendJsonl, filterEvents, LOG_LEVELS, readJsonl, redact, resultIds } from "./lib/audit.js"
+
 // Configuration
-const API_BASE = process.env.PARAGRAPH_API_BASE_URL || "https://public.api.paragraph.com/api"
-// NOTE: API_KEY is read lazily inside request() to respect per-agent env injection
-let DEFAULT_PUBLICATION_ID = process.env.PARAGRAPH_PUBLICATION_ID || null
-// Publication slug (for URL building) - can be set manually via env var or auto-discovered
-let DEFAULT_PUBLICATION_SLUG = process.env.PARAGRAPH_PUBLICATION_SLUG || null
+const DEFAULT_API_BASE = "https://public.api.paragraph.com/api"
+
+/**
+ * Connection and discovery state for one account/publication
+ * Tools run against the client in clientContext (see createParagraphClient and the `profile`
+ * argument); outside of one they use defaultClient, configured from env.
+ * @typedef {Object} ParagraphClient
+ * @property {string} name
+ * @property {string} apiKey
+ * @property {string} apiBase
+ * @property {string|null} publicationId - Configured or auto-discovered
+ * @property {string|null} publicationSlug - For URL building; configured or auto-discovered
+ * @property {string|null} stateDir - Local state (drafts, ledgers, queues); null = PARAGRAPH_STATE_DIR
+ * @property {Object|null} rateLimit - Last-seen rate-limit budget from x-ratelimit-* headers
+ * @property {boolean} fromEnv - Pick up PARAGRAPH_PUBLICATION_SLUG lazily
+ */
+const defaultClient = {
+  name: "default",
+  // NOTE: API_KEY is read lazily inside request() to respect per-agent env injection
+  get apiKey() {
+    return process.env.PARAGRAPH_API_KEY
+  },
+  // Also lazy, so tests and tools can point the default client at a mock server (mock/server.js)
+  get apiBase() {
+    return process.env.PARAGRAPH_API_BASE_URL || DEFAULT_API_BASE
+  },
+  publicationId: process.env.PARAGRAPH_PUBLICATION_ID || null,
+  // Publication slug (for URL building) - can be set manually via env var or auto-discovered
+  publicationSlug: process.env.PARAGRAPH_PUBLICATION_SLUG || null,
+  stateDir: null,
+  rateLimit: null,
+  fromEnv: true
+}
+
+const currentClient = () => clientContext.getStore() || defaultClient
 
 /**
  * Standardized response format
+ * Failures also carry `code` (see lib/errors.js), `status`, `retryable`, `retryAfter` (ms) and
+ * `endpoint`, plus `details` for validation errors.
  * @typedef {Object} ParagraphResult
  * @property {boolean} success
  * @property {any} data
  * @property {string} error
  */
 
+// Retry policy defaults (overridable via configureRetries() or PARAGRAPH_MAX_RETRIES,
+// PARAGRAPH_RETRY_BASE_DELAY_MS and PARAGRAPH_RETRY_MAX_DELAY_MS)
+const DEFAULT_MAX_RETRIES = 3
+const DEFAULT_RETRY_BASE_DELAY_MS = 500
+const DEFAULT_RETRY_MAX_DELAY_MS = 30000
+// Only these methods are retried automatically; POSTs (e.g. createPost) must opt in with options.idempotent
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"])
+
+// Opt-in GET response cache (PARAGRAPH_CACHE=memory|disk or configureCache()).
+// Rules are checked in order; the group name is what writes invalidate.
+const MINUTE = 60 * 1000
+const CACHE_RULES = [
+  { group: "feed", pattern: /^\/v1\/posts\/feed$/, ttl: MINUTE },
+  { group: "tagPosts", pattern: /^\/v1\/posts\/tag\//, ttl: MINUTE },
+  // A post is only cached once processing has given it a slug and URL
+  { group: "posts", pattern: /^\/v1\/posts\/[^/]+$/, ttl: 5 * MINUTE, complete: (post) => !!(post?.slug && post?.url) },
+  { group: "publicationPosts", pattern: /^\/v1\/publications\/[^/]+\/posts$/, ttl: MINUTE },
+  { group: "subscriberCount", pattern: /^\/v1\/publications\/[^/]+\/subscribers\/count$/, ttl: MINUTE },
+  { group: "subscribers", pattern: /^\/v1\/subscribers$/, ttl: 30 * 1000 },
+  { group: "popularCoins", pattern: /^\/v1\/coins\/list\/popular$/, ttl: 5 * MINUTE },
+  { group: "coinHolders", pattern: /^\/v1\/coins\/[^/]+\/holders$/, ttl: MINUTE },
+  { group: "coins", pattern: /^\/v1\/coins\//, ttl: MINUTE },
+  { group: "users", pattern: /^\/v1\/users\//, ttl: 60 * MINUTE },
+  { group: "publications", pattern: /^(\/v1)?\/publications\//, ttl: 10 * MINUTE }
+]
+// Cached groups that go stale when we publish a post or add subscribers
+const POST_LIST_GROUPS = ["feed", "tagPosts", "publicationPosts"]
+const SUBSCRIBER_GROUPS = ["subscribers", "subscriberCount"]
+
+// Explicit cache settings from configureCache() (null = follow PARAGRAPH_CACHE)
+let cacheSettings = null
+const memoryCache = createMemoryCache()
+
+// Per-tool-call counters so wrapTool can report whether the data came from the cache
+const callContext = new AsyncLocalStorage()
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms))
+
+/**
+ * Read a non-negative integer from env, falling back to a default
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10)
+  return Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+/**
+ * Record the rate-limit budget advertised by a response, if any
+ * x-ratelimit-reset may be either seconds-until-reset or an epoch timestamp (seconds)
+ */
+function updateRateLimit(headers) {
+  const limit = headers.get("x-ratelimit-limit")
+  const remaining = headers.get("x-ratelimit-remaining")
+  const reset = headers.get("x-ratelimit-reset")
+  if (limit === null && remaining === null && reset === null) return
+
+  let resetAt = null
+  if (reset !== null && Number.isFinite(Number(reset))) {
+    const value = Number(reset)
+    resetAt = value > 1e9 ? value * 1000 : Date.now() + value * 1000
+  }
+
+  currentClient().rateLimit = {
+    limit: limit !== null ? Number(limit) : null,
+    remaining: remaining !== null ? Number(remaining) : null,
+    resetAt: resetAt ? new Date(resetAt).toISOString() : null,
+    observedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Milliseconds to wait before the rate-limit window reopens (0 if budget remains or is unknown)
+ */
+function rateLimitWait() {
+  const budget = currentClient().rateLimit
+  if (!budget || budget.remaining !== 0 || !budget.resetAt) return 0
+  return Math.max(0, Date.parse(budget.resetAt) - Date.now())
+}
+
+/**
+ * Exponential backoff with jitter: half the capped delay is fixed, half is random
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  const cap = Math.min(maxDelay, baseDelay * 2 ** attempt)
+  return Math.floor(cap / 2 + Math.random() * (cap / 2))
+}
+
+/**
+ * Perform a single HTTP attempt. Errors are ParagraphErrors carrying `status`, `retryAfter` (ms)
+ * and `retryable` so request() can decide whether to try again.
+ * `meta` receives the response status and ETag; a 304 resolves to null.
+ * @param {string} endpoint - "METHOD /path", reported on errors
+ */
+async function attemptRequest(method, url, endpoint, headers, fetchBody, timeoutMs, meta = {}) {
+  // Set up abort controller for timeout
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+
+  try {
+    let response
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: fetchBody,
+        signal: controller.signal
+      })
+    } catch (e) {
+      throw fetchError(e, timeoutMs, endpoint)
+    }
+
+    updateRateLimit(response.headers)
+    meta.status = response.status
+    meta.etag = response.headers.get("etag")
+
+    if (response.status === 304) return null
+
+    if (!response.ok) throw await httpError(response, endpoint)
+
+    if (response.status === 204 || response.headers.get("content-length") === "0") {
+      return { success: true }
+    }
+
+    const contentType = response.headers.get("content-type") || ""
+    if (contentType.includes("application/json")) {
+      return await response.json()
+    }
+    return await response.text()
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * Turn on, tune or turn off the GET response cache
+ * @param {Object} [settings]
+ * @param {"memory"|"disk"|"off"} [settings.backend] - Default: PARAGRAPH_CACHE, else "off"
+ * @param {Object.<string, number>} [settings.ttls] - TTL overrides in ms by group (e.g. { users: 0 } disables user caching)
+ * @param {string} [settings.dir] - Disk cache directory (default <state dir>/cache)
+ */
+export function configureCache(settings = {}) {
+  cacheSettings = { ...cacheSettings, ...settings }
+}
+
+// Explicit settings from configureRetries() (null = follow the PARAGRAPH_*RETR* env vars)
+let retrySettings = null
+
+/**
+ * Tune automatic retries of idempotent requests
+ * @param {Object} [settings]
+ * @param {number} [settings.retries] - Max retries, 0 disables (default PARAGRAPH_MAX_RETRIES or 3)
+ * @param {number} [settings.baseDelay] - First backoff step in ms, doubled per attempt (default PARAGRAPH_RETRY_BASE_DELAY_MS or 500)
+ * @param {number} [settings.maxDelay] - Cap per wait in ms; longer Retry-After values fail fast (default PARAGRAPH_RETRY_MAX_DELAY_MS or 30000)
+ *   Pass null to drop every setting and follow env again.
+ */
+export function configureRetries(settings = {}) {
+  retrySettings = settings === null ? null : { ...retrySettings, ...settings }
+}
+
+/**
+ * The active cache backend, or null when caching is off
+ */
+function responseCache() {
+  const backend = cacheSettings?.backend || process.env.PARAGRAPH_CACHE || "off"
+  if (backend === "memory") return memoryCache
+  if (backend === "disk") return createDiskCache(cacheSettings?.dir || statePath("cache"))
+  return null
+}
+
+/**
+ * Cache rule for an endpoint, with configured TTL overrides applied (null = not cached)
+ */
+function cacheRule(endpoint) {
+  const rule = CACHE_RULES.find(r => r.pattern.test(endpoint))
+  if (!rule) return null
+  const ttl = cacheSettings?.ttls?.[rule.group] ?? rule.ttl
+  return ttl > 0 ? { group: rule.group, ttl, complete: rule.complete } : null
+}
+
+/**
+ * Drop cached responses for the given groups (no-op when caching is off)
+ */
+async function invalidateCache(groups) {
+  const cache = responseCache()
+  if (cache) await cache.invalidate(groups)
+}
+
+/**
+ * Empty the response cache (both backends)
+ */
+export async function clearCache() {
+  await memoryCache.clear()
+  await createDiskCache(cacheSettings?.dir || statePath("cache")).clear()
+}
+
+// Audit trail (see lib/audit.js): every tool call becomes an event with its redacted arguments,
+// requests, status, latency and result ids, and log lines at or above the log level are events
+// too. Sinks come from configureAudit() or PARAGRAPH_AUDIT ("jsonl", "stdout", "off" or a
+// comma list; default "jsonl", one file per client state dir).
+const AUDIT_FILE = "audit.jsonl"
+const AUDIT_MAX_BYTES = 5 * 1024 * 1024 // then rotated to audit.1.jsonl
+const DEFAULT_LOG_LEVEL = "warn"
+
+// Explicit settings from configureAudit() (null = follow PARAGRAPH_AUDIT and PARAGRAPH_LOG_LEVEL)
+let auditSettings = null
+
+/**
+ * Choose where audit events go and which log lines are recorded
+ * @param {Object} [settings]
+ * @param {Array<"jsonl"|"stdout"|Function>|"off"} [settings.sinks] - "jsonl" appends to <state dir>/audit.jsonl
+ *   (what paragraph_getAuditLog reads), "stdout" prints one JSON line per event, a function receives each event
+ * @param {"debug"|"info"|"warn"|"error"} [settings.level] - Lowest log level recorded (default PARAGRAPH_LOG_LEVEL, else "warn")
+ * @param {number} [settings.maxBytes] - Rotate the JSONL file past this size (default 5 MB)
+ *   Pass null to drop every setting and follow env again.
+ */
+export function configureAudit(settings = {}) {
+  auditSettings = settings === null ? null : { ...auditSettings, ...settings }
+}
+
+/**
+ * Active sinks ("jsonl", "stdout" or functions)
+ */
+function auditSinks() {
+  const sinks = auditSettings?.sinks ?? (process.env.PARAGRAPH_AUDIT || "jsonl").split(",").map(sink => sink.trim())
+  return (Array.isArray(sinks) ? sinks : [sinks]).filter(sink => sink && sink !== "off")
+}
+
+/**
+ * Send an event to every sink; a failing sink never fails the tool that produced the event
+ */
+async function emitAuditEvent(event) {
+  for (const sink of auditSinks()) {
+    try {
+      if (typeof sink === "function") await sink(event)
+      else if (sink === "stdout") process.stdout.write(JSON.stringify(event) + "\n")
+      else if (sink === "jsonl") await appendJsonl(statePath(AUDIT_FILE), event, { maxBytes: auditSettings?.maxBytes ?? AUDIT_MAX_BYTES })
+    } catch {
+      // Auditing is best effort
+    }
+  }
+}
+
+/**
+ * Record a log line (dropped below the configured level); tagged with the running tool call
+ * @param {"debug"|"info"|"warn"|"error"} level
+ * @param {string} message
+ * @param {Object} [data]
+ */
+async function logEvent(level, message, data) {
+  const minLevel = auditSettings?.level || process.env.PARAGRAPH_LOG_LEVEL || DEFAULT_LOG_LEVEL
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLevel)) return
+  const call = callContext.getStore()
+  await emitAuditEvent({
+    type: "log",
+    at: new Date().toISOString(),
+    level,
+    message,
+    ...(call?.id && { callId: call.id, tool: call.tool }),
+    ...(data && { data: redact(data) })
+  })
+}
+
+/**
+ * Record a request against the current tool call: endpoint, status, latency and retries for
+ * the audit event; successful ones also count toward fromCache (cache hits vs network)
+ * @param {Object} entry - { endpoint, status, durationMs, retries, fromCache, error? }
+ */
+function recordRequest(entry) {
+  const call = callContext.getStore()
+  if (!call) return
+  call.endpoints.push(entry)
+  if (entry.error) return
+  call.requests++
+  if (entry.fromCache) call.cacheHits++
+}
+
 /**
  * Make authenticated request to Paragraph API
+ *
+ * Idempotent methods are retried on 429, 5xx, timeouts and network errors using
+ * exponential backoff with jitter. Retry-After is honoured; if it exceeds the max
+ * delay the error is returned instead of waiting. Non-idempotent methods (POST)
+ * are never retried unless the caller passes `idempotent: true`.
+ *
+ * When the response cache is on, GETs matching CACHE_RULES are served from it until
+ * their TTL expires; stale entries with an ETag are revalidated with If-None-Match.
+ * Bodies a rule marks incomplete (a post still processing) are never stored.
+ *
  * @param {string} method - HTTP method
  * @param {string} endpoint - API endpoint (without base, e.g., "/v1/posts")
  * @param {Object} body - Request body (will be JSON stringified)
  * @param {Object} params - Query parameters
- * @param {Object} options - Additional options (formData, rawBody, timeout)
- * @param {number} [options.timeout=10000] - Request timeout in milliseconds (default 10s)
+ * @param {Object} options - Additional options (formData, rawBody, timeout, retry settings)
+ * @param {number} [options.timeout=30000] - Per-attempt timeout in milliseconds (default 30s)
+ * @param {number} [options.retries] - Max retries (default configureRetries(), PARAGRAPH_MAX_RETRIES or 3)
+ * @param {number} [options.retryBaseDelay] - Base backoff delay in ms (default configureRetries(), PARAGRAPH_RETRY_BASE_DELAY_MS or 500)
+ * @param {number} [options.retryMaxDelay] - Max delay between attempts in ms (default configureRetries(), PARAGRAPH_RETRY_MAX_DELAY_MS or 30000)
+ * @param {boolean} [options.idempotent] - Allow retrying a non-idempotent method
+ * @param {boolean|string} [options.cache] - Set false to bypass the response cache, or "refresh" to skip the
+ *   lookup but store the fresh body (e.g. when polling, so the cached post is replaced once it is ready)
  * @returns {Promise<any>}
  */
 async function request(method, endpoint, body = null, params = {}, options = {}) {
-  // Read API_KEY from env at call time to respect per-skill injection
-  const apiKey = process.env.PARAGRAPH_API_KEY
+  // Read API_KEY at call time (the default client reads env) to respect per-skill injection
+  const client = currentClient()
+  const apiKey = client.apiKey
   if (!apiKey) {
-    throw new Error("PARAGRAPH_API_KEY environment variable not set")
+    const message = client.fromEnv ? "PARAGRAPH_API_KEY environment variable not set" : `No API key configured for client "${client.name}"`
+    throw new ParagraphError(message, { code: "CONFIG_ERROR" })
   }
 
-  const url = new URL(`${API_BASE}${endpoint}`)
+  const label = `${method.toUpperCase()} ${endpoint}`
+  const startedAt = Date.now()
+  const url = new URL(`${client.apiBase}${endpoint}`)
   Object.keys(params).forEach(key => {
     if (params[key] !== undefined && params[key] !== null) {
       url.searchParams.append(key, String(params[key]))
@@ -48,6 +397,24 @@ async function request(method, endpoint, body = null, params = {}, options = {})
     "Authorization": `Bearer ${apiKey}`
   }
 
+  // Response cache lookup (keyed per API key so profiles never share entries)
+  const cache = method.toUpperCase() === "GET" && options.cache !== false ? responseCache() : null
+  const rule = cache && cacheRule(endpoint)
+  let cacheKey = null
+  let cached = null
+  if (rule) {
+    const hash = createHash("sha256").update(`${apiKey}\n${url}`).digest("hex").slice(0, 32)
+    cacheKey = `${rule.group}-${hash}`
+  }
+  if (rule && options.cache !== "refresh") {
+    cached = await cache.get(cacheKey)
+    if (cached && cached.expiresAt > Date.now()) {
+      recordRequest({ endpoint: label, status: null, durationMs: Date.now() - startedAt, retries: 0, fromCache: true })
+      return cached.body
+    }
+    if (cached?.etag) headers["If-None-Match"] = cached.etag
+  }
+
   let fetchBody = null
   if (body) {
     headers["Content-Type"] = "application/json"
@@ -62,72 +429,78 @@ async function request(method, endpoint, body = null, params = {}, options = {})
     // Don't set Content-Type; fetch will set boundary
   }
 
-  // Set up abort controller for timeout
-  const controller = new AbortController()
   const timeoutMs = options.timeout || 30000 // default 30 seconds (POSTs can be slow)
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
-
-  try {
-    const response = await fetch(url.toString(), {
-      method,
-      headers,
-      body: fetchBody,
-      signal: controller.signal
-    })
-
-    if (!response.ok) {
-      let errorMsg = `HTTP ${response.status} ${response.statusText}`
-      try {
-        const errorData = await response.json()
-        errorMsg = errorData.msg || errorData.message || errorData.error || errorMsg
-      } catch (e) {}
-      throw new Error(errorMsg)
-    }
+  const maxRetries = options.retries ?? retrySettings?.retries ?? envInt("PARAGRAPH_MAX_RETRIES", DEFAULT_MAX_RETRIES)
+  const baseDelay = options.retryBaseDelay ?? retrySettings?.baseDelay ?? envInt("PARAGRAPH_RETRY_BASE_DELAY_MS", DEFAULT_RETRY_BASE_DELAY_MS)
+  const maxDelay = options.retryMaxDelay ?? retrySettings?.maxDelay ?? envInt("PARAGRAPH_RETRY_MAX_DELAY_MS", DEFAULT_RETRY_MAX_DELAY_MS)
+  const canRetry = options.idempotent === true || IDEMPOTENT_METHODS.has(method.toUpperCase())
+
+  // Self-throttle: if the last response exhausted the budget, wait for the window to reset
+  const throttle = rateLimitWait()
+  if (throttle > 0 && throttle <= maxDelay) {
+    await sleep(throttle)
+  }
 
-    if (response.status === 204 || response.headers.get("content-length") === "0") {
-      return { success: true }
+  const meta = {}
+  let result
+  let retries = 0
+  for (let attempt = 0; ; attempt++) {
+    try {
+      result = await attemptRequest(method, url.toString(), label, headers, fetchBody, timeoutMs, meta)
+      retries = attempt
+      break
+    } catch (error) {
+      const delay = canRetry && error.retryable && attempt < maxRetries ? error.retryAfter ?? backoffDelay(attempt, baseDelay, maxDelay) : null
+      if (delay === null || delay > maxDelay) {
+        recordRequest({ endpoint: label, status: error.status ?? null, durationMs: Date.now() - startedAt, retries: attempt, fromCache: false, error: error.code || "INTERNAL_ERROR" })
+        throw error
+      }
+      await sleep(delay)
     }
+  }
 
-    const contentType = response.headers.get("content-type") || ""
-    if (contentType.includes("application/json")) {
-      return await response.json()
-    }
-    return await response.text()
-  } finally {
-    clearTimeout(timeoutId)
+  // 304 Not Modified: the cached body is still current
+  const notModified = meta.status === 304 && cached
+  if (notModified) result = cached.body
+  if (rule && (!rule.complete || rule.complete(result))) {
+    const now = Date.now()
+    await cache.set(cacheKey, { group: rule.group, body: result, etag: meta.etag || cached?.etag || null, storedAt: now, expiresAt: now + rule.ttl })
   }
+  recordRequest({ endpoint: label, status: meta.status ?? null, durationMs: Date.now() - startedAt, retries, fromCache: !!notModified })
+  return result
 }
 
 /**
  * Auto-discover publication ID and slug from the API key by fetching the feed
- * Caches the results in DEFAULT_PUBLICATION_ID and DEFAULT_PUBLICATION_SLUG
+ * Caches the results on the current client (publicationId and publicationSlug)
  * Returns the publication ID
  *
  * Respects pre-configured PARAGRAPH_PUBLICATION_SLUG: if set, uses it to fetch
  * the publication directly instead of auto-discovering from the feed.
  */
 async function discoverPublicationId() {
+  const client = currentClient()
   // Lazy-load from env if not already set (respects per-agent env injection)
-  if (!DEFAULT_PUBLICATION_SLUG && process.env.PARAGRAPH_PUBLICATION_SLUG) {
-    DEFAULT_PUBLICATION_SLUG = process.env.PARAGRAPH_PUBLICATION_SLUG
+  if (client.fromEnv && !client.publicationSlug && process.env.PARAGRAPH_PUBLICATION_SLUG) {
+    client.publicationSlug = process.env.PARAGRAPH_PUBLICATION_SLUG
   }
 
-  if (DEFAULT_PUBLICATION_ID) {
-    return DEFAULT_PUBLICATION_ID
+  if (client.publicationId) {
+    return client.publicationId
   }
 
   // If a slug is configured, use it to fetch the publication and get the ID
-  if (DEFAULT_PUBLICATION_SLUG) {
+  if (client.publicationSlug) {
     try {
-      const pub = await request("GET", `/v1/publications/slug/${encodeURIComponent(DEFAULT_PUBLICATION_SLUG)}`)
+      const pub = await request("GET", `/v1/publications/slug/${encodeURIComponent(client.publicationSlug)}`)
       if (pub && pub.id) {
-        DEFAULT_PUBLICATION_ID = String(pub.id)
+        client.publicationId = String(pub.id)
         // Slug already set from env var, keep it
-        return DEFAULT_PUBLICATION_ID
+        return client.publicationId
       }
     } catch (e) {
       // If this fails, fall back to feed auto-discovery
-      console.warn(`Failed to fetch publication using configured slug "${DEFAULT_PUBLICATION_SLUG}", falling back to feed auto-discovery`)
+      await logEvent("warn", `Failed to fetch publication using configured slug "${client.publicationSlug}", falling back to feed auto-discovery`, { error: e.message })
     }
   }
 
@@ -137,78 +510,2244 @@ async function discoverPublicationId() {
     if (result.items && result.items.length > 0) {
       const pub = result.items[0].publication
       if (pub) {
+        const feedSlug = pub.slug || pub.customDomain
         // Only set slug if not already configured
-        if (!DEFAULT_PUBLICATION_SLUG) {
-          if (pub.slug) {
-            DEFAULT_PUBLICATION_SLUG = pub.slug
-          } else if (pub.customDomain) {
-            DEFAULT_PUBLICATION_SLUG = pub.customDomain
-          }
+        if (!client.publicationSlug && feedSlug) {
+          client.publicationSlug = feedSlug
         }
 
-        // Now fetch the full publication using the slug to get the canonical ID
-        if (DEFAULT_PUBLICATION_SLUG) {
-          const fullPub = await request("GET", `/v1/publications/slug/${encodeURIComponent(DEFAULT_PUBLICATION_SLUG)}`)
+        // Now fetch the full publication using the feed's slug to get the canonical ID
+        // (a configured slug already failed the lookup above if we got here)
+        if (feedSlug) {
+          const fullPub = await request("GET", `/v1/publications/slug/${encodeURIComponent(feedSlug)}`)
           if (fullPub && fullPub.id) {
-            DEFAULT_PUBLICATION_ID = String(fullPub.id)
+            client.publicationId = String(fullPub.id)
             // Ensure slug is cached only if not already set
-            if (!DEFAULT_PUBLICATION_SLUG && fullPub.slug) {
-              DEFAULT_PUBLICATION_SLUG = fullPub.slug
+            if (!client.publicationSlug && fullPub.slug) {
+              client.publicationSlug = fullPub.slug
             }
-            return DEFAULT_PUBLICATION_ID
+            return client.publicationId
           }
         }
       }
     }
-  } catch (e) {
-    // Silently fall through to error later
+  } catch (e) {
+    // Silently fall through to error later
+  }
+
+  throw new ParagraphError("Could not auto-discover publication ID. Either set PARAGRAPH_PUBLICATION_ID or PARAGRAPH_PUBLICATION_SLUG env var, or ensure your publication has at least one post to read from the feed.", { code: "CONFIG_ERROR" })
+}
+
+/**
+ * Get the publication slug (for URL building)
+ * Tries to auto-discover if not already cached
+ */
+async function getPublicationSlug() {
+  const client = currentClient()
+  if (client.publicationSlug) {
+    return client.publicationSlug
+  }
+
+  // Ensure we have the ID first
+  const id = await discoverPublicationId()
+
+  try {
+    // Fetch publication details to get the slug
+    const pub = await request("GET", `/v1/publications/${id}`)
+    if (pub.slug) {
+      client.publicationSlug = pub.slug
+      return client.publicationSlug
+    }
+    if (pub.customDomain) {
+      client.publicationSlug = pub.customDomain
+      return client.publicationSlug
+    }
+  } catch (e) {
+    // Fall through
+  }
+
+  throw new ParagraphError("Could not determine publication slug. Set PARAGRAPH_PUBLICATION_ID and ensure the publication exists.", { code: "CONFIG_ERROR" })
+}
+
+// Paginated list endpoints: path builder, resource key and page sizes (default per call, max per request)
+const LIST_ENDPOINTS = {
+  posts: {
+    path: async ({ publicationId }) => {
+      const pubId = publicationId || await discoverPublicationId()
+      if (!pubId) throw new ParagraphError("publicationId required or PARAGRAPH_PUBLICATION_ID must be set, or feed must have posts to auto-discover", { code: "CONFIG_ERROR" })
+
+      await logEvent("debug", "listPosts using publicationId", { publicationId: pubId })
+
+      return `/v1/publications/${pubId}/posts`
+    },
+    defaultLimit: 10,
+    maxLimit: 100
+  },
+  subscribers: { path: () => "/v1/subscribers", defaultLimit: 10, maxLimit: 100 },
+  coinHolders: {
+    path: ({ coinId }) => {
+      if (!coinId) throw new ValidationError([{ field: "coinId", message: "coinId is required" }])
+      return `/v1/coins/${coinId}/holders`
+    },
+    itemsKey: "holders",
+    defaultLimit: 50,
+    maxLimit: 100
+  },
+  feed: { path: () => "/v1/posts/feed", defaultLimit: 20, maxLimit: 60 },
+  postsByTag: {
+    path: ({ tag }) => {
+      if (!tag) throw new ValidationError([{ field: "tag", message: "tag is required" }])
+      return `/v1/posts/tag/${encodeURIComponent(tag)}`
+    },
+    defaultLimit: 20,
+    maxLimit: 100
+  }
+}
+
+// Once the rate-limit budget drops to this many requests, multi-page reads spread out over the window
+const PAGE_PACING_RESERVE = 10
+
+/**
+ * Pause between pages: PARAGRAPH_PAGE_DELAY_MS, or longer when the rate-limit budget is nearly spent
+ * (the remaining requests are spread evenly until the window resets)
+ */
+async function pacePages() {
+  let delay = envInt("PARAGRAPH_PAGE_DELAY_MS", 0)
+  const budget = currentClient().rateLimit
+  if (budget?.resetAt && budget.remaining !== null && budget.remaining <= PAGE_PACING_RESERVE) {
+    const untilReset = Math.max(0, Date.parse(budget.resetAt) - Date.now())
+    delay = Math.max(delay, Math.ceil(untilReset / (budget.remaining + 1)))
+  }
+  if (delay > 0) await sleep(delay)
+}
+
+/**
+ * Build a page fetcher for a list endpoint
+ * @param {string} name - Key of LIST_ENDPOINTS
+ * @param {Object} args - Path arguments (publicationId, coinId, tag), extra query `params` and
+ *   `requestOptions` passed to request() (e.g. { cache: false })
+ */
+async function listFetcher(name, { params = {}, requestOptions = {}, ...args } = {}) {
+  const list = LIST_ENDPOINTS[name]
+  const endpoint = await list.path(args)
+  return async (cursor, limit) => {
+    const query = { ...params, limit }
+    if (cursor) query.cursor = cursor
+    return normalizePage(await request("GET", endpoint, null, query, requestOptions), list.itemsKey)
+  }
+}
+
+/**
+ * Add the keys list tools returned before the shared page shape: `<legacyKey>` (same array as
+ * `items`) and `pagination: { cursor, hasMore, total? }`
+ * Deprecated; kept for one release on single-page calls (the only kind there was).
+ */
+function withLegacyKeys(page, legacyKey) {
+  const pagination = { cursor: page.nextCursor, hasMore: page.hasMore }
+  if (page.total !== undefined) pagination.total = page.total
+  return { ...page, [legacyKey]: page.items, pagination }
+}
+
+/**
+ * Fetch one page, or with `all`/`maxItems` follow cursors until done
+ * Always resolves to `{ items, nextCursor, hasMore }` (plus `total` when reported); a single
+ * page also carries the deprecated `legacyKey` aliases when one is given.
+ */
+async function listPages(name, { limit, cursor, all = false, maxItems, legacyKey, ...args } = {}) {
+  const list = LIST_ENDPOINTS[name]
+  const fetchPage = await listFetcher(name, args)
+  if (!all && maxItems === undefined) {
+    const page = await fetchPage(cursor, limit ?? list.defaultLimit)
+    return legacyKey ? withLegacyKeys(page, legacyKey) : page
+  }
+  return await collectPages(fetchPage, { cursor, pageSize: limit ?? list.maxLimit, maxItems, pace: pacePages })
+}
+
+/**
+ * Iterate every item of a list endpoint, following cursors with rate-limit pacing
+ *
+ * @example
+ * for await (const post of iterateList("posts", { publicationId })) console.log(post.title)
+ *
+ * @param {"posts"|"subscribers"|"coinHolders"|"feed"|"postsByTag"} name
+ * @param {Object} [options] - Path arguments (publicationId, coinId, tag), `params` (extra query),
+ *   `cursor`, `pageSize` and `maxItems`
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* iterateList(name, { cursor, pageSize, maxItems, ...args } = {}) {
+  const list = LIST_ENDPOINTS[name]
+  if (!list) {
+    throw new ParagraphError(`Unknown list "${name}" (expected one of: ${Object.keys(LIST_ENDPOINTS).join(", ")})`, { code: "VALIDATION_ERROR" })
+  }
+  const fetchPage = await listFetcher(name, args)
+  yield* paginate(fetchPage, { cursor, pageSize: pageSize ?? list.maxLimit, maxItems, pace: pacePages })
+}
+
+export const iteratePosts = (options) => iterateList("posts", options)
+export const iterateSubscribers = (options) => iterateList("subscribers", options)
+export const iterateCoinHolders = (options) => iterateList("coinHolders", options)
+export const iterateFeed = (options) => iterateList("feed", options)
+export const iteratePostsByTag = (options) => iterateList("postsByTag", options)
+
+// Local image uploads: pluggable uploader plus a content-hash cache so an image is uploaded once.
+// Uploading is opt-in: the public Paragraph API documents no image endpoint, so local images need
+// PARAGRAPH_IMAGE_UPLOAD_ENDPOINT or setImageUploader().
+const UPLOADS_FILE = "uploads.json"
+let imageUploader = null
+
+/**
+ * Replace the image uploader (e.g. IPFS or your own CDN)
+ * The uploader receives (buffer, { fileName, contentType, filePath }) and resolves to the hosted https URL.
+ * Pass null to go back to the multipart upload to PARAGRAPH_IMAGE_UPLOAD_ENDPOINT (if set).
+ */
+export function setImageUploader(uploader) {
+  imageUploader = uploader || null
+}
+
+/**
+ * Whether local images can be uploaded (a custom uploader or PARAGRAPH_IMAGE_UPLOAD_ENDPOINT)
+ */
+const imageUploadConfigured = () => !!(imageUploader || process.env.PARAGRAPH_IMAGE_UPLOAD_ENDPOINT)
+
+/**
+ * Default uploader: multipart POST to PARAGRAPH_IMAGE_UPLOAD_ENDPOINT (an API path such as /v1/images)
+ */
+async function defaultImageUploader(buffer, { fileName, contentType }) {
+  const endpoint = process.env.PARAGRAPH_IMAGE_UPLOAD_ENDPOINT
+  const formData = new FormData()
+  formData.append("file", new Blob([buffer], { type: contentType }), fileName)
+  const result = await request("POST", endpoint, null, {}, { formData })
+  const url = result.url || result.imageUrl || result.src
+  if (!url) throw new ParagraphError(`Image upload to ${endpoint} returned no URL`, { code: "UPSTREAM", endpoint: `POST ${endpoint}` })
+  return url
+}
+
+/**
+ * Report local images referenced by a post that can't be uploaded: missing, outside baseDir,
+ * not an image (by extension and content), or no uploader configured
+ * @returns {Promise<Array<{field: string, message: string}>>} Validation issues
+ */
+async function checkLocalImages(post, baseDir) {
+  const errors = []
+  const images = findLocalImages(post, baseDir)
+  for (const image of images) {
+    const field = image.cover ? "imageUrl" : "markdown"
+    const { error } = await checkImageFile(image.path, baseDir)
+    if (error === "not found") {
+      errors.push({ field, message: `Local image not found: ${image.ref} (${image.path})` })
+    } else if (error) {
+      errors.push({ field, message: `Local image can't be uploaded: ${image.ref} is ${error}` })
+    }
+  }
+  if (images.length && !imageUploadConfigured()) {
+    errors.push({ field: images[0].cover ? "imageUrl" : "markdown", message: "Local images need an uploader: set PARAGRAPH_IMAGE_UPLOAD_ENDPOINT or call setImageUploader(), or use https image URLs" })
+  }
+  return errors
+}
+
+/**
+ * Run the pre-publish validation used by createPost: field checks plus local image existence
+ * Local images are allowed (createPost uploads them) but must exist under baseDir.
+ */
+async function validateForPublish(post, baseDir = process.cwd()) {
+  const validation = validatePost(post, { allowLocalImages: true })
+  validation.errors.push(...await checkLocalImages(post, baseDir))
+  validation.valid = validation.errors.length === 0
+  return validation
+}
+
+/**
+ * Upload one local image, reusing the cached URL when the same content was uploaded before
+ * The file is checked again right before reading, so nothing that changed since validation
+ * (or never went through it) leaves baseDir.
+ */
+async function uploadLocalImage(image, baseDir) {
+  const filePath = image.path
+  const checked = await checkImageFile(filePath, baseDir)
+  if (checked.error) {
+    throw new ValidationError([{ field: image.cover ? "imageUrl" : "markdown", message: `Local image can't be uploaded: ${image.ref} is ${checked.error}` }])
+  }
+  const buffer = await fs.readFile(filePath)
+  const hash = createHash("sha256").update(buffer).digest("hex")
+  const cache = await readState(UPLOADS_FILE, { images: {} })
+  if (cache.images[hash]) {
+    return { url: cache.images[hash].url, cached: true }
+  }
+
+  const fileName = path.basename(filePath)
+  const { contentType } = checked
+  const url = await (imageUploader || defaultImageUploader)(buffer, { fileName, contentType, filePath })
+  await updateState(UPLOADS_FILE, { images: {} }, (uploads) => {
+    uploads.images[hash] = { url, fileName, uploadedAt: new Date().toISOString() }
+  })
+  return { url, cached: false }
+}
+
+/**
+ * Upload a post's local images and rewrite its references to the hosted URLs
+ * @returns {Promise<{ markdown: string, imageUrl?: string, uploads: Array }|null>} null when there is nothing local
+ */
+async function uploadPostImages({ markdown, imageUrl }, baseDir) {
+  const images = findLocalImages({ markdown, imageUrl }, baseDir)
+  if (!images.length) return null
+
+  const replacements = new Map()
+  const uploads = []
+  for (const image of images) {
+    const { url, cached } = await uploadLocalImage(image, baseDir)
+    replacements.set(image.ref, url)
+    uploads.push({ ref: image.ref, url, cached })
+  }
+  return {
+    markdown: rewriteImageRefs(markdown, replacements),
+    imageUrl: replacements.get(imageUrl),
+    uploads
+  }
+}
+
+/**
+ * Pull the coin id / contract address out of a post object (shape varies by endpoint)
+ */
+function extractCoinRef(post) {
+  return {
+    id: post.coinId || post.coin?.id || null,
+    contractAddress: post.coin?.contractAddress || post.coinContractAddress || null
+  }
+}
+
+// Onchain processing tracker: created posts whose slug/url are not available yet, kept on disk
+// so a later session can resume waiting, plus the callback/webhook fired once they are
+const PENDING_POSTS_FILE = "pending-posts.json"
+const PENDING_POSTS_KEEP_MS = 7 * 24 * 60 * MINUTE // ready entries are pruned after a week
+const PENDING_POSTS_GIVE_UP_MS = 3 * 24 * 60 * MINUTE // posts still processing after 3 days are dropped
+const PENDING_POSTS_MAX_AGE_MS = 30 * 24 * 60 * MINUTE // any entry tracked longer ago is dropped
+const PENDING_POSTS_MAX = 1000 // oldest entries are dropped beyond this
+const POST_READY_WEBHOOK_TIMEOUT_MS = 10000
+const PROCESSING_DEFAULTS = { deadlineMs: 25000, intervalMs: 1000, maxIntervalMs: 2000, backoff: 2, attemptTimeoutMs: 3000 }
+let postReadyHandler = null
+
+/**
+ * Call a function whenever a tracked post's slug/url become available
+ * The handler receives (post, entry) once per post; pass null to remove it.
+ * PARAGRAPH_POST_READY_WEBHOOK (or a per-post webhookUrl) is notified as well.
+ */
+export function setPostReadyHandler(handler) {
+  postReadyHandler = handler || null
+}
+
+/**
+ * The post with its coin resolved when onchain processing has produced slug/url
+ * (and, with withCoin, a deployed coin with a contract address); null while still processing
+ */
+async function processedPost(post, withCoin, attemptTimeoutMs = PROCESSING_DEFAULTS.attemptTimeoutMs) {
+  if (!post.slug || !post.url) return null
+  if (!withCoin) return post
+
+  // Resolve the coin's contract address, fetching the coin if the post only carries its id
+  const ref = extractCoinRef(post)
+  if (!ref.id) return null
+  let coinRef = ref
+  if (!ref.contractAddress) {
+    const coin = await request("GET", `/v1/coins/${ref.id}`, null, {}, { timeout: attemptTimeoutMs, retries: 0, cache: false })
+    if (!coin.contractAddress) return null
+    coinRef = { id: ref.id, contractAddress: coin.contractAddress, ticker: coin.ticker, name: coin.name }
+  }
+  return { ...post, coin: { ...post.coin, ...coinRef } }
+}
+
+/**
+ * Poll a post until onchain processing has finished
+ * Checks the create result first (it sometimes already has slug/url), then GETs the post with
+ * backoff until the deadline; errors (network, timeout, rate limit) just count as "not yet".
+ *
+ * @param {Object} createResult - At least { id }
+ * @param {Object} [options] - withCoin plus timing overrides (see PROCESSING_DEFAULTS)
+ * @returns {Promise<{ post: Object|null, attempts: number }>} post is null if the deadline passed
+ */
+async function pollPostProcessing(createResult, { withCoin = false, ...timing } = {}) {
+  const { deadlineMs, intervalMs, maxIntervalMs, backoff, attemptTimeoutMs } = { ...PROCESSING_DEFAULTS, ...timing }
+  const deadline = Date.now() + deadlineMs
+
+  try {
+    const ready = await processedPost(createResult, withCoin, attemptTimeoutMs)
+    if (ready) return { post: ready, attempts: 0 }
+  } catch (e) {
+    // Fall through to polling
+  }
+
+  let attempts = 0
+  let delay = intervalMs
+  while (true) {
+    attempts++
+    try {
+      // Polling provides its own retries, so each GET gets one short attempt
+      const full = await request("GET", `/v1/posts/${createResult.id}`, null, {}, { timeout: attemptTimeoutMs, retries: 0, cache: "refresh" })
+      const ready = await processedPost(full, withCoin, attemptTimeoutMs)
+      if (ready) return { post: ready, attempts }
+    } catch (e) {
+      // Keep polling until the deadline
+    }
+    const remaining = deadline - Date.now()
+    if (remaining <= 0) return { post: null, attempts }
+    await sleep(Math.min(delay, remaining))
+    delay = Math.min(delay * backoff, maxIntervalMs)
+  }
+}
+
+/**
+ * Drop registry entries that are done or stale: ready and notified for a week, still processing
+ * past PENDING_POSTS_GIVE_UP_MS, or tracked longer than PENDING_POSTS_MAX_AGE_MS; then keep only
+ * the newest PENDING_POSTS_MAX. keepId is never dropped.
+ */
+function prunePendingPosts(registry, now, keepId) {
+  for (const [id, entry] of Object.entries(registry.posts)) {
+    if (id === keepId) continue
+    const age = now - Date.parse(entry.trackedAt)
+    const notified = entry.status === "ready" && entry.notifiedAt && now - Date.parse(entry.readyAt) > PENDING_POSTS_KEEP_MS
+    const abandoned = entry.status !== "ready" && age > PENDING_POSTS_GIVE_UP_MS
+    if (notified || abandoned || age > PENDING_POSTS_MAX_AGE_MS) delete registry.posts[id]
+  }
+  const ids = Object.keys(registry.posts)
+  if (ids.length <= PENDING_POSTS_MAX) return
+  const oldest = ids.filter(id => id !== keepId)
+    .sort((a, b) => registry.posts[a].trackedAt.localeCompare(registry.posts[b].trackedAt))
+  for (const id of oldest.slice(0, ids.length - PENDING_POSTS_MAX)) delete registry.posts[id]
+}
+
+/**
+ * Add a post to the pending registry (or update its options if already tracked)
+ */
+async function trackPendingPost(post, { withCoin = false, webhookUrl, title } = {}) {
+  return await updateState(PENDING_POSTS_FILE, { posts: {} }, (registry) => {
+    const now = new Date().toISOString()
+    const entry = registry.posts[post.id] || {
+      postId: post.id,
+      title: title || post.title || null,
+      status: "processing",
+      withCoin: false,
+      webhookUrl: null,
+      checks: 0,
+      trackedAt: now
+    }
+    entry.withCoin = entry.withCoin || withCoin
+    if (webhookUrl) entry.webhookUrl = webhookUrl
+    entry.updatedAt = now
+    registry.posts[post.id] = entry
+    prunePendingPosts(registry, Date.parse(now), post.id)
+    return { ...entry }
+  })
+}
+
+/**
+ * Record a status check for a tracked post and notify once it is ready
+ * Ready entries are claimed (notifiedAt set) before notifying so concurrent checks notify once;
+ * a failed notification is recorded and retried by the next check.
+ *
+ * @param {string} postId
+ * @param {Object|null} ready - processedPost() result, null while processing
+ * @returns {Promise<Object|null>} The registry entry, or null if the post is not tracked
+ */
+async function recordPostStatus(postId, ready) {
+  const { entry, notify } = await updateState(PENDING_POSTS_FILE, { posts: {} }, (registry) => {
+    const now = Date.now()
+    prunePendingPosts(registry, now, postId)
+    const entry = registry.posts[postId]
+    if (!entry) return { entry: null, notify: false }
+    entry.checks = (entry.checks || 0) + 1
+    entry.checkedAt = new Date(now).toISOString()
+    delete entry.lastError
+    let notify = false
+    if (ready) {
+      if (entry.status !== "ready") {
+        Object.assign(entry, { status: "ready", slug: ready.slug, url: ready.url, readyAt: entry.checkedAt })
+        if (entry.withCoin && ready.coin) entry.coin = { id: ready.coin.id, contractAddress: ready.coin.contractAddress }
+      }
+      if (!entry.notifiedAt) {
+        entry.notifiedAt = entry.checkedAt
+        notify = true
+      }
+    }
+    entry.updatedAt = entry.checkedAt
+    return { entry: { ...entry }, notify }
+  })
+  if (!notify) return entry
+
+  const notifyError = await notifyPostReady(ready, entry)
+  return await updateState(PENDING_POSTS_FILE, { posts: {} }, (registry) => {
+    const current = registry.posts[postId]
+    if (!current) return { ...entry, notifyError }
+    if (notifyError) current.notifiedAt = null
+    current.notifyError = notifyError
+    return { ...current }
+  })
+}
+
+/**
+ * Fire the post-ready handler and webhook
+ * @returns {Promise<string|null>} What went wrong, or null when every notification succeeded
+ */
+async function notifyPostReady(post, entry) {
+  const errors = []
+  if (postReadyHandler) {
+    try {
+      await postReadyHandler(post, entry)
+    } catch (error) {
+      errors.push(`handler: ${error.message}`)
+    }
+  }
+
+  const webhookUrl = entry.webhookUrl || process.env.PARAGRAPH_POST_READY_WEBHOOK
+  if (webhookUrl) {
+    const payload = {
+      event: "post.ready",
+      post: { id: post.id, title: post.title || entry.title, slug: post.slug, url: post.url, publishedAt: post.publishedAt || null },
+      trackedAt: entry.trackedAt,
+      readyAt: entry.readyAt
+    }
+    if (entry.coin) payload.post.coin = entry.coin
+    try {
+      const response = await fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(POST_READY_WEBHOOK_TIMEOUT_MS)
+      })
+      if (!response.ok) errors.push(`webhook: HTTP ${response.status}`)
+    } catch (error) {
+      errors.push(`webhook: ${error.cause?.message || error.message}`)
+    }
+  }
+  return errors.length ? errors.join("; ") : null
+}
+
+/**
+ * Check a post once and report its processing status
+ * Tracked posts have the check recorded (and are notified on becoming ready).
+ *
+ * @param {string} postId
+ * @param {Object} [options]
+ * @param {boolean} [options.withCoin] - Also require the coin to be deployed (default: as tracked)
+ */
+async function getPostStatus(postId, { withCoin } = {}) {
+  const registry = await readState(PENDING_POSTS_FILE, { posts: {} })
+  const coined = withCoin ?? !!registry.posts[postId]?.withCoin
+  const post = await request("GET", `/v1/posts/${postId}`, null, {}, { cache: "refresh" })
+  const ready = await processedPost(post, coined)
+  const entry = await recordPostStatus(postId, ready)
+  return postStatus(postId, ready || post, !!ready, entry)
+}
+
+/**
+ * Status object returned by the status tools
+ */
+function postStatus(postId, post, ready, entry) {
+  const status = {
+    postId,
+    status: ready ? "ready" : "processing",
+    slug: ready ? post.slug : null,
+    url: ready ? post.url : null,
+    publishedAt: post?.publishedAt || null,
+    tracked: !!entry
+  }
+  if (ready && post.coin) status.coin = post.coin
+  if (entry) {
+    Object.assign(status, {
+      trackedAt: entry.trackedAt,
+      checks: entry.checks,
+      readyAt: entry.readyAt || null,
+      notifiedAt: entry.notifiedAt || null,
+      notifyError: entry.notifyError || null
+    })
+  }
+  return status
+}
+
+/**
+ * Wait for a post's onchain processing with a deadline and backoff
+ * The post is added to the pending registry first, so if the deadline passes (or the process
+ * exits) a later session can resume with paragraph_listPendingPosts / paragraph_waitForPost.
+ *
+ * @param {string} postId
+ * @param {Object} [options] - withCoin, webhookUrl and timing overrides (deadlineMs, intervalMs, maxIntervalMs, backoff)
+ */
+async function waitForPost(postId, { withCoin, webhookUrl, ...timing } = {}) {
+  const tracked = await trackPendingPost({ id: postId }, { withCoin: !!withCoin, webhookUrl })
+  const startedAt = Date.now()
+  const { post, attempts } = await pollPostProcessing({ id: postId }, { withCoin: tracked.withCoin, ...timing })
+  const entry = await recordPostStatus(postId, post)
+  const status = postStatus(postId, post, !!post, entry)
+  return { ...status, attempts, waitedMs: Date.now() - startedAt, timedOut: !post }
+}
+
+// Newsletter send policy: sendNewsletter emails every subscriber and can't be undone, so a send
+// needs a confirm token from paragraph_previewNewsletter and must fit the daily limit and
+// blackout hours. All checks run on local state, before any request; sends and blocked
+// attempts are logged.
+const NEWSLETTER_LOG_FILE = "newsletter-log.json"
+const NEWSLETTER_LOG_ENTRIES = 500
+const NEWSLETTER_TOKENS_FILE = "newsletter-tokens.json"
+const NEWSLETTER_CONFIRM_TTL_MS = 30 * MINUTE
+// Log statuses that count toward the daily limit ("unconfirmed": the request failed in a way
+// that may still have sent the email)
+const NEWSLETTER_COUNTED = new Set(["sending", "sent", "unconfirmed"])
+
+// Explicit policy from configureNewsletterPolicy() (null = follow the PARAGRAPH_NEWSLETTER_* env vars)
+let newsletterPolicySettings = null
+
+/**
+ * Set newsletter send rules; unset rules fall back to env
+ * @param {Object} [settings]
+ * @param {boolean} [settings.requireConfirmation] - Require a confirm token (default true; PARAGRAPH_NEWSLETTER_REQUIRE_CONFIRMATION=false turns it off)
+ * @param {number|null} [settings.maxPerDay] - Newsletter sends per calendar day (PARAGRAPH_NEWSLETTER_MAX_PER_DAY; default unlimited)
+ * @param {{ start: number, end: number }|null} [settings.blackoutHours] - No sends from start:00 until end:00,
+ *   wrapping past midnight when start > end (PARAGRAPH_NEWSLETTER_BLACKOUT_HOURS="22-7")
+ * @param {string} [settings.timeZone] - Time zone for days and hours (PARAGRAPH_NEWSLETTER_TIME_ZONE, default UTC)
+ *   Pass null to drop every setting and follow env again.
+ */
+export function configureNewsletterPolicy(settings = {}) {
+  newsletterPolicySettings = settings === null ? null : { ...newsletterPolicySettings, ...settings }
+}
+
+/**
+ * The active policy, checked so a typo in the configuration can't silently disable a rule
+ */
+function newsletterPolicy() {
+  const settings = newsletterPolicySettings || {}
+  const env = process.env
+  const invalid = (message) => new ParagraphError(`Invalid newsletter policy: ${message}`, { code: "CONFIG_ERROR" })
+
+  let blackoutHours = settings.blackoutHours
+  if (blackoutHours === undefined && env.PARAGRAPH_NEWSLETTER_BLACKOUT_HOURS) {
+    const match = env.PARAGRAPH_NEWSLETTER_BLACKOUT_HOURS.match(/^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/)
+    if (!match) throw invalid(`PARAGRAPH_NEWSLETTER_BLACKOUT_HOURS must look like "22-7"`)
+    blackoutHours = { start: Number(match[1]), end: Number(match[2]) }
+  }
+  const hour = (value) => Number.isInteger(value) && value >= 0 && value <= 23
+  if (blackoutHours && (!hour(blackoutHours.start) || !hour(blackoutHours.end) || blackoutHours.start === blackoutHours.end)) {
+    throw invalid("blackoutHours needs two different hours between 0 and 23")
+  }
+
+  const maxPerDay = settings.maxPerDay !== undefined ? settings.maxPerDay
+    : env.PARAGRAPH_NEWSLETTER_MAX_PER_DAY ? Number(env.PARAGRAPH_NEWSLETTER_MAX_PER_DAY) : null
+  if (maxPerDay !== null && !(Number.isInteger(maxPerDay) && maxPerDay >= 0)) throw invalid("maxPerDay must be a whole number")
+
+  const timeZone = settings.timeZone || env.PARAGRAPH_NEWSLETTER_TIME_ZONE || "UTC"
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+  } catch {
+    throw invalid(`unknown time zone "${timeZone}"`)
+  }
+
+  return {
+    requireConfirmation: settings.requireConfirmation ?? env.PARAGRAPH_NEWSLETTER_REQUIRE_CONFIRMATION !== "false",
+    maxPerDay,
+    blackoutHours: blackoutHours || null,
+    timeZone
+  }
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) and hour of a moment in the policy's time zone
+ */
+function zonedTime(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", hourCycle: "h23"
+  }).formatToParts(date).map(part => [part.type, part.value]))
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) }
+}
+
+/**
+ * Hash a confirm token is bound to, so it can't confirm a different post
+ */
+function newsletterContentHash(title, markdown) {
+  return createHash("sha256").update(JSON.stringify([title, markdown])).digest("hex").slice(0, 32)
+}
+
+/**
+ * Where a send stands against the policy right now (no token check)
+ * @returns {Object} { policy, today, sendsToday, remainingToday, blackoutActive, violations: [{ rule, message }] }
+ */
+function newsletterAllowance(policy, log, now = new Date()) {
+  const { date, hour } = zonedTime(now, policy.timeZone)
+  const sendsToday = log.entries.filter(entry => NEWSLETTER_COUNTED.has(entry.status) && entry.date === date).length
+  const violations = []
+  if (policy.maxPerDay !== null && sendsToday >= policy.maxPerDay) {
+    violations.push({ rule: "maxPerDay", message: `the daily limit of ${policy.maxPerDay} newsletter send(s) is reached (${date}, ${policy.timeZone})` })
+  }
+  const blackout = policy.blackoutHours
+  const blackoutActive = !!blackout && (blackout.start < blackout.end
+    ? hour >= blackout.start && hour < blackout.end
+    : hour >= blackout.start || hour < blackout.end)
+  if (blackoutActive) {
+    violations.push({ rule: "blackoutHours", message: `newsletters are not sent between ${blackout.start}:00 and ${blackout.end}:00 (${policy.timeZone})` })
+  }
+  return {
+    policy,
+    today: date,
+    sendsToday,
+    remainingToday: policy.maxPerDay === null ? null : Math.max(0, policy.maxPerDay - sendsToday),
+    blackoutActive,
+    violations
+  }
+}
+
+/**
+ * Append to the newsletter log (oldest entries beyond NEWSLETTER_LOG_ENTRIES are dropped)
+ */
+function appendNewsletterLog(log, entry) {
+  log.entries.push(entry)
+  log.entries.splice(0, Math.max(0, log.entries.length - NEWSLETTER_LOG_ENTRIES))
+}
+
+/**
+ * Preview a newsletter send: subscribers it will reach, the policy state and a confirm token
+ * bound to the post's title and markdown
+ */
+async function previewNewsletter({ title, markdown }) {
+  const policy = newsletterPolicy()
+  const publicationId = await discoverPublicationId()
+  const { count } = await request("GET", `/v1/publications/${publicationId}/subscribers/count`, null, {}, { cache: false })
+  const log = await readState(NEWSLETTER_LOG_FILE, { entries: [] })
+  const { violations, ...allowance } = newsletterAllowance(policy, log)
+
+  const now = Date.now()
+  const confirmation = {
+    confirmToken: `nl_${randomUUID().replace(/-/g, "")}`,
+    expiresAt: new Date(now + NEWSLETTER_CONFIRM_TTL_MS).toISOString()
+  }
+  await updateState(NEWSLETTER_TOKENS_FILE, { tokens: {} }, (store) => {
+    for (const [token, entry] of Object.entries(store.tokens)) {
+      if (Date.parse(entry.expiresAt) <= now) delete store.tokens[token]
+    }
+    store.tokens[confirmation.confirmToken] = {
+      contentHash: newsletterContentHash(title, markdown),
+      title,
+      publicationId,
+      subscriberCount: count,
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: confirmation.expiresAt
+    }
+  })
+  return {
+    title,
+    publicationId,
+    subscriberCount: count,
+    ...allowance,
+    allowedNow: violations.length === 0,
+    blockedBy: violations,
+    ...confirmation
+  }
+}
+
+/**
+ * Check a newsletter send against the policy and reserve it in the log
+ * Violations are logged as "blocked" and thrown as POLICY_VIOLATION; nothing here touches the network.
+ * @returns {Promise<string>} Log entry id, to settle with settleNewsletterSend
+ */
+async function claimNewsletterSend({ title, markdown, confirmToken }) {
+  const policy = newsletterPolicy()
+
+  // The token is read and used up inside the log update, so two sends can't share one preview
+  const outcome = await updateState(NEWSLETTER_LOG_FILE, { entries: [] }, (log) => updateState(NEWSLETTER_TOKENS_FILE, { tokens: {} }, (tokens) => {
+    const now = new Date()
+    const token = confirmToken ? tokens.tokens[confirmToken] : null
+    const { today, violations } = newsletterAllowance(policy, log, now)
+    if (policy.requireConfirmation) {
+      const message = !confirmToken ? "sendNewsletter needs a confirmToken from paragraph_previewNewsletter, which shows how many subscribers will be emailed"
+        : !token ? "confirmToken is unknown or expired; call paragraph_previewNewsletter again"
+        : token.usedAt ? "confirmToken has already been used; call paragraph_previewNewsletter again"
+        : Date.parse(token.expiresAt) <= now.getTime() ? "confirmToken has expired; call paragraph_previewNewsletter again"
+        : token.contentHash !== newsletterContentHash(title, markdown) ? "confirmToken was issued for a different title or markdown; preview this version"
+        : null
+      if (message) violations.unshift({ rule: "confirmation", message })
+    }
+    const confirmed = !!token && !violations.some(v => v.rule === "confirmation")
+    const entry = {
+      id: `nl_${randomUUID().slice(0, 8)}`,
+      at: now.toISOString(),
+      date: today,
+      title,
+      status: violations.length ? "blocked" : "sending",
+      subscriberCount: token?.subscriberCount ?? null,
+      confirmed
+    }
+    if (violations.length) entry.violations = violations
+    else if (confirmed) Object.assign(token, { usedAt: entry.at, usedBy: entry.id })
+    appendNewsletterLog(log, entry)
+    return { id: entry.id, violations }
+  }))
+
+  if (outcome.violations.length) {
+    throw new ParagraphError(`Newsletter send blocked by policy: ${outcome.violations.map(v => v.message).join("; ")}`, {
+      code: "POLICY_VIOLATION",
+      details: outcome.violations.map(v => ({ field: "sendNewsletter", ...v }))
+    })
+  }
+  return outcome.id
+}
+
+/**
+ * Fail up front when a newsletter send can't be confirmed, because the confirm token would not
+ * match what is finally published (or would expire first), rather than part-way through
+ * @param {Array<string>} fields - Fields asking for a send, reported in the error details
+ * @param {string} reason - Why these sends can't carry a confirm token
+ */
+function rejectUnconfirmableNewsletters(fields, reason) {
+  if (!fields.length || !newsletterPolicy().requireConfirmation) return
+  const message = `${reason} can't send newsletters while the newsletter policy requires confirmation; publish with paragraph_previewNewsletter + paragraph_createPost instead`
+  throw new ParagraphError(`Newsletter send blocked by policy: ${message}`, {
+    code: "POLICY_VIOLATION",
+    details: fields.map(field => ({ field, rule: "confirmation", message }))
+  })
+}
+
+/**
+ * Record how a reserved newsletter send ended
+ * @param {string} id - From claimNewsletterSend
+ * @param {Object} result - { status: "sent"|"failed"|"unconfirmed", postId?, error? }
+ */
+async function settleNewsletterSend(id, { status, postId, error }) {
+  await updateState(NEWSLETTER_LOG_FILE, { entries: [] }, (log) => {
+    const entry = log.entries.find(e => e.id === id)
+    if (!entry) return
+    Object.assign(entry, { status, postId: postId || null, settledAt: new Date().toISOString() })
+    if (error) entry.error = error
+  })
+}
+
+/**
+ * Create a new blog post
+ *
+ * Posts are published immediately onchain, but the slug and URL require a few seconds
+ * of processing to become available. By default, this tool returns immediately without waiting.
+ * Set waitForProcessing to true to poll for up to ~25 seconds (processingDeadlineMs) until slug/url are ready.
+ * Every created post is added to the pending registry until then, so paragraph_waitForPost or
+ * paragraph_getPostStatus can pick it up later and the post-ready webhook fires once it is live.
+ *
+ * All fields are checked by validatePost (lib/validate.js) before the POST; failures throw a
+ * ValidationError whose details name each failing field.
+ *
+ * @param {Object} coin - Optional coin config (ticker, name, supply, initialPrice, metadata), checked and normalized
+ *   by validatePost (lib/validate.js), the only coin validator. Always waits for processing so the coin id and contract can be returned.
+ * @param {string|boolean} idempotencyKey - Dedupe key (default, or true: hash of title + markdown). A repeat call with the
+ *   same key returns the original post instead of publishing again. Pass false to disable.
+ * @param {string} baseDir - Directory local image paths are resolved against (default: cwd). Local images in
+ *   imageUrl or the markdown are uploaded (once per content hash) and replaced with hosted URLs.
+ * @param {boolean} waitForProcessing - If false (default), returns immediately with post ID. Set true to poll for full post data including slug and URL.
+ * @param {number} processingDeadlineMs - How long waitForProcessing (or a coin) polls before giving up (default 25000)
+ * @param {string} webhookUrl - URL to POST a "post.ready" event to once slug/url are available (default: PARAGRAPH_POST_READY_WEBHOOK)
+ * @param {string} confirmToken - From paragraph_previewNewsletter; required with sendNewsletter unless the policy turns confirmation off
+ */
+async function createPost({
+  title,
+  markdown,
+  subtitle,
+  imageUrl,
+  sendNewsletter = false,
+  slug,
+  postPreview,
+  categories,
+  coin,
+  idempotencyKey,
+  baseDir = process.cwd(),
+  waitForProcessing = false, // DEFAULT TO FALSE – fast response by default
+  processingDeadlineMs = PROCESSING_DEFAULTS.deadlineMs,
+  webhookUrl,
+  confirmToken
+}) {
+  // Validate everything before anything is published (local images are uploaded below)
+  const post = { title, markdown, subtitle, imageUrl, sendNewsletter, slug, postPreview, categories, coin }
+  const validation = await validateForPublish(post, baseDir)
+  if (!validation.valid) {
+    throw new ValidationError(validation.errors)
+  }
+
+  // A newsletter send is checked against the policy before any request. A key that already
+  // published its post returns that post below and emails nobody, so it skips the check.
+  // true (like omitting the key) means the content hash; only a string is used as the key itself
+  const key = idempotencyKey === false ? null : (typeof idempotencyKey === "string" && idempotencyKey ? idempotencyKey : contentIdempotencyKey(title, markdown))
+  let newsletterSend = null
+  if (validation.normalized.sendNewsletter && !(key && (await readState(LEDGER_FILE, { entries: {} })).entries[key]?.postId)) {
+    newsletterSend = await claimNewsletterSend({ title, markdown, confirmToken })
+  }
+
+  // Build request body directly (no wrapper) from the normalized fields
+  const { coinData, ...fields } = validation.normalized
+  const body = { ...fields }
+  if (coinData) body.coinData = coinData
+
+  let createResult
+  try {
+    // Return the original post if this key was already published (or an uncertain attempt landed)
+    if (key) {
+      const existing = await findIdempotentPost(key, { slug, markdown })
+      if (existing) {
+        if (newsletterSend) await settleNewsletterSend(newsletterSend, { status: "skipped", postId: existing.id })
+        return existing
+      }
+    }
+
+    // Upload local images and point the post at the hosted copies
+    const uploaded = await uploadPostImages(post, baseDir)
+    if (uploaded) {
+      body.markdown = uploaded.markdown
+      if (uploaded.imageUrl) body.imageUrl = uploaded.imageUrl
+    }
+
+    if (key) {
+      await updateState(LEDGER_FILE, { entries: {} }, (ledger) => {
+        ledger.entries[key] = { status: "pending", title, slug: slug || null, markdownHash: markdownHash(body.markdown), startedAt: new Date().toISOString() }
+      })
+    }
+
+    try {
+      createResult = await request("POST", "/v1/posts", body)
+    } catch (error) {
+      // 4xx and 503 mean the post was definitely not created; anything else (timeouts,
+      // network errors, other 5xx) leaves the entry pending so a retry checks recent posts first
+      const definite = !!error.status && (error.status < 500 || error.status === 503)
+      if (key && definite) {
+        await updateState(LEDGER_FILE, { entries: {} }, (ledger) => { delete ledger.entries[key] })
+      }
+      if (newsletterSend) await settleNewsletterSend(newsletterSend, { status: definite ? "failed" : "unconfirmed", error: error.message })
+      newsletterSend = null
+      throw error
+    }
+  } catch (error) {
+    // Failed before the POST (idempotency check, image upload): nothing was sent
+    if (newsletterSend) await settleNewsletterSend(newsletterSend, { status: "failed", error: error.message })
+    throw error
+  }
+  if (newsletterSend) await settleNewsletterSend(newsletterSend, { status: "sent", postId: createResult.id })
+  await invalidateCache(POST_LIST_GROUPS)
+  if (key) {
+    await recordIdempotentPost(key, createResult)
+  }
+  await trackPendingPost(createResult, { withCoin: !!coinData, webhookUrl, title })
+
+  // Coin deployment happens during onchain processing, so a coined post always waits for it
+  if (waitForProcessing || coinData) {
+    const { post: full } = await pollPostProcessing(createResult, { withCoin: !!coinData, deadlineMs: processingDeadlineMs })
+    if (full) {
+      await recordPostStatus(full.id, full)
+      return full
+    }
+
+    // Timeout – return the initial result with a note; the post stays in the pending registry
+    const seconds = Math.round(processingDeadlineMs / 1000)
+    const result = {
+      ...createResult,
+      slug: createResult.slug || null,
+      url: createResult.url || null,
+      publishedAt: createResult.publishedAt || null,
+      _warning: `Onchain processing not complete within ~${seconds}s. Call paragraph_waitForPost later to retrieve full data.`
+    }
+    if (coinData) {
+      result.coin = { ...extractCoinRef(createResult), ticker: coinData.ticker, name: coinData.name }
+      result._warning = `Onchain processing (post and coin deployment) not complete within ~${seconds}s. Call paragraph_waitForPost later, then paragraph_getCoin with the post's coinId.`
+    }
+    return result
+  }
+
+  // waitForProcessing = false: return immediate result (slug/url may be undefined)
+  return {
+    id: createResult.id,
+    slug: createResult.slug,
+    url: createResult.url,
+    publishedAt: createResult.publishedAt
+  }
+}
+
+// Fields a draft carries through to paragraph_createPost
+const DRAFT_FIELDS = ["title", "markdown", "subtitle", "imageUrl", "sendNewsletter", "slug", "postPreview", "categories", "coin"]
+const DRAFTS_FILE = "drafts.json"
+// A publishDraft claim this old was left by a call that died; its idempotency key makes a retry safe
+const DRAFT_CLAIM_STALE_MS = 10 * 60 * 1000
+
+// Idempotency ledger: key -> created post, so retries never publish a duplicate onchain post
+const LEDGER_FILE = "idempotency.json"
+const LEDGER_TTL_MS = 30 * 24 * 60 * 60 * 1000 // entries expire after 30 days
+const RECENT_POSTS_CHECKED = 20
+
+/**
+ * Default idempotency key: hash of the post's title and markdown
+ */
+function contentIdempotencyKey(title, markdown) {
+  const hash = createHash("sha256").update(JSON.stringify([title, markdown])).digest("hex")
+  return `content:${hash.slice(0, 32)}`
+}
+
+/**
+ * Hash of a post's markdown as sent, used to recognise it among recent posts
+ * Line endings and surrounding whitespace are ignored.
+ */
+function markdownHash(markdown) {
+  return createHash("sha256").update(String(markdown ?? "").replace(/\r\n/g, "\n").trim()).digest("hex").slice(0, 32)
+}
+
+/**
+ * Record a created post under its idempotency key (and prune expired entries)
+ */
+async function recordIdempotentPost(key, post) {
+  await updateState(LEDGER_FILE, { entries: {} }, (ledger) => {
+    const now = Date.now()
+    for (const [k, entry] of Object.entries(ledger.entries)) {
+      if (now - Date.parse(entry.createdAt || entry.startedAt) > LEDGER_TTL_MS) delete ledger.entries[k]
+    }
+    ledger.entries[key] = {
+      status: "created",
+      postId: post.id,
+      title: post.title || ledger.entries[key]?.title || null,
+      slug: post.slug || ledger.entries[key]?.slug || null,
+      url: post.url || null,
+      createdAt: new Date().toISOString()
+    }
+  })
+}
+
+/**
+ * Look up a previously published post for an idempotency key
+ *
+ * A "created" entry returns the stored post (refreshed from the API when possible).
+ * A "pending" entry means an earlier attempt did not confirm (e.g. timed out), so the
+ * publication's recent posts are checked before re-posting: by slug when the post had one,
+ * otherwise by a hash of the markdown that was sent. Titles alone are never matched, since
+ * different posts can share one.
+ * @returns {Promise<Object|null>} The original post marked `_deduplicated`, or null if none exists
+ */
+async function findIdempotentPost(key, { slug, markdown }) {
+  const ledger = await readState(LEDGER_FILE, { entries: {} })
+  const entry = ledger.entries[key]
+  if (!entry) return null
+
+  if (entry.postId) {
+    try {
+      const post = await request("GET", `/v1/posts/${entry.postId}`, null, {}, { cache: false })
+      return { ...post, _deduplicated: true, _idempotencyKey: key }
+    } catch (e) {
+      return { id: entry.postId, slug: entry.slug, url: entry.url, _deduplicated: true, _idempotencyKey: key }
+    }
+  }
+
+  let recent
+  try {
+    const pubId = await discoverPublicationId()
+    const params = { limit: RECENT_POSTS_CHECKED, includeContent: "true" }
+    const result = await request("GET", `/v1/publications/${pubId}/posts`, null, params, { cache: false })
+    recent = result.items || []
+  } catch (e) {
+    throw new ParagraphError(
+      `A previous attempt with idempotencyKey "${key}" did not complete and recent posts could not be checked (${e.message}). Retry later, or pass a new idempotencyKey to publish anyway.`,
+      { code: "CONFLICT", retryable: !!e.retryable, retryAfter: e.retryAfter ?? null, endpoint: e.endpoint ?? null, cause: e }
+    )
+  }
+
+  // Entries from before markdown hashes were recorded fall back to this call's markdown
+  const wantSlug = entry.slug || slug
+  const wantHash = entry.markdownHash || markdownHash(markdown)
+  const match = recent.find(post => wantSlug ? post.slug === wantSlug : typeof post.markdown === "string" && markdownHash(post.markdown) === wantHash)
+  if (!match) return null
+  await recordIdempotentPost(key, match)
+  return { ...match, _deduplicated: true, _idempotencyKey: key }
+}
+
+/**
+ * Load a draft by id from the local draft store
+ */
+async function loadDraft(draftId) {
+  const store = await readState(DRAFTS_FILE, { drafts: {} })
+  const draft = store.drafts[draftId]
+  if (!draft) throw new ParagraphError(`Draft not found: ${draftId}`, { code: "NOT_FOUND" })
+  return draft
+}
+
+// Scheduled publishing queue
+const SCHEDULE_FILE = "schedule.json"
+const SCHEDULE_MAX_ATTEMPTS = 5
+const SCHEDULE_RETRY_BASE_MS = 60000 // 1 minute, doubled per failed attempt
+const SCHEDULE_LOCK_FILE = "schedule.lock"
+// A claim or runner lock untouched for this long was left by a runner that died mid-run
+const SCHEDULE_STALE_MS = 15 * 60 * 1000
+
+/**
+ * Whether a failed scheduled publish is worth retrying (429, 5xx, timeouts, network errors)
+ * Retries are safe: each item publishes under its own idempotency key.
+ */
+function isTransientPublishError(error) {
+  return !!error.retryable
+}
+
+/**
+ * Take the runner lock: a lockfile created with O_EXCL, so only one process runs the queue
+ * A lock whose file hasn't been touched for SCHEDULE_STALE_MS is taken over.
+ * @returns {Promise<{ touch: Function, release: Function }|null>} null while another runner holds it
+ */
+async function acquireScheduleLock() {
+  const file = statePath(SCHEDULE_LOCK_FILE)
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(file, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }), { flag: "wx" })
+      return {
+        touch: () => fs.utimes(file, new Date(), new Date()).catch(() => {}),
+        release: () => fs.unlink(file).catch(() => {})
+      }
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error
+    }
+    const stat = await fs.stat(file).catch(() => null)
+    if (stat && Date.now() - stat.mtimeMs < SCHEDULE_STALE_MS) return null
+    await fs.unlink(file).catch(() => {})
+  }
+  return null
+}
+
+/**
+ * Publish every due item in the scheduled queue through createPost
+ * A run holds the runner lock, so overlapping runners (cron, startScheduler, other processes)
+ * skip instead of claiming the same items; each item also publishes under its own idempotency
+ * key. Items left "publishing" for SCHEDULE_STALE_MS by a runner that died are put back to
+ * "pending". Transient failures are re-queued with backoff up to SCHEDULE_MAX_ATTEMPTS.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Treat this as the current time (default: now)
+ * @param {number} [options.limit] - Max items to publish in this run
+ * @returns {Promise<{ processed: number, published: Array, failed: Array, retrying: Array, recovered: Array, locked?: boolean }>}
+ */
+export async function runScheduledPosts({ now = new Date(), limit = Infinity } = {}) {
+  const lock = await acquireScheduleLock()
+  if (!lock) return { processed: 0, published: [], failed: [], retrying: [], recovered: [], locked: true }
+  try {
+    return await runScheduleQueue(now, limit, lock)
+  } finally {
+    await lock.release()
+  }
+}
+
+/**
+ * One locked pass over the queue (see runScheduledPosts)
+ */
+async function runScheduleQueue(now, limit, lock) {
+  const nowMs = now.getTime()
+  const recovered = []
+  const due = await updateState(SCHEDULE_FILE, { items: {} }, (queue) => {
+    // Safe to retry: the idempotency key finds the post if the dead runner's POST landed
+    for (const item of Object.values(queue.items)) {
+      if (item.status === "publishing" && nowMs - Date.parse(item.updatedAt) > SCHEDULE_STALE_MS) {
+        Object.assign(item, { status: "pending", recoveredAt: new Date().toISOString() })
+        recovered.push(item.id)
+      }
+    }
+    const claimed = Object.values(queue.items)
+      .filter(item => item.status === "pending" && Date.parse(item.nextAttemptAt || item.publishAt) <= nowMs)
+      .sort((a, b) => a.publishAt.localeCompare(b.publishAt))
+      .slice(0, limit)
+    for (const item of claimed) {
+      item.status = "publishing"
+      item.updatedAt = new Date().toISOString()
+    }
+    return claimed.map(item => ({ ...item }))
+  })
+
+  const summary = { processed: due.length, published: [], failed: [], retrying: [], recovered }
+  for (const item of due) {
+    let outcome
+    try {
+      const post = await createPost({ ...item.post, baseDir: item.baseDir, waitForProcessing: item.waitForProcessing, idempotencyKey: `schedule:${item.id}` })
+      outcome = { status: "published", result: { id: post.id, slug: post.slug || null, url: post.url || null }, lastError: null }
+      summary.published.push({ id: item.id, postId: post.id, url: post.url || null })
+    } catch (error) {
+      const attempts = (item.attempts || 0) + 1
+      if (isTransientPublishError(error) && attempts < SCHEDULE_MAX_ATTEMPTS) {
+        const delay = error.retryAfter ?? SCHEDULE_RETRY_BASE_MS * 2 ** (attempts - 1)
+        outcome = { status: "pending", attempts, lastError: error.message, nextAttemptAt: new Date(Date.now() + delay).toISOString() }
+        summary.retrying.push({ id: item.id, error: error.message, nextAttemptAt: outcome.nextAttemptAt })
+      } else {
+        outcome = { status: "failed", attempts, lastError: error.message }
+        summary.failed.push({ id: item.id, error: error.message })
+      }
+    }
+
+    await updateState(SCHEDULE_FILE, { items: {} }, (queue) => {
+      Object.assign(queue.items[item.id], outcome, { updatedAt: new Date().toISOString() })
+    })
+    await lock.touch()
+  }
+  return summary
+}
+
+/**
+ * Run the scheduled queue on an interval inside a long-running process
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - How often to check for due posts
+ * @param {Function} [options.onRun] - Called with each run summary (or { error })
+ * @returns {Function} stop - Clears the interval
+ */
+export function startScheduler({ intervalMs = 60000, onRun } = {}) {
+  let running = false
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      const summary = await runScheduledPosts()
+      if (onRun) onRun(summary)
+    } catch (error) {
+      if (onRun) onRun({ error: error.message })
+    } finally {
+      running = false
+    }
+  }
+  const timer = setInterval(tick, intervalMs)
+  tick()
+  return () => clearInterval(timer)
+}
+
+// Post series: parts published in order with "Part N of M" headers and links to earlier parts
+// and the series index (published last at a slug planned up front, since posts can't be updated)
+const SERIES_FILE = "series.json"
+
+/**
+ * Slug for a series index post: the title's words, the series id (so two series with one title
+ * never share an index) and an "-index" suffix
+ */
+function seriesIndexSlug(title, seriesId) {
+  const base = title.toLowerCase().normalize("NFKD").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60).replace(/-+$/, "")
+  return `${base || "series"}-${seriesId.replace(/^series_/, "")}-index`
+}
+
+/**
+ * Base URL of the publication's posts: paragraph.com/@<slug>, or the custom domain for a
+ * publication without a slug (getPublicationSlug returns either, so it can't build URLs)
+ * @returns {Promise<{ slug: string|null, baseUrl: string }>}
+ */
+async function publicationPostBase() {
+  const pub = await request("GET", `/v1/publications/${await discoverPublicationId()}`)
+  if (pub.slug) return { slug: pub.slug, baseUrl: `https://paragraph.com/@${pub.slug}` }
+  if (pub.customDomain) return { slug: null, baseUrl: `https://${pub.customDomain}` }
+  throw new ParagraphError("Could not determine the publication's URL: it has neither a slug nor a custom domain", { code: "CONFIG_ERROR" })
+}
+
+/**
+ * Whether a post with this slug already exists in the publication
+ * Looked up by publication slug when there is one, otherwise by paging through the posts.
+ */
+async function postSlugTaken(publication, slug) {
+  if (!publication.slug) {
+    for await (const post of iterateList("posts", {})) {
+      if (post.slug === slug) return true
+    }
+    return false
+  }
+  try {
+    await request("GET", `/publications/slug/${encodeURIComponent(publication.slug)}/posts/slug/${encodeURIComponent(slug)}`, null, {}, { cache: false })
+    return true
+  } catch (error) {
+    if (error.code === "NOT_FOUND") return false
+    throw error
+  }
+}
+
+/**
+ * A part's markdown with its series header and links to earlier parts and the index
+ * Only URLs that already resolved (plus the planned index URL) are linked.
+ */
+function seriesPartMarkdown(series, part, total, markdown) {
+  const earlier = series.parts.filter(p => p.part < part && p.url)
+  const previous = earlier[earlier.length - 1]
+  const lines = [`**Part ${part} of ${total}** · [${series.title}](${series.index.url || series.index.plannedUrl})`]
+  if (previous) lines.push("", `← Previous: [Part ${previous.part}: ${previous.title}](${previous.url})`)
+  lines.push("", markdown.trim(), "", "---", "")
+  if (earlier.length) {
+    lines.push("**Earlier in this series**", "", ...earlier.map(p => `${p.part}. [${p.title}](${p.url})`), "")
+  }
+  lines.push(`Every part, including the next one, is listed in the [series index](${series.index.url || series.index.plannedUrl}).`)
+  return lines.join("\n") + "\n"
+}
+
+/**
+ * Markdown for the series index: description and a link to every published part
+ */
+function seriesIndexMarkdown(series) {
+  const lines = []
+  if (series.description) lines.push(series.description.trim(), "")
+  lines.push(`## ${series.parts.length} parts`, "", ...series.parts.map(p => `${p.part}. [${p.title}](${p.url})`))
+  return lines.join("\n") + "\n"
+}
+
+/**
+ * Publish a series, or append parts to an existing one
+ *
+ * Parts go through createPost one at a time with waitForProcessing, each under its own
+ * idempotency key, so a re-run after a failure never publishes a part twice. Publishing stops at
+ * the first part that fails or whose URL doesn't resolve; append the remaining parts later with
+ * seriesId. The index post is published once every part has a URL.
+ *
+ * @param {Object} options
+ * @param {string} [options.seriesId] - Append to this series (otherwise a new one is created)
+ * @param {string} [options.title] - Series title (required for a new series; also the index post's title)
+ * @param {string} [options.description] - Intro for the index post
+ * @param {Array<Object>} options.posts - Parts in order (createPost fields)
+ * @param {string} [options.indexSlug] - Slug for the index post, which must not be taken (default: title + series id)
+ * @param {string} [options.baseDir] - Directory local image paths are resolved against
+ */
+async function publishSeries({ seriesId, title, description, posts, indexSlug, baseDir }) {
+  // Check every part (and a new series' index post) before anything is published
+  const errors = []
+  if (!seriesId) {
+    if (!title) errors.push({ field: "title", message: "title is required for a new series" })
+    else if (indexSlug) {
+      const { errors: indexErrors } = validatePost({ title, markdown: title, slug: indexSlug })
+      errors.push(...indexErrors.filter(error => error.field === "slug").map(error => ({ field: "indexSlug", message: error.message.replace(/^slug/, "indexSlug") })))
+    }
+  }
+  const newsletterParts = []
+  for (const [i, post] of posts.entries()) {
+    const { errors: partErrors, normalized } = await validateForPublish(post, baseDir)
+    errors.push(...partErrors.map(error => ({ ...error, field: `posts[${i}].${error.field}` })))
+    if (normalized.sendNewsletter) newsletterParts.push(`posts[${i}].sendNewsletter`)
+  }
+  if (errors.length) throw new ValidationError(errors)
+  // Parts are published with navigation added, so no preview's confirm token could match them
+  rejectUnconfirmableNewsletters(newsletterParts, "series parts")
+
+  let series
+  if (seriesId) {
+    const store = await readState(SERIES_FILE, { series: {} })
+    series = store.series[seriesId]
+    if (!series) throw new ParagraphError(`Series not found: ${seriesId}`, { code: "NOT_FOUND" })
+  } else {
+    const id = `series_${randomUUID().slice(0, 8)}`
+    const slug = indexSlug || seriesIndexSlug(title, id)
+    // Every part links to the index for good, so its slug must be free before part 1 goes out
+    const publication = await publicationPostBase()
+    if (await postSlugTaken(publication, slug)) {
+      const message = `indexSlug "${slug}" is already used by a post in this publication; pick another`
+      throw new ParagraphError(message, { code: "CONFLICT", details: [{ field: "indexSlug", message }] })
+    }
+    const now = new Date().toISOString()
+    series = {
+      id,
+      title,
+      description: description || null,
+      status: "publishing",
+      createdAt: now,
+      updatedAt: now,
+      parts: [],
+      index: { slug, plannedUrl: `${publication.baseUrl}/${slug}`, postId: null, url: null, parts: 0 }
+    }
+  }
+  const save = async () => {
+    series.updatedAt = new Date().toISOString()
+    await updateState(SERIES_FILE, { series: {} }, (store) => { store.series[series.id] = series })
+  }
+
+  // A part from an earlier run may have been published without its URL resolving in time
+  for (const part of series.parts.filter(p => !p.url)) {
+    try {
+      const ready = await processedPost(await request("GET", `/v1/posts/${part.postId}`, null, {}, { cache: false }), false)
+      if (ready) Object.assign(part, { slug: ready.slug, url: ready.url, publishedAt: ready.publishedAt || part.publishedAt })
+    } catch {
+      // Still unresolved; reported below
+    }
+  }
+
+  const result = () => ({ seriesId: series.id, status: series.status, title: series.title, parts: series.parts, index: series.index })
+  const stop = async (message) => {
+    series.status = "incomplete"
+    await save()
+    return { ...result(), error: message }
+  }
+  const unresolved = series.parts.find(p => !p.url)
+  if (unresolved) return await stop(`Part ${unresolved.part} (${unresolved.postId}) has no URL yet; try again once processing has finished`)
+
+  const total = series.parts.length + posts.length
+  for (const post of posts) {
+    const part = series.parts.length + 1
+    let created
+    try {
+      created = await createPost({
+        ...post,
+        markdown: seriesPartMarkdown(series, part, total, post.markdown),
+        baseDir,
+        waitForProcessing: true,
+        idempotencyKey: `series:${series.id}:${part}`
+      })
+    } catch (error) {
+      return await stop(`Part ${part} failed: ${error.message}`)
+    }
+    series.parts.push({ part, title: post.title, postId: created.id, slug: created.slug || null, url: created.url || null, publishedAt: created.publishedAt || null })
+    await save()
+    if (!created.url) return await stop(`Part ${part} (${created.id}) did not finish processing; append the remaining parts once it has a URL`)
+  }
+
+  // The index can't be updated later, so parts appended after it is published are missing from it
+  if (!series.index.postId) {
+    try {
+      const index = await createPost({
+        title: series.title,
+        markdown: seriesIndexMarkdown(series),
+        slug: series.index.slug,
+        waitForProcessing: true,
+        idempotencyKey: `series:${series.id}:index`
+      })
+      Object.assign(series.index, { postId: index.id, url: index.url || null, parts: series.parts.length })
+    } catch (error) {
+      return await stop(`Series index failed: ${error.message}`)
+    }
+  }
+  series.status = "complete"
+  await save()
+
+  const report = result()
+  const warnings = []
+  if (series.index.url && series.index.url !== series.index.plannedUrl) {
+    warnings.push(`The index was published at ${series.index.url}, but the parts link to ${series.index.plannedUrl}`)
+  }
+  if (series.index.parts < series.parts.length) {
+    warnings.push(`The series index lists parts 1-${series.index.parts}; later parts link to it but can't be added to it`)
+  }
+  if (warnings.length) report._warning = warnings.join(". ")
+  return report
+}
+
+// Publication export: markdown + front-matter per post, cover images and a manifest
+const EXPORT_MANIFEST = "manifest.json"
+const IMAGE_EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png", "image/gif": ".gif", "image/webp": ".webp", "image/svg+xml": ".svg", "image/avif": ".avif" }
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 30000
+
+/**
+ * File-system safe name for an exported post: "<date>-<slug or id>"
+ */
+function exportFileName(post) {
+  const date = post.publishedAt ? new Date(post.publishedAt).toISOString().slice(0, 10) : "undated"
+  const name = String(post.slug || post.id).toLowerCase().replace(/[^a-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "")
+  return `${date}-${name || post.id}`
+}
+
+/**
+ * Download a cover image into dir, named after the post
+ * @returns {Promise<string>} File name relative to dir
+ */
+async function downloadImage(imageUrl, dir, baseName) {
+  let response
+  try {
+    response = await fetch(imageUrl, { signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT_MS) })
+  } catch (e) {
+    if (e.name === "TimeoutError") throw new Error(`Timed out after ${IMAGE_DOWNLOAD_TIMEOUT_MS}ms downloading ${imageUrl}`)
+    throw new Error(`${e.cause?.message || e.message} downloading ${imageUrl}`)
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status} downloading ${imageUrl}`)
+  const type = (response.headers.get("content-type") || "").split(";")[0].trim()
+  const ext = IMAGE_EXTENSIONS[type] || path.extname(new URL(imageUrl).pathname).toLowerCase() || ".img"
+  const file = `${baseName}${ext}`
+  await fs.mkdir(dir, { recursive: true })
+  await fs.writeFile(path.join(dir, file), Buffer.from(await response.arrayBuffer()))
+  return file
+}
+
+/**
+ * Export every post of a publication to outputDir
+ *
+ * Layout: posts/<date>-<slug>.md (YAML front-matter + markdown), images/<postId>.<ext>, manifest.json.
+ * The manifest records each exported post, the cursor of an interrupted run (resume) and the
+ * newest publishedAt of the last complete run (watermark). Later runs stop paging once they reach
+ * posts at or before the watermark, so only newer posts are fetched. Pass full to re-export everything.
+ * A cover image that could not be downloaded is recorded on the post's manifest entry (imageError).
+ */
+async function exportPublication({ publicationId, outputDir, downloadImages = true, full = false, pageSize = 50 }) {
+  const pubId = publicationId || await discoverPublicationId()
+  const dir = outputDir || statePath("exports", String(pubId))
+  const manifestPath = path.join(dir, EXPORT_MANIFEST)
+
+  let manifest
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"))
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Could not read export manifest ${manifestPath}: ${e.message}`)
+    manifest = { publicationId: String(pubId), watermark: null, resume: null, posts: {} }
+  }
+  if (manifest.publicationId !== String(pubId)) {
+    throw new ParagraphError(`${dir} holds an export of publication ${manifest.publicationId}; choose another outputDir`, { code: "CONFLICT" })
+  }
+
+  const saveManifest = async () => {
+    await fs.mkdir(dir, { recursive: true })
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2))
+  }
+
+  const watermark = full ? null : manifest.watermark
+  const resumed = !!manifest.resume
+  let newest = manifest.resume?.newest || null
+  const summary = { outputDir: dir, exported: 0, skipped: 0, images: 0, warnings: [], resumed }
+
+  const fetchPage = await listFetcher("posts", { publicationId: pubId, params: { includeContent: "true" }, requestOptions: { cache: false } })
+  for await (const page of paginatePages(fetchPage, { cursor: manifest.resume?.cursor, pageSize, pace: pacePages })) {
+    let reachedWatermark = false
+    for (const post of page.items) {
+      if (watermark && post.publishedAt && post.publishedAt <= watermark) {
+        reachedWatermark = true
+        break
+      }
+      if (post.publishedAt && (!newest || post.publishedAt > newest)) newest = post.publishedAt
+      if (manifest.posts[post.id] && !full) {
+        summary.skipped++
+        continue
+      }
+
+      const baseName = exportFileName(post)
+      let image = null
+      let imageError = null
+      if (downloadImages && post.imageUrl) {
+        try {
+          image = `images/${await downloadImage(post.imageUrl, path.join(dir, "images"), post.id)}`
+          summary.images++
+        } catch (e) {
+          imageError = e.message
+          summary.warnings.push(`Cover image for post ${post.id} not downloaded: ${e.message}`)
+        }
+      }
+
+      const coin = extractCoinRef(post)
+      const frontMatter = {
+        id: post.id,
+        title: post.title,
+        subtitle: post.subtitle,
+        slug: post.slug,
+        categories: post.categories,
+        publishedAt: post.publishedAt,
+        url: post.url,
+        imageUrl: post.imageUrl,
+        image,
+        coin: coin.id ? { id: coin.id, contractAddress: coin.contractAddress, ticker: post.coin?.ticker } : null
+      }
+      const file = `posts/${baseName}.md`
+      await fs.mkdir(path.join(dir, "posts"), { recursive: true })
+      await fs.writeFile(path.join(dir, file), stringifyFrontMatter(frontMatter, post.markdown || post.staticHtml || ""))
+
+      manifest.posts[post.id] = { file, title: post.title, slug: post.slug || null, publishedAt: post.publishedAt || null, url: post.url || null, image }
+      if (imageError) manifest.posts[post.id].imageError = imageError
+      summary.exported++
+    }
+
+    const done = reachedWatermark || !page.hasMore || !page.items.length
+    // Checkpoint after every page so an interrupted export resumes from here
+    manifest.resume = done ? null : { cursor: page.nextCursor, newest }
+    if (done) {
+      if (newest && (!manifest.watermark || newest > manifest.watermark)) manifest.watermark = newest
+      manifest.exportedAt = new Date().toISOString()
+    }
+    await saveManifest()
+    if (done) break
+  }
+
+  summary.totalPosts = Object.keys(manifest.posts).length
+  summary.watermark = manifest.watermark
+  return summary
+}
+
+// Markdown file publishing: state of files already published, keyed by absolute path
+const PUBLISHED_FILES = "published-files.json"
+const MARKDOWN_EXTENSIONS = new Set([".md", ".markdown"])
+
+/**
+ * Publish one markdown file with YAML front-matter
+ *
+ * Files already published (recorded in the local state file, or carrying paragraphId in
+ * their front-matter) are skipped unless force is set. After publishing, paragraphId,
+ * paragraphUrl and paragraphPublishedAt are written back into the file's front-matter.
+ * Invalid files throw a ValidationError.
+ *
+ * @returns {Promise<{ file: string, status: "published"|"skipped"|"would-publish", ... }>}
+ */
+async function publishFile(file, { dryRun = false, force = false, waitForProcessing = true } = {}) {
+  const absPath = path.resolve(file)
+  const text = await fs.readFile(absPath, "utf8")
+  const { data, body } = parseFrontMatter(text)
+
+  const state = await readState(PUBLISHED_FILES, { files: {} })
+  const previous = state.files[absPath]
+  if (!force && (previous || data.paragraphId)) {
+    return {
+      file: absPath,
+      status: "skipped",
+      reason: "already published",
+      postId: previous?.postId || data.paragraphId,
+      url: previous?.url || data.paragraphUrl || null
+    }
+  }
+
+  const post = postFromFrontMatter(data, body)
+  const baseDir = path.dirname(absPath)
+  const validation = await validateForPublish(post, baseDir)
+  if (!validation.valid) {
+    throw new ValidationError(validation.errors)
+  }
+  // There is no way to pass a confirm token through front-matter
+  rejectUnconfirmableNewsletters(validation.normalized.sendNewsletter ? ["sendNewsletter"] : [], "markdown files")
+
+  if (dryRun) {
+    const { markdown, coinData, ...fields } = validation.normalized
+    return { file: absPath, status: "would-publish", post: { ...fields, coin: coinData || undefined, markdownLength: markdown.length }, warnings: validation.warnings }
+  }
+
+  // A forced re-publish must not be deduplicated against the earlier post
+  const result = await createPost({ ...post, baseDir, waitForProcessing, idempotencyKey: force ? false : `file:${absPath}` })
+  const record = { postId: result.id, url: result.url || null, publishedAt: result.publishedAt || new Date().toISOString() }
+  await updateState(PUBLISHED_FILES, { files: {} }, (files) => {
+    files.files[absPath] = record
+  })
+
+  const outcome = { file: absPath, status: "published", ...record }
+  if (result._deduplicated) outcome.deduplicated = true
+  try {
+    const current = await fs.readFile(absPath, "utf8")
+    await fs.writeFile(absPath, setFrontMatterFields(current, {
+      paragraphId: record.postId,
+      paragraphUrl: record.url,
+      paragraphPublishedAt: record.publishedAt
+    }))
+  } catch (e) {
+    outcome.warning = `Published, but could not update front-matter: ${e.message}`
+  }
+  return outcome
+}
+
+/**
+ * List markdown files in a directory (sorted, optionally recursive)
+ */
+async function listMarkdownFiles(dir, recursive) {
+  const entries = await fs.readdir(dir, { withFileTypes: true })
+  const files = []
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory() && recursive && !entry.name.startsWith(".")) {
+      files.push(...await listMarkdownFiles(full, recursive))
+    } else if (entry.isFile() && MARKDOWN_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      files.push(full)
+    }
+  }
+  return files
+}
+
+// Subscriber CSV import: parse, validate and dedupe locally before uploading
+const SUBSCRIBER_IMPORT_CHUNK_ROWS = 1000
+const SUBSCRIBER_IMPORT_MAX_BYTES = 10 * 1024 * 1024 // API limit per file
+const EMAIL_PATTERN = /^[^\s@",;<>()]+@[^\s@",;<>()]+\.[^\s@",;<>()]{2,}$/
+// Accepted header spellings (case-insensitive) for the email,wallet,tags format
+const SUBSCRIBER_COLUMNS = {
+  email: "email",
+  subscriberemail: "email",
+  email_address: "email",
+  wallet: "wallet",
+  wallet_address: "wallet",
+  walletaddress: "wallet",
+  tags: "tags",
+  created_at: "createdAt",
+  createdat: "createdAt"
+}
+
+/**
+ * Parse a subscriber CSV (header row required)
+ * Unquoted tags that spill into extra columns ("a@b.com,,tag1,tag2") are folded into the tags column.
+ * @returns {Array<{ line: number, email: string, wallet: string, tags: string[], createdAt: string }>}
+ */
+function parseSubscriberCsv(text) {
+  const [header, ...records] = parseCsv(text)
+  if (!header) throw new ParagraphError("CSV file is empty", { code: "VALIDATION_ERROR" })
+  const columns = header.fields.map(name => SUBSCRIBER_COLUMNS[name.trim().toLowerCase()] || null)
+  if (!columns.includes("email") && !columns.includes("wallet")) {
+    throw new ParagraphError("CSV header must include an email or wallet column (e.g. email,wallet,tags)", { code: "VALIDATION_ERROR" })
+  }
+  const tagsIndex = columns.indexOf("tags")
+
+  return records.map(({ line, fields }) => {
+    const row = { line, email: "", wallet: "", tags: [], createdAt: "" }
+    fields.forEach((value, i) => {
+      const column = i >= columns.length && tagsIndex === columns.length - 1 ? "tags" : columns[i]
+      if (!column) return
+      if (column === "tags") row.tags.push(...value.split(/[,;]/).map(t => t.trim()).filter(Boolean))
+      else row[column] = value.trim()
+    })
+    return row
+  })
+}
+
+/**
+ * Validate subscriber rows and flag duplicates (within the file and against existing subscribers)
+ * @param {Array} rows - Output of parseSubscriberCsv
+ * @param {{ emails: Set<string>, wallets: Set<string> }|null} existing - Lowercased existing subscribers
+ * @returns {Array<{ line, email, wallet, status: "valid"|"invalid"|"duplicate"|"existing", reason? }>}
+ */
+function checkSubscriberRows(rows, existing) {
+  const seenEmails = new Map()
+  const seenWallets = new Map()
+  return rows.map(row => {
+    const result = { line: row.line, email: row.email || null, wallet: row.wallet || null, status: "valid" }
+    const problems = []
+    if (!row.email && !row.wallet) problems.push("email or wallet is required")
+    if (row.email && !EMAIL_PATTERN.test(row.email)) problems.push(`invalid email "${row.email}"`)
+    if (row.wallet) {
+      const wallet = checkWalletAddress(row.wallet)
+      if (!wallet.valid) problems.push(`invalid wallet: ${wallet.reason}`)
+    }
+    if (problems.length) return { ...result, status: "invalid", reason: problems.join("; ") }
+
+    const email = row.email.toLowerCase()
+    const wallet = row.wallet.toLowerCase()
+    const firstLine = (email && seenEmails.get(email)) || (wallet && seenWallets.get(wallet))
+    if (firstLine) return { ...result, status: "duplicate", reason: `duplicate of line ${firstLine}` }
+    if (email) seenEmails.set(email, row.line)
+    if (wallet) seenWallets.set(wallet, row.line)
+
+    if (existing && ((email && existing.emails.has(email)) || (wallet && existing.wallets.has(wallet)))) {
+      return { ...result, status: "existing", reason: "already a subscriber" }
+    }
+    return result
+  })
+}
+
+/**
+ * Page through all current subscribers, returning lowercased emails and wallets
+ */
+async function fetchExistingSubscribers() {
+  const emails = new Set()
+  const wallets = new Set()
+  for await (const subscriber of iterateSubscribers()) {
+    if (subscriber.email) emails.add(subscriber.email.toLowerCase())
+    const wallet = subscriber.walletAddress || subscriber.wallet
+    if (wallet) wallets.add(wallet.toLowerCase())
+  }
+  return { emails, wallets }
+}
+
+/**
+ * Split rows into import chunks of at most chunkSize rows and the API's 10MB file limit
+ */
+function chunkSubscriberRows(rows, chunkSize) {
+  const chunks = []
+  let current = []
+  let bytes = 0
+  for (const row of rows) {
+    const size = Buffer.byteLength(toCsv([subscriberCsvRow(row)]))
+    if (current.length && (current.length >= chunkSize || bytes + size > SUBSCRIBER_IMPORT_MAX_BYTES - 1024)) {
+      chunks.push(current)
+      current = []
+      bytes = 0
+    }
+    current.push(row)
+    bytes += size
+  }
+  if (current.length) chunks.push(current)
+  return chunks
+}
+
+/**
+ * CSV fields for one subscriber in the import upload
+ */
+function subscriberCsvRow(row) {
+  return [row.email, row.wallet, row.tags.join(","), row.createdAt]
+}
+
+/**
+ * Upload one chunk of subscribers to /v1/subscribers/import (multipart)
+ * Goes through request() like every other call, so it is timed out, rate-limit tracked and
+ * audited; as a POST it is never retried automatically.
+ */
+async function uploadSubscriberCsv(rows, sendWelcomeEmail) {
+  const csv = toCsv([["email", "wallet_address", "tags", "created_at"], ...rows.map(subscriberCsvRow)])
+  const formData = new FormData()
+  formData.append("file", new Blob([csv], { type: "text/csv" }), "subscribers.csv")
+
+  const result = await request("POST", "/v1/subscribers/import", null, { sendWelcomeEmail }, { formData })
+  return {
+    imported: result.imported || 0,
+    skipped: result.skipped || 0,
+    total: result.total || 0
+  }
+}
+
+// Token-gated audience: coin holders synced into the subscriber list, with a local change log
+const HOLDER_SYNC_LOG_FILE = "holder-sync-log.json"
+const HOLDER_SYNC_LOG_RUNS = 100 // oldest runs are dropped beyond this
+
+/**
+ * Add coin holders that are not subscribed yet as wallet subscribers
+ * Holders are pooled across coins (one entry per wallet) and compared with the existing list
+ * case-insensitively; each missing wallet is resolved to its Paragraph user before it is added.
+ * One failed wallet does not stop the rest. Every run is appended to the change log.
+ *
+ * @param {Object} options
+ * @param {string[]} options.coinIds
+ * @param {string|number} [options.minBalance=0] - Only holders with at least this balance (in any of the coins)
+ * @param {boolean} [options.requireUser=false] - Skip wallets without a Paragraph user
+ * @param {boolean} [options.sendWelcomeEmail=false]
+ * @param {boolean} [options.dryRun=false] - Report what would be added without adding anything
+ */
+async function syncHoldersToSubscribers({ coinIds, minBalance = 0, requireUser = false, sendWelcomeEmail = false, dryRun = false }) {
+  const threshold = parseBalance(minBalance)
+  const wallets = new Map()
+  for (const coinId of coinIds) {
+    for await (const holder of iterateCoinHolders({ coinId })) {
+      const amount = parseBalance(holder.balance)
+      if (amount <= 0n || amount < threshold) continue
+      const key = holder.walletAddress.toLowerCase()
+      if (!wallets.has(key)) wallets.set(key, { walletAddress: holder.walletAddress, coins: [] })
+      wallets.get(key).coins.push({ coinId, balance: String(holder.balance) })
+    }
+  }
+
+  const existing = await fetchExistingSubscribers()
+  const changes = []
+  for (const [key, holder] of wallets) {
+    const change = { walletAddress: holder.walletAddress, coins: holder.coins, userId: null, userName: null }
+    changes.push(change)
+    if (existing.wallets.has(key)) {
+      change.action = "existing"
+      continue
+    }
+
+    await pacePages()
+    try {
+      const user = await request("GET", `/v1/users/wallet/${holder.walletAddress}`).catch(error => {
+        if (error.code === "NOT_FOUND") return null
+        throw error
+      })
+      change.userId = user?.id || null
+      change.userName = user?.name || null
+      if (!user && requireUser) {
+        change.action = "no-user"
+      } else if (dryRun) {
+        change.action = "would-add"
+      } else {
+        await request("POST", "/v1/subscribers", { wallet: holder.walletAddress, sendWelcomeEmail })
+        change.action = "added"
+      }
+    } catch (error) {
+      Object.assign(change, { action: "failed", error: error.message, code: errorFields(error).code })
+    }
+  }
+  if (changes.some(change => change.action === "added")) await invalidateCache(SUBSCRIBER_GROUPS)
+
+  const counts = { added: 0, "would-add": 0, existing: 0, "no-user": 0, failed: 0 }
+  for (const change of changes) counts[change.action]++
+  const run = {
+    id: `sync_${randomUUID().slice(0, 8)}`,
+    ranAt: new Date().toISOString(),
+    dryRun,
+    coinIds,
+    minBalance: String(minBalance),
+    sendWelcomeEmail,
+    holders: wallets.size,
+    counts
+  }
+
+  // The log keeps what changed (or would have); existing subscribers are only counted
+  await updateState(HOLDER_SYNC_LOG_FILE, { runs: [] }, (log) => {
+    log.runs.push({ ...run, changes: changes.filter(change => change.action !== "existing") })
+    log.runs = log.runs.slice(-HOLDER_SYNC_LOG_RUNS)
+  })
+  return { ...run, changes }
+}
+
+// Coin analytics: dated holder snapshots under <state dir>/coin-snapshots/<coinId>/
+const COIN_SNAPSHOTS_DIR = "coin-snapshots"
+
+const snapshotFile = (coinId, snapshotId) => path.join(COIN_SNAPSHOTS_DIR, encodeURIComponent(coinId), `${snapshotId}.json`)
+
+/**
+ * Saved snapshot ids for a coin, oldest first (ids are timestamps, so they sort by date)
+ */
+async function coinSnapshotIds(coinId) {
+  try {
+    const files = await fs.readdir(statePath(COIN_SNAPSHOTS_DIR, encodeURIComponent(coinId)))
+    return files.filter(file => file.endsWith(".json")).map(file => file.slice(0, -".json".length)).sort()
+  } catch (e) {
+    if (e.code === "ENOENT") return []
+    throw e
+  }
+}
+
+/**
+ * Load a saved snapshot by id; "latest" is the newest and "previous" the one before it
+ */
+async function loadCoinSnapshot(coinId, snapshotId) {
+  const ids = await coinSnapshotIds(coinId)
+  const resolved = { latest: ids.at(-1), previous: ids.at(-2) }[snapshotId] ?? snapshotId
+  if (!ids.includes(resolved)) throw new ParagraphError(`Coin snapshot not found: ${coinId} ${snapshotId}`, { code: "NOT_FOUND" })
+  return await readState(snapshotFile(coinId, resolved), null)
+}
+
+/**
+ * Page through every holder of a coin, compute concentration metrics and optionally save
+ * the result as a dated snapshot and diff it against an earlier one
+ *
+ * @param {Object} options
+ * @param {string} options.coinId
+ * @param {number} [options.topN=10] - Largest holders to list and sum
+ * @param {boolean} [options.saveSnapshot=true] - Save the holders as a dated snapshot
+ * @param {string} [options.compareTo] - Snapshot id, or "latest" for the newest saved before this run
+ *   (skipped when there is none yet)
+ * @param {boolean} [options.includeMarkdown=false] - Add the report as markdown
+ */
+async function coinReport({ coinId, topN = 10, saveSnapshot = true, compareTo, includeMarkdown = false }) {
+  // Resolve the baseline before saving, so "latest" never compares the snapshot with itself
+  let baseline = null
+  if (compareTo && (compareTo !== "latest" || (await coinSnapshotIds(coinId)).length)) {
+    baseline = await loadCoinSnapshot(coinId, compareTo)
+  }
+
+  const coin = await request("GET", `/v1/coins/${coinId}`)
+  const { items } = await listPages("coinHolders", { coinId, all: true })
+  const takenAt = new Date().toISOString()
+  const snapshot = {
+    id: takenAt.replace(/[:.]/g, "-"),
+    coinId,
+    takenAt,
+    coin: {
+      id: coin.id || coinId,
+      ticker: coin.ticker || null,
+      name: coin.name || null,
+      contractAddress: coin.contractAddress || null,
+      supply: coin.supply ?? null
+    },
+    holders: items.map(holder => ({ walletAddress: holder.walletAddress, balance: String(holder.balance) }))
+  }
+  if (saveSnapshot) await writeState(snapshotFile(coinId, snapshot.id), snapshot)
+
+  const report = {
+    coin: snapshot.coin,
+    takenAt,
+    snapshotId: saveSnapshot ? snapshot.id : null,
+    metrics: holderMetrics(snapshot.holders, { topN })
+  }
+  if (baseline) report.diff = diffSnapshots(baseline, snapshot)
+  if (includeMarkdown) report.markdown = renderCoinReport(report)
+  return report
+}
+
+// Publication analytics: a daily subscriber-count snapshot per publication feeds the trend
+const SUBSCRIBER_SNAPSHOTS_FILE = "subscriber-snapshots.json"
+const SUBSCRIBER_SNAPSHOTS_KEPT = 400 // days per publication
+
+/**
+ * Add today's subscriber count to a snapshot list (replacing an earlier one from today)
+ */
+function withSubscriberSnapshot(snapshots, count) {
+  const takenAt = new Date().toISOString()
+  const date = takenAt.slice(0, 10)
+  return [...snapshots.filter(snapshot => snapshot.date !== date), { date, count, takenAt }].slice(-SUBSCRIBER_SNAPSHOTS_KEPT)
+}
+
+/**
+ * Editorial report for a publication: every post (with content), the subscriber count and
+ * holders of each coined post, summarized by lib/stats.js
+ *
+ * @param {Object} options
+ * @param {string} [options.publicationId] - Default: the discovered publication
+ * @param {number} [options.weeks=12] - Weeks covered by the cadence and subscriber trend
+ * @param {boolean} [options.saveSnapshot=true] - Store today's subscriber count for future trends
+ */
+async function publicationReport({ publicationId, weeks = 12, saveSnapshot = true }) {
+  const pubId = publicationId || await discoverPublicationId()
+  const publication = await request("GET", `/v1/publications/${pubId}`)
+  const { items: posts } = await listPages("posts", { publicationId: pubId, params: { includeContent: "true" }, all: true })
+
+  const { count } = await request("GET", `/v1/publications/${pubId}/subscribers/count`)
+  const subscriberSnapshots = saveSnapshot
+    ? await updateState(SUBSCRIBER_SNAPSHOTS_FILE, { publications: {} }, (store) => {
+      store.publications[pubId] = withSubscriberSnapshot(store.publications[pubId] || [], count)
+      return store.publications[pubId]
+    })
+    : withSubscriberSnapshot((await readState(SUBSCRIBER_SNAPSHOTS_FILE, { publications: {} })).publications[pubId] || [], count)
+
+  // A coin that can't be read is reported with its error instead of failing the report
+  const coins = []
+  for (const post of posts) {
+    const coinId = extractCoinRef(post).id
+    if (!coinId) continue
+    const entry = { postId: post.id, title: post.title, coinId, ticker: null }
+    try {
+      const coin = await request("GET", `/v1/coins/${coinId}`)
+      entry.ticker = coin.ticker || null
+      entry.holders = []
+      for await (const holder of iterateCoinHolders({ coinId })) entry.holders.push(holder)
+    } catch (error) {
+      delete entry.holders
+      entry.error = error.message
+    }
+    coins.push(entry)
+  }
+
+  const report = publicationStats({
+    publication: { id: pubId, name: publication.name || null, slug: publication.slug || null },
+    posts,
+    subscriberSnapshots,
+    coins,
+    weeks
+  })
+  return { ...report, markdown: renderPublicationStats(report) }
+}
+
+// Local search index: posts from publications, followed tags and the feed, ranked with BM25 (lib/search.js)
+const SEARCH_INDEX_FILE = "search-index.json"
+const SEARCH_SOURCE_MAX_ITEMS = 200 // posts read per source and refresh
+
+/**
+ * List endpoint and arguments for an index source ("publication:<id>", "tag:<tag>" or "feed")
+ */
+function searchSourceList(source) {
+  const [kind, value] = [source.slice(0, source.indexOf(":")), source.slice(source.indexOf(":") + 1)]
+  if (kind === "publication") return ["posts", { publicationId: value, params: { includeContent: "true" } }]
+  if (kind === "tag") return ["postsByTag", { tag: value, params: { includeContent: "true" } }]
+  return ["feed", {}]
+}
+
+/**
+ * Fetch new posts from each source into the search index
+ * Lists are newest first, so each source stops at the first post it indexed before (full re-reads
+ * up to maxItems). Requested sources are followed from then on; without any, the followed
+ * sources are refreshed (the own publication when nothing is followed yet).
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.publicationIds]
+ * @param {string[]} [options.tags]
+ * @param {boolean} [options.includeFeed=false]
+ * @param {number} [options.maxItems] - Posts read per source (default SEARCH_SOURCE_MAX_ITEMS)
+ * @param {boolean} [options.full=false] - Re-read posts that are already indexed
+ * @returns {Promise<{ added: number, total: number, sources: Array<{ source: string, fetched: number }> }>}
+ */
+async function refreshSearchIndex({ publicationIds = [], tags = [], includeFeed = false, maxItems = SEARCH_SOURCE_MAX_ITEMS, full = false } = {}) {
+  const index = await readState(SEARCH_INDEX_FILE, { sources: {}, docs: {} })
+  let sources = [
+    ...publicationIds.map(id => `publication:${id}`),
+    ...tags.map(tag => `tag:${tag.toLowerCase()}`),
+    ...(includeFeed ? ["feed"] : [])
+  ]
+  if (!sources.length) sources = Object.keys(index.sources)
+  if (!sources.length) sources = [`publication:${await discoverPublicationId()}`]
+
+  const fetched = new Map()
+  for (const source of sources) {
+    const known = new Set(full ? [] : Object.values(index.docs).filter(doc => doc.sources.includes(source)).map(doc => doc.id))
+    const [name, args] = searchSourceList(source)
+    const docs = []
+    for await (const post of iterateList(name, { ...args, maxItems })) {
+      if (known.has(post.id)) break
+      docs.push(indexDocument(post, source))
+    }
+    fetched.set(source, docs)
   }
 
-  throw new Error("Could not auto-discover publication ID. Either set PARAGRAPH_PUBLICATION_ID or PARAGRAPH_PUBLICATION_SLUG env var, or ensure your publication has at least one post to read from the feed.")
+  // Merge into the current file so a concurrent refresh's posts are kept
+  return await updateState(SEARCH_INDEX_FILE, { sources: {}, docs: {} }, (current) => {
+    const refreshedAt = new Date().toISOString()
+    let added = 0
+    for (const [source, docs] of fetched) {
+      for (const doc of docs) {
+        const existing = current.docs[doc.id]
+        if (!existing) added++
+        current.docs[doc.id] = { ...doc, sources: [...new Set([...(existing?.sources || []), source])] }
+      }
+      current.sources[source] = { refreshedAt, lastFetched: docs.length }
+    }
+    return {
+      added,
+      total: Object.keys(current.docs).length,
+      sources: [...fetched].map(([source, docs]) => ({ source, fetched: docs.length }))
+    }
+  })
 }
 
+// Named profiles: a JSON file of configs shaped like config.example.json, keyed by name
+const DEFAULT_PROFILES_FILE = "profiles.json"
+// Profile clients by name, so each keeps its discovery cache across calls
+const profileClients = new Map()
+
 /**
- * Get the publication slug (for URL building)
- * Tries to auto-discover if not already cached
+ * Base state directory from env, ignoring the state dir of the client currently running
  */
-async function getPublicationSlug() {
-  if (DEFAULT_PUBLICATION_SLUG) {
-    return DEFAULT_PUBLICATION_SLUG
-  }
+const baseStateDir = () => clientContext.exit(() => stateDir())
 
-  // Ensure we have the ID first
-  const id = await discoverPublicationId()
+/**
+ * Path of the profiles file (PARAGRAPH_PROFILES_FILE, default <state dir>/profiles.json)
+ */
+function profilesPath() {
+  return process.env.PARAGRAPH_PROFILES_FILE || path.join(baseStateDir(), DEFAULT_PROFILES_FILE)
+}
 
+/**
+ * Read the profiles file
+ * @returns {Promise<Object.<string, { description?: string, env: Object }>>}
+ */
+async function readProfiles() {
+  const file = profilesPath()
+  let text
   try {
-    // Fetch publication details to get the slug
-    const pub = await request("GET", `/v1/publications/${id}`)
-    if (pub.slug) {
-      DEFAULT_PUBLICATION_SLUG = pub.slug
-      return DEFAULT_PUBLICATION_SLUG
-    }
-    if (pub.customDomain) {
-      DEFAULT_PUBLICATION_SLUG = pub.customDomain
-      return DEFAULT_PUBLICATION_SLUG
+    text = await fs.readFile(file, "utf8")
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      throw new ParagraphError(`No profiles file at ${file} (set PARAGRAPH_PROFILES_FILE or create it)`, { code: "CONFIG_ERROR" })
     }
+    throw e
+  }
+  let config
+  try {
+    config = JSON.parse(text)
   } catch (e) {
-    // Fall through
+    throw new ParagraphError(`Invalid JSON in profiles file ${file}: ${e.message}`, { code: "CONFIG_ERROR" })
   }
+  return config.profiles || {}
+}
+
+/**
+ * Build a client state object (not yet bound to tools)
+ */
+function buildClient({ name, apiKey, publicationSlug, publicationId, apiBaseUrl, stateDir: dir } = {}) {
+  if (!apiKey) throw new ParagraphError("apiKey is required", { code: "CONFIG_ERROR" })
+  const id = name || createHash("sha256").update(`${apiKey}\n${publicationSlug || ""}\n${publicationId || ""}`).digest("hex").slice(0, 12)
+  return {
+    name: id,
+    apiKey,
+    apiBase: apiBaseUrl || process.env.PARAGRAPH_API_BASE_URL || DEFAULT_API_BASE,
+    publicationId: publicationId ? String(publicationId) : null,
+    publicationSlug: publicationSlug || null,
+    // Separate local state per client, so ledgers/drafts/queues never cross publications
+    stateDir: dir || path.join(baseStateDir(), "clients", id),
+    rateLimit: null,
+    fromEnv: false
+  }
+}
+
+/**
+ * Client for a named profile (created once per process)
+ */
+async function profileClient(name) {
+  if (profileClients.has(name)) return profileClients.get(name)
+  const profiles = await readProfiles()
+  const profile = profiles[name]
+  if (!profile) {
+    throw new ParagraphError(`Unknown profile "${name}" (available: ${Object.keys(profiles).join(", ") || "none"})`, { code: "CONFIG_ERROR" })
+  }
+  const env = profile.env || {}
+  if (!env.PARAGRAPH_API_KEY) throw new ParagraphError(`Profile "${name}" has no PARAGRAPH_API_KEY`, { code: "CONFIG_ERROR" })
+  const client = buildClient({
+    name,
+    apiKey: env.PARAGRAPH_API_KEY,
+    publicationSlug: env.PARAGRAPH_PUBLICATION_SLUG,
+    publicationId: env.PARAGRAPH_PUBLICATION_ID,
+    apiBaseUrl: env.PARAGRAPH_API_BASE_URL,
+    stateDir: env.PARAGRAPH_STATE_DIR
+  })
+  profileClients.set(name, client)
+  return client
+}
+
+/**
+ * Bind every tool to a client
+ */
+function bindTools(client) {
+  const bound = {}
+  for (const [name, tool] of Object.entries(tools)) {
+    bound[name] = (...args) => clientContext.run(client, () => tool(...args))
+    bound[name].schema = tool.schema
+  }
+  return bound
+}
+
+/**
+ * Create an isolated tool set for one account/publication
+ * Each client has its own API key, publication discovery cache, rate-limit budget and
+ * local state directory; the default export keeps using env configuration.
+ *
+ * @example
+ * const research = createParagraphClient({ apiKey: process.env.RESEARCH_KEY, publicationSlug: "research" })
+ * await research.paragraph_listPosts({ all: true })
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Paragraph API key (required)
+ * @param {string} [options.publicationSlug] - Publication slug for URL building and discovery
+ * @param {string} [options.publicationId] - Publication ID (skips discovery)
+ * @param {string} [options.apiBaseUrl] - API base URL (default PARAGRAPH_API_BASE_URL or the public API)
+ * @param {string} [options.stateDir] - Local state directory (default <state dir>/clients/<name>)
+ * @param {string} [options.name] - Client name, used for the default state directory
+ * @returns {Object.<string, Function>} Same tools as the default export
+ */
+export function createParagraphClient(options = {}) {
+  return bindTools(buildClient(options))
+}
 
-  throw new Error("Could not determine publication slug. Set PARAGRAPH_PUBLICATION_ID and ensure the publication exists.")
+/**
+ * Tool set for a named profile from the profiles file
+ * @param {string} name
+ * @returns {Promise<Object.<string, Function>>}
+ */
+export async function loadProfile(name) {
+  return bindTools(await profileClient(name))
 }
 
 /**
  * Wrap tools with standardized error handling
+ * Arguments are checked against the tool's JSON Schema (`tool.schema`, see lib/schemas.js)
+ * before the tool runs, so bad input never reaches the network. Every call is reported to the
+ * audit sinks unless `audit: false` (see configureAudit).
  */
-function wrapTool(fn) {
-  return async (...args) => {
+function wrapTool(fn, { audit = true } = {}) {
+  const tool = async (params = {}, ...rest) => {
+    const call = { id: `call_${randomUUID().slice(0, 8)}`, tool: tool.toolName, requests: 0, cacheHits: 0, endpoints: [] }
+    const startedAt = new Date()
+    // fromCache: every API request the tool made was answered by the response cache
+    const fromCache = () => call.requests > 0 && call.cacheHits === call.requests
+    let client = null
+    let result
     try {
-      const data = await fn(...args)
-      return { success: true, data, error: null }
+      // A `profile` argument runs the tool against that profile's client
+      if (params && typeof params === "object" && "profile" in params) {
+        const { profile, ...toolParams } = params
+        client = profile ? await profileClient(profile) : null
+        params = toolParams
+      }
+      if (tool.schema) {
+        const errors = checkSchema(tool.schema.parameters, params)
+        if (errors.length) throw new ValidationError(errors)
+      }
+      const run = () => fn(params, ...rest)
+      const data = await callContext.run(call, client ? () => clientContext.run(client, run) : run)
+      result = { success: true, data, error: null, fromCache: fromCache() }
     } catch (error) {
-      return { success: false, data: null, error: error.message || String(error) }
+      // `error` stays the message; the structured fields let callers branch on `code`
+      result = { success: false, data: null, error: error.message || String(error), ...errorFields(error), fromCache: fromCache() }
+      // Validation failures also carry the per-field issues
+      if (error.details) result.details = error.details
+    }
+    if (audit) {
+      const emit = () => emitAuditEvent(toolEvent(call, startedAt, params, result))
+      await (client ? clientContext.run(client, emit) : emit())
     }
+    return result
+  }
+  return tool
+}
+
+/**
+ * Audit event for a finished tool call
+ */
+function toolEvent(call, startedAt, params, result) {
+  const event = {
+    type: "tool",
+    callId: call.id,
+    at: startedAt.toISOString(),
+    tool: call.tool || null,
+    client: currentClient().name,
+    args: redact(params),
+    success: result.success,
+    durationMs: Date.now() - startedAt.getTime(),
+    requests: call.endpoints,
+    retries: call.endpoints.reduce((sum, entry) => sum + entry.retries, 0),
+    fromCache: result.fromCache,
+    resultIds: result.success ? resultIds(result.data) : []
   }
+  if (!result.success) Object.assign(event, { code: result.code, status: result.status ?? null, error: result.error })
+  return event
 }
 
 /**
@@ -220,7 +2759,7 @@ export const tools = {
    */
   paragraph_testConnection: wrapTool(async () => {
     // Call a lightweight authenticated endpoint to verify API key
-    const result = await request("GET", "/v1/subscribers", null, { limit: 1 })
+    const result = await request("GET", "/v1/subscribers", null, { limit: 1 }, { cache: false })
     // If we get here, auth worked
     return {
       message: "Connected to Paragraph API",
@@ -230,91 +2769,370 @@ export const tools = {
   }),
 
   /**
-   * Create a new blog post
-   *
-   * Posts are published immediately onchain, but the slug and URL require a few seconds
-   * of processing to become available. By default, this tool returns immediately without waiting.
-   * Set waitForProcessing to true to poll for up to ~25 seconds until slug/url are ready.
-   *
-   * @param {boolean} waitForProcessing - If false (default), returns immediately with post ID. Set true to poll for full post data including slug and URL.
+   * Get the last-seen rate-limit budget (from x-ratelimit-* response headers)
+   * Lets batch operations self-throttle without spending a request. Makes no API call.
    */
-  paragraph_createPost: wrapTool(async ({
-    title,
-    markdown,
-    subtitle,
-    imageUrl,
-    sendNewsletter = false,
-    slug,
-    postPreview,
-    categories,
-    waitForProcessing = false // DEFAULT TO FALSE – fast response by default
-  }) => {
-    if (!title || !markdown) {
-      throw new Error("Missing required parameters: title, markdown")
+  paragraph_getRateLimitStatus: wrapTool(async () => {
+    const budget = currentClient().rateLimit
+    if (!budget) {
+      return { known: false, limit: null, remaining: null, resetAt: null, observedAt: null, waitMs: 0 }
     }
+    return { known: true, ...budget, waitMs: rateLimitWait() }
+  }),
 
-    // Build request body directly (no wrapper)
-    const body = {
-      title,
-      markdown,
-      sendNewsletter
+  /**
+   * Query the audit log (<state dir>/audit.jsonl, written by the "jsonl" sink), newest first
+   * Tool events carry redacted arguments, requests, status, latency, retries and result ids;
+   * log events share the callId of the tool call they came from. Not audited itself.
+   */
+  paragraph_getAuditLog: wrapTool(async ({ tool, type, level, success, callId, since, until, limit = 50 } = {}) => {
+    for (const [field, value] of Object.entries({ since, until })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        throw new ValidationError([{ field, message: `${field} must be an ISO date` }])
+      }
+    }
+    const events = filterEvents(await readJsonl(statePath(AUDIT_FILE)), { tool, type, level, success, callId, since, until })
+    return {
+      events: events.slice(-limit).reverse(),
+      total: events.length,
+      recording: auditSinks().includes("jsonl")
     }
+  }, { audit: false }),
+
+  /**
+   * List configured profiles (from the profiles file); API keys are never returned
+   */
+  paragraph_listProfiles: wrapTool(async () => {
+    const profiles = await readProfiles()
+    return Object.entries(profiles).map(([name, profile]) => ({
+      name,
+      description: profile.description || null,
+      publicationSlug: profile.env?.PARAGRAPH_PUBLICATION_SLUG || null,
+      publicationId: profile.env?.PARAGRAPH_PUBLICATION_ID || null
+    }))
+  }),
+
+  /**
+   * JSON Schemas of the tools (description, parameters, returns), e.g. for building agent tool definitions
+   */
+  paragraph_describeTools: wrapTool(async ({ names } = {}) => {
+    const unknown = (names || []).filter(name => !TOOL_SCHEMAS[name])
+    if (unknown.length) throw new ParagraphError(`Unknown tools: ${unknown.join(", ")}`, { code: "VALIDATION_ERROR" })
+    return Object.entries(TOOL_SCHEMAS)
+      .filter(([name]) => !names || names.includes(name))
+      .map(([name, schema]) => ({ name, ...schema }))
+  }),
+
+  /**
+   * Create a new blog post (see createPost)
+   */
+  paragraph_createPost: wrapTool(createPost),
 
-    if (subtitle) body.subtitle = subtitle
-    if (imageUrl) body.imageUrl = imageUrl
-    if (slug) body.slug = slug
-    if (postPreview) body.postPreview = postPreview
-    if (categories) body.categories = categories // array or comma-separated string
+  /**
+   * Preview a newsletter send before createPost with sendNewsletter: subscriber count, daily
+   * sends left, blackout state and a confirmToken for this title + markdown (valid 30 minutes)
+   */
+  paragraph_previewNewsletter: wrapTool(async ({ title, markdown } = {}) => {
+    return await previewNewsletter({ title, markdown })
+  }),
 
-    const createResult = await request("POST", "/v1/posts", body)
-    const postId = createResult.id
+  /**
+   * Newsletter audit log (sends, blocked attempts, failures), newest first
+   */
+  paragraph_getNewsletterLog: wrapTool(async ({ limit = 20, status } = {}) => {
+    const log = await readState(NEWSLETTER_LOG_FILE, { entries: [] })
+    const entries = status ? log.entries.filter(entry => entry.status === status) : log.entries
+    const { violations: _, ...allowance } = newsletterAllowance(newsletterPolicy(), log)
+    return { entries: entries.slice(-limit).reverse(), total: entries.length, ...allowance }
+  }),
 
-    // If waitForProcessing is true (default) and the immediate response lacks slug/url, poll for the full post data
-    if (waitForProcessing) {
-      // Quick check: maybe creation response already has slug/url (sometimes it does)
-      if (createResult.slug && createResult.url) {
-        return createResult
-      }
+  /**
+   * Check once whether a post's onchain processing has produced its slug/url
+   * Returns { postId, status: "processing" | "ready", slug, url, ... } plus registry fields when tracked.
+   */
+  paragraph_getPostStatus: wrapTool(async ({ postId, withCoin } = {}) => {
+    return await getPostStatus(postId, { withCoin })
+  }),
 
-      const maxAttempts = 12 // ~25 seconds total with backoff
-      for (let i = 0; i < maxAttempts; i++) {
+  /**
+   * Poll a post until slug/url are available or the deadline passes (backoff between checks)
+   * The post is tracked in the pending registry; a timeout returns status "processing" with timedOut.
+   */
+  paragraph_waitForPost: wrapTool(async ({ postId, deadlineMs = 60000, intervalMs, maxIntervalMs = 10000, backoff, withCoin, webhookUrl } = {}) => {
+    return await waitForPost(postId, { deadlineMs, intervalMs, maxIntervalMs, backoff, withCoin, webhookUrl })
+  }),
+
+  /**
+   * List posts in the pending registry (still processing by default), oldest first
+   * With refresh, each processing post is checked once so a new session can resume tracking.
+   */
+  paragraph_listPendingPosts: wrapTool(async ({ includeReady = false, refresh = false } = {}) => {
+    let registry = await readState(PENDING_POSTS_FILE, { posts: {} })
+    if (refresh) {
+      for (const entry of Object.values(registry.posts).filter(entry => entry.status !== "ready")) {
         try {
-          // Use request with built-in timeout (3s per attempt)
-          const full = await request("GET", `/v1/posts/${postId}`, null, {}, { timeout: 3000 })
-          if (full.slug && full.url) {
-            return full // Return complete post object
-          }
-        } catch (e) {
-          // Ignore errors (network, timeout, rate limit) and continue polling
+          await getPostStatus(entry.postId)
+        } catch (error) {
+          await updateState(PENDING_POSTS_FILE, { posts: {} }, (current) => {
+            if (current.posts[entry.postId]) current.posts[entry.postId].lastError = error.message
+          })
         }
-        // Gentle backoff: 1s then 2s intervals to be rate-limit friendly
-        const delay = i === 0 ? 1000 : 2000
-        await new Promise(r => setTimeout(r, delay))
-      }
-      // Timeout – return the initial result with a note
-      return {
-        ...createResult,
-        slug: createResult.slug || null,
-        url: createResult.url || null,
-        publishedAt: createResult.publishedAt || null,
-        _warning: "Onchain processing not complete within ~25s. Call paragraph_getPost later to retrieve full data."
       }
+      registry = await readState(PENDING_POSTS_FILE, { posts: {} })
     }
+    const items = Object.values(registry.posts)
+      .filter(entry => includeReady || entry.status !== "ready")
+      .sort((a, b) => a.trackedAt.localeCompare(b.trackedAt))
+    return { items, total: items.length }
+  }),
+
+  /**
+   * Dry-run the createPost validation: limits, slug format, markdown lint, URLs, categories
+   * and local image files (resolved against baseDir). Never calls the API.
+   * Returns { valid, errors, warnings, normalized }.
+   */
+  paragraph_validatePost: wrapTool(async ({ baseDir, ...params } = {}) => {
+    return await validateForPublish(params, baseDir)
+  }),
+
+  /**
+   * Save a local draft (create, or update when draftId is given)
+   * Drafts never touch the API until paragraph_publishDraft is called.
+   */
+  paragraph_saveDraft: wrapTool(async ({ draftId, baseDir, ...fields } = {}) => {
+    return await updateState(DRAFTS_FILE, { drafts: {} }, (store) => {
+      const now = new Date().toISOString()
+      let draft
+      if (draftId) {
+        draft = store.drafts[draftId]
+        if (!draft) throw new ParagraphError(`Draft not found: ${draftId}`, { code: "NOT_FOUND" })
+        if (draft.status === "published") {
+          throw new ParagraphError(`Draft ${draftId} is already published as post ${draft.postId}`, { code: "CONFLICT" })
+        }
+      } else {
+        if (!fields.title || !fields.markdown) {
+          throw new ParagraphError("Missing required parameters: title, markdown", { code: "VALIDATION_ERROR" })
+        }
+        draft = { id: `draft_${randomUUID().slice(0, 8)}`, status: "draft", createdAt: now }
+        store.drafts[draft.id] = draft
+      }
+      // Relative image refs are resolved against this later, whatever the publishing process's cwd
+      if (baseDir !== undefined || !draft.baseDir) draft.baseDir = path.resolve(baseDir ?? process.cwd())
+
+      for (const field of DRAFT_FIELDS) {
+        if (fields[field] !== undefined) draft[field] = fields[field]
+      }
+      draft.updatedAt = now
+      return { ...draft }
+    })
+  }),
+
+  /**
+   * List local drafts (newest first), optionally filtered by status ("draft" or "published")
+   */
+  paragraph_listDrafts: wrapTool(async ({ status } = {}) => {
+    const store = await readState(DRAFTS_FILE, { drafts: {} })
+    const drafts = Object.values(store.drafts)
+      .filter(draft => !status || draft.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(({ id, title, status, createdAt, updatedAt, postId, url }) => ({ id, title, status, createdAt, updatedAt, postId, url }))
+    return { drafts, total: drafts.length }
+  }),
 
-    // waitForProcessing = false: return immediate result (slug/url may be undefined)
+  /**
+   * Preview a draft: rendered HTML plus a validation report
+   */
+  paragraph_previewDraft: wrapTool(async ({ draftId } = {}) => {
+    const draft = await loadDraft(draftId)
     return {
-      id: createResult.id,
-      slug: createResult.slug,
-      url: createResult.url,
-      publishedAt: createResult.publishedAt
+      draft,
+      html: renderMarkdown(draft.markdown),
+      validation: await validateForPublish(draft, draft.baseDir)
+    }
+  }),
+
+  /**
+   * Publish a draft through paragraph_createPost
+   * Refuses drafts that fail validation or were already published.
+   */
+  paragraph_publishDraft: wrapTool(async ({ draftId, waitForProcessing = false, confirmToken } = {}) => {
+    // Claim the draft, re-checking its status in the same update, so two calls can't both publish it
+    const draft = await updateState(DRAFTS_FILE, { drafts: {} }, (store) => {
+      const current = store.drafts[draftId]
+      if (!current) throw new ParagraphError(`Draft not found: ${draftId}`, { code: "NOT_FOUND" })
+      if (current.status === "published") {
+        throw new ParagraphError(`Draft ${draftId} is already published as post ${current.postId}`, { code: "CONFLICT" })
+      }
+      if (current.publishingAt && Date.now() - Date.parse(current.publishingAt) < DRAFT_CLAIM_STALE_MS) {
+        throw new ParagraphError(`Draft ${draftId} is already being published (since ${current.publishingAt})`, { code: "CONFLICT", retryable: true })
+      }
+      current.publishingAt = new Date().toISOString()
+      return { ...current }
+    })
+    const release = () => updateState(DRAFTS_FILE, { drafts: {} }, (store) => {
+      if (store.drafts[draftId]) delete store.drafts[draftId].publishingAt
+    })
+
+    let post
+    try {
+      const validation = await validateForPublish(draft, draft.baseDir)
+      if (!validation.valid) {
+        throw new ValidationError(validation.errors)
+      }
+
+      const params = { waitForProcessing, confirmToken, baseDir: draft.baseDir, idempotencyKey: `draft:${draftId}` }
+      for (const field of DRAFT_FIELDS) {
+        if (draft[field] !== undefined) params[field] = draft[field]
+      }
+      post = await createPost(params)
+    } catch (error) {
+      await release()
+      throw error
+    }
+
+    await updateState(DRAFTS_FILE, { drafts: {} }, (store) => {
+      const current = store.drafts[draftId]
+      delete current.publishingAt
+      Object.assign(current, {
+        status: "published",
+        postId: post.id,
+        url: post.url || null,
+        publishedAt: post.publishedAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      })
+    })
+    return { draftId, post }
+  }),
+
+  /**
+   * Schedule a post for publishing at a later time
+   * The post is validated now; it is published by paragraph_runScheduled (or startScheduler) once due.
+   */
+  paragraph_schedulePost: wrapTool(async ({ publishAt, waitForProcessing = true, baseDir, ...post } = {}) => {
+    const when = publishAt ? new Date(publishAt) : null
+    if (!when || Number.isNaN(when.getTime())) {
+      throw new ParagraphError("publishAt is required and must be an ISO date string or timestamp", { code: "VALIDATION_ERROR" })
+    }
+    // Stored with the item so the runner resolves relative image refs the same way, whatever its cwd
+    const absBaseDir = path.resolve(baseDir ?? process.cwd())
+    const validation = await validateForPublish(post, absBaseDir)
+    if (!validation.valid) {
+      throw new ValidationError(validation.errors)
+    }
+    // A confirm token would expire long before the post is due
+    rejectUnconfirmableNewsletters(validation.normalized.sendNewsletter ? ["sendNewsletter"] : [], "scheduled posts")
+
+    const fields = {}
+    for (const field of DRAFT_FIELDS) {
+      if (post[field] !== undefined) fields[field] = post[field]
+    }
+
+    return await updateState(SCHEDULE_FILE, { items: {} }, (queue) => {
+      const now = new Date().toISOString()
+      const item = {
+        id: `sched_${randomUUID().slice(0, 8)}`,
+        status: "pending",
+        publishAt: when.toISOString(),
+        post: fields,
+        baseDir: absBaseDir,
+        waitForProcessing,
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now
+      }
+      queue.items[item.id] = item
+      return { ...item }
+    })
+  }),
+
+  /**
+   * List scheduled posts (soonest first), optionally filtered by status
+   * Statuses: pending, publishing, published, failed, cancelled
+   */
+  paragraph_listScheduled: wrapTool(async ({ status } = {}) => {
+    const queue = await readState(SCHEDULE_FILE, { items: {} })
+    const items = Object.values(queue.items)
+      .filter(item => !status || item.status === status)
+      .sort((a, b) => a.publishAt.localeCompare(b.publishAt))
+      .map(({ post, ...item }) => ({ ...item, title: post.title }))
+    return { items, total: items.length }
+  }),
+
+  /**
+   * Cancel a pending scheduled post
+   */
+  paragraph_cancelScheduled: wrapTool(async ({ scheduleId } = {}) => {
+    return await updateState(SCHEDULE_FILE, { items: {} }, (queue) => {
+      const item = queue.items[scheduleId]
+      if (!item) throw new ParagraphError(`Scheduled post not found: ${scheduleId}`, { code: "NOT_FOUND" })
+      if (item.status !== "pending") {
+        throw new ParagraphError(`Cannot cancel scheduled post ${scheduleId} with status "${item.status}"`, { code: "CONFLICT" })
+      }
+      item.status = "cancelled"
+      item.updatedAt = new Date().toISOString()
+      return { id: item.id, status: item.status }
+    })
+  }),
+
+  /**
+   * Publish all scheduled posts that are due (call from cron or an agent heartbeat)
+   */
+  paragraph_runScheduled: wrapTool(async ({ limit } = {}) => {
+    return await runScheduledPosts({ limit })
+  }),
+
+  /**
+   * Publish a multi-part series in order, or append parts to one (seriesId)
+   * Each part gets a "Part N of M" header and links to earlier parts and the series index;
+   * the index post is published last and lists every part. A manifest is kept locally.
+   */
+  paragraph_publishSeries: wrapTool(async ({ seriesId, title, description, posts, indexSlug, baseDir } = {}) => {
+    return await publishSeries({ seriesId, title, description, posts, indexSlug, baseDir })
+  }),
+
+  /**
+   * List series manifests (parts with their URLs, index post, status), newest first
+   */
+  paragraph_listSeries: wrapTool(async () => {
+    const store = await readState(SERIES_FILE, { series: {} })
+    const items = Object.values(store.series).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    return { items, total: items.length }
+  }),
+
+  /**
+   * Publish a markdown file with YAML front-matter (title, subtitle, slug, categories, imageUrl, sendNewsletter)
+   * Skips files already published; writes the resulting id/url back into the front-matter.
+   */
+  paragraph_publishFromFile: wrapTool(async ({ filePath, dryRun = false, force = false, waitForProcessing = true } = {}) => {
+    return await publishFile(filePath, { dryRun, force, waitForProcessing })
+  }),
+
+  /**
+   * Publish every markdown file in a directory, in file-name order
+   * Returns a per-file report; one bad file does not stop the rest.
+   */
+  paragraph_publishDirectory: wrapTool(async ({ dir, dryRun = false, recursive = false, force = false, waitForProcessing = true } = {}) => {
+    const files = await listMarkdownFiles(path.resolve(dir), recursive)
+    const results = []
+    for (const file of files) {
+      try {
+        results.push(await publishFile(file, { dryRun, force, waitForProcessing }))
+      } catch (error) {
+        const result = { file, status: error.details ? "invalid" : "failed", error: error.message }
+        if (error.details) result.details = error.details
+        results.push(result)
+      }
     }
+
+    const counts = {}
+    for (const result of results) counts[result.status] = (counts[result.status] || 0) + 1
+    return { dir: path.resolve(dir), dryRun, total: files.length, counts, results }
   }),
 
   /**
    * Get a post by ID
    */
   paragraph_getPost: wrapTool(async ({ postId }) => {
-    if (!postId) throw new Error("postId is required")
     const result = await request("GET", `/v1/posts/${postId}`)
     return result
   }),
@@ -323,9 +3141,6 @@ export const tools = {
    * Get a post by publication slug and post slug
    */
   paragraph_getPostBySlug: wrapTool(async ({ publicationSlug, postSlug }) => {
-    if (!publicationSlug || !postSlug) {
-      throw new Error("publicationSlug and postSlug are required")
-    }
     // Encode slugs to handle special characters
     const encSlug = encodeURIComponent(publicationSlug)
     const encPostSlug = encodeURIComponent(postSlug)
@@ -334,35 +3149,25 @@ export const tools = {
   }),
 
   /**
-   * List posts in a publication
+   * List posts in a publication (one page, or every page with all/maxItems)
    */
-  paragraph_listPosts: wrapTool(async ({
-    publicationId,
-    limit = 10,
-    cursor,
-    includeContent = false
-  }) => {
-    const pubId = publicationId || await discoverPublicationId()
-    if (!pubId) throw new Error("publicationId required or PARAGRAPH_PUBLICATION_ID must be set, or feed must have posts to auto-discover")
-
-    console.log("DEBUG: listPosts using publicationId:", pubId) // temporary debug
-
-    const params = { limit }
-    if (cursor) params.cursor = cursor
-    if (includeContent) params.includeContent = "true"
+  paragraph_listPosts: wrapTool(async ({ publicationId, limit, cursor, includeContent = false, all = false, maxItems } = {}) => {
+    const params = includeContent ? { includeContent: "true" } : {}
+    return await listPages("posts", { publicationId, params, limit, cursor, all, maxItems, legacyKey: "posts" })
+  }),
 
-    const result = await request("GET", `/v1/publications/${pubId}/posts`, null, params)
-    return {
-      posts: result.items || [],
-      pagination: result.pagination || {}
-    }
+  /**
+   * Back up a publication: every post as markdown with YAML front-matter, cover images
+   * and a manifest. Resumable and incremental (see exportPublication).
+   */
+  paragraph_exportPublication: wrapTool(async ({ publicationId, outputDir, downloadImages = true, full = false, pageSize = 50 } = {}) => {
+    return await exportPublication({ publicationId, outputDir, downloadImages, full, pageSize })
   }),
 
   /**
    * Get publication by slug
    */
   paragraph_getPublication: wrapTool(async ({ slug }) => {
-    if (!slug) throw new Error("slug is required")
     const result = await request("GET", `/publications/slug/${encodeURIComponent(slug)}`)
     return result
   }),
@@ -371,7 +3176,6 @@ export const tools = {
    * Get publication by custom domain
    */
   paragraph_getPublicationByDomain: wrapTool(async ({ domain }) => {
-    if (!domain) throw new Error("domain is required")
     const result = await request("GET", `/publications/domain/${encodeURIComponent(domain)}`)
     return result
   }),
@@ -382,21 +3186,31 @@ export const tools = {
    * Does not override a pre-configured PARAGRAPH_PUBLICATION_SLUG.
    */
   paragraph_getMyPublication: wrapTool(async () => {
-    // This will populate DEFAULT_PUBLICATION_ID (and may set slug if not configured)
+    // This will populate the client's publicationId (and may set slug if not configured)
     const id = await discoverPublicationId()
     // Now fetch full publication details by the canonical ID
     const result = await request("GET", `/v1/publications/${id}`)
     // Cache slug for URL building ONLY if not already configured (respects env var)
-    if (!DEFAULT_PUBLICATION_SLUG) {
+    const client = currentClient()
+    if (!client.publicationSlug) {
       if (result.slug) {
-        DEFAULT_PUBLICATION_SLUG = result.slug
+        client.publicationSlug = result.slug
       } else if (result.customDomain) {
-        DEFAULT_PUBLICATION_SLUG = result.customDomain
+        client.publicationSlug = result.customDomain
       }
     }
     return result
   }),
 
+  /**
+   * Publication analytics: weekly cadence, categories, post length, posts missing covers or
+   * previews, subscriber trend (from local daily snapshots) and coin holders per post.
+   * Returns the report as JSON plus a markdown summary.
+   */
+  paragraph_publicationStats: wrapTool(async ({ publicationId, weeks, saveSnapshot } = {}) => {
+    return await publicationReport({ publicationId, weeks, saveSnapshot })
+  }),
+
   /**
    * Add a new subscriber
    */
@@ -405,86 +3219,102 @@ export const tools = {
     wallet,
     sendWelcomeEmail = true
   }) => {
-    if (!email && !wallet) throw new Error("At least one of email or wallet is required")
-
     const result = await request("POST", "/v1/subscribers", {
       email,
       wallet,
       sendWelcomeEmail
     })
+    await invalidateCache(SUBSCRIBER_GROUPS)
     // Response may be { success: true } or include id, etc.
     return result
   }),
 
   /**
    * List subscribers (cursor-based pagination)
+   * Note: Endpoint does not require publicationId - API key scopes to a publication
    */
-  paragraph_listSubscribers: wrapTool(async ({
-    limit = 10,
-    cursor
-  }) => {
-    const params = { limit }
-    if (cursor) params.cursor = cursor
-
-    // Note: Endpoint does not require publicationId - API key scopes to a publication
-    const result = await request("GET", "/v1/subscribers", null, params)
-    return {
-      subscribers: result.items || [],
-      pagination: result.pagination || {}
-    }
+  paragraph_listSubscribers: wrapTool(async ({ limit, cursor, all = false, maxItems } = {}) => {
+    return await listPages("subscribers", { limit, cursor, all, maxItems, legacyKey: "subscribers" })
   }),
 
   /**
    * Import subscribers from CSV
    */
-  paragraph_importSubscribers: wrapTool(async ({ csvPath, sendWelcomeEmail = true }) => {
-    if (!csvPath) throw new Error("csvPath is required")
-
-    const fs = await import('fs')
-    const csvBuffer = fs.readFileSync(csvPath)
-
-    // Build URL with query param
-    const url = new URL(`${API_BASE}/v1/subscribers/import`)
-    url.searchParams.append('sendWelcomeEmail', sendWelcomeEmail)
-
-    const formData = new FormData()
-    formData.append('file', csvBuffer, 'subscribers.csv')
-
-    const response = await fetch(url.toString(), {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${process.env.PARAGRAPH_API_KEY}`
-        // Content-type (with boundary) set automatically by fetch when using FormData
-      },
-      body: formData
-    })
-
-    if (!response.ok) {
-      let errorMsg = `HTTP ${response.status} ${response.statusText}`
-      try {
-        const errorData = await response.json()
-        errorMsg = errorData.msg || errorData.message || errorData.error || errorMsg
-      } catch (e) {}
-      throw new Error(errorMsg)
+  paragraph_importSubscribers: wrapTool(async ({
+    csvPath,
+    sendWelcomeEmail = true,
+    dryRun = false,
+    checkExisting = true,
+    chunkSize = SUBSCRIBER_IMPORT_CHUNK_ROWS
+  }) => {
+    const rows = parseSubscriberCsv(await fs.readFile(csvPath, "utf8"))
+    const existing = checkExisting ? await fetchExistingSubscribers() : null
+    const report = checkSubscriberRows(rows, existing)
+    const toImport = rows.filter((row, i) => report[i].status === "valid")
+    const chunks = chunkSubscriberRows(toImport, chunkSize)
+
+    const counts = { valid: 0, invalid: 0, duplicate: 0, existing: 0 }
+    for (const row of report) counts[row.status]++
+    const summary = {
+      dryRun,
+      total: rows.length,
+      ...counts,
+      toImport: toImport.length,
+      chunks: chunks.length,
+      imported: 0,
+      skipped: rows.length - toImport.length,
+      failed: 0,
+      rows: report
     }
+    if (dryRun) return summary
 
-    if (response.status === 204) {
-      return { imported: 0, skipped: 0, total: 0 }
+    // A failed chunk doesn't stop the rest; the report says which lines went through and which
+    // to retry. Only when every chunk fails is the first error returned as the call's error.
+    summary.complete = true
+    summary.chunkResults = []
+    const errors = []
+    try {
+      for (const [i, chunk] of chunks.entries()) {
+        const lines = { from: chunk[0].line, to: chunk[chunk.length - 1].line }
+        try {
+          const result = await uploadSubscriberCsv(chunk, sendWelcomeEmail)
+          summary.imported += result.imported
+          summary.skipped += result.skipped
+          summary.chunkResults.push({ chunk: i + 1, lines, rows: chunk.length, status: "imported", imported: result.imported, skipped: result.skipped })
+        } catch (error) {
+          errors.push(error)
+          summary.failed += chunk.length
+          summary.complete = false
+          summary.chunkResults.push({ chunk: i + 1, lines, rows: chunk.length, status: "failed", error: error.message, code: error.code || "INTERNAL_ERROR" })
+        }
+      }
+    } finally {
+      if (chunks.length) await invalidateCache(SUBSCRIBER_GROUPS)
     }
+    if (errors.length && errors.length === chunks.length) throw errors[0]
+    return summary
+  }),
 
-    const result = await response.json()
-    return {
-      imported: result.imported || 0,
-      skipped: result.skipped || 0,
-      total: result.total || 0
-    }
+  /**
+   * Add holders of one or more coins (optionally above a minimum balance) as wallet subscribers
+   * Existing subscribers are skipped; dryRun reports without adding. Welcome emails are off by default.
+   */
+  paragraph_syncHoldersToSubscribers: wrapTool(async ({ coinIds, minBalance, requireUser, sendWelcomeEmail, dryRun } = {}) => {
+    return await syncHoldersToSubscribers({ coinIds, minBalance, requireUser, sendWelcomeEmail, dryRun })
+  }),
+
+  /**
+   * Change log of paragraph_syncHoldersToSubscribers runs, newest first
+   */
+  paragraph_getHolderSyncLog: wrapTool(async ({ limit = 10 } = {}) => {
+    const log = await readState(HOLDER_SYNC_LOG_FILE, { runs: [] })
+    return { runs: log.runs.slice(-limit).reverse(), total: log.runs.length }
   }),
 
   /**
    * Get coin (tokenized post) by ID
    */
   paragraph_getCoin: wrapTool(async ({ coinId }) => {
-    if (!coinId) throw new Error("coinId is required")
     const result = await request("GET", `/v1/coins/${coinId}`)
     return result
   }),
@@ -493,7 +3323,6 @@ export const tools = {
    * Get coin by contract address
    */
   paragraph_getCoinByContract: wrapTool(async ({ contractAddress }) => {
-    if (!contractAddress) throw new Error("contractAddress is required")
     const result = await request("GET", `/v1/coins/contract/${contractAddress}`)
     return result
   }),
@@ -503,33 +3332,50 @@ export const tools = {
    */
   paragraph_getPopularCoins: wrapTool(async () => {
     const result = await request("GET", "/v1/coins/list/popular")
-    return result.coins || result.items || result
+    return normalizePage(result, "coins")
   }),
 
   /**
    * List coin holders
    */
-  paragraph_listCoinHolders: wrapTool(async ({
-    coinId,
-    limit = 50,
-    cursor
-  }) => {
-    if (!coinId) throw new Error("coinId is required")
-    const params = { limit }
-    if (cursor) params.cursor = cursor
+  paragraph_listCoinHolders: wrapTool(async ({ coinId, limit, cursor, all = false, maxItems } = {}) => {
+    return await listPages("coinHolders", { coinId, limit, cursor, all, maxItems, legacyKey: "holders" })
+  }),
 
-    const result = await request("GET", `/v1/coins/${coinId}/holders`, null, params)
-    return {
-      holders: result.holders || [],
-      pagination: result.pagination || {}
+  /**
+   * Holder concentration report for a coin: holder count, top-N share and Gini over every holder
+   * Saves a dated snapshot by default; compareTo adds new holders, exits and balance changes.
+   */
+  paragraph_coinReport: wrapTool(async ({ coinId, topN, saveSnapshot, compareTo, includeMarkdown } = {}) => {
+    return await coinReport({ coinId, topN, saveSnapshot, compareTo, includeMarkdown })
+  }),
+
+  /**
+   * List saved holder snapshots of a coin, oldest first
+   */
+  paragraph_listCoinSnapshots: wrapTool(async ({ coinId } = {}) => {
+    const items = []
+    for (const id of await coinSnapshotIds(coinId)) {
+      const snapshot = await readState(snapshotFile(coinId, id), null)
+      const { holderCount, totalBalance, gini } = holderMetrics(snapshot.holders, { topN: 0 })
+      items.push({ id, takenAt: snapshot.takenAt, holderCount, totalBalance, gini })
     }
+    return { items, total: items.length }
+  }),
+
+  /**
+   * Diff two saved holder snapshots (default: the two most recent)
+   */
+  paragraph_diffCoinSnapshots: wrapTool(async ({ coinId, from = "previous", to = "latest", includeMarkdown = false } = {}) => {
+    const diff = diffSnapshots(await loadCoinSnapshot(coinId, from), await loadCoinSnapshot(coinId, to))
+    if (includeMarkdown) diff.markdown = renderSnapshotDiff(diff, { heading: "#" }) + "\n"
+    return diff
   }),
 
   /**
    * Get user by ID
    */
   paragraph_getUser: wrapTool(async ({ userId }) => {
-    if (!userId) throw new Error("userId is required")
     const result = await request("GET", `/v1/users/${userId}`)
     return result
   }),
@@ -538,7 +3384,6 @@ export const tools = {
    * Get user by wallet address
    */
   paragraph_getUserByWallet: wrapTool(async ({ walletAddress }) => {
-    if (!walletAddress) throw new Error("walletAddress is required")
     const result = await request("GET", `/v1/users/wallet/${walletAddress}`)
     return result
   }),
@@ -547,7 +3392,6 @@ export const tools = {
    * Get subscriber count for a publication (by ID)
    */
   paragraph_getSubscriberCount: wrapTool(async ({ publicationId }) => {
-    if (!publicationId) throw new Error("publicationId is required")
     const result = await request("GET", `/v1/publications/${publicationId}/subscribers/count`)
     return { count: result.count }
   }),
@@ -555,29 +3399,52 @@ export const tools = {
   /**
    * Get feed (curated posts) - public, no auth required
    */
-  paragraph_getFeed: wrapTool(async ({ limit = 20, cursor }) => {
-    const params = { limit }
-    if (cursor) params.cursor = cursor
-    const result = await request("GET", "/v1/posts/feed", null, params)
-    return {
-      posts: result.items || [],
-      pagination: result.pagination || {}
-    }
+  paragraph_getFeed: wrapTool(async ({ limit, cursor, all = false, maxItems } = {}) => {
+    return await listPages("feed", { limit, cursor, all, maxItems, legacyKey: "posts" })
   }),
 
   /**
    * Get posts by tag
    */
-  paragraph_getPostsByTag: wrapTool(async ({ tag, limit = 20, cursor }) => {
-    if (!tag) throw new Error("tag is required")
-    const params = { limit }
-    if (cursor) params.cursor = cursor
-    const result = await request("GET", `/v1/posts/tag/${encodeURIComponent(tag)}`, null, params)
-    return {
-      posts: result.items || [],
-      pagination: result.pagination || {}
+  paragraph_getPostsByTag: wrapTool(async ({ tag, limit, cursor, includeContent = false, all = false, maxItems } = {}) => {
+    const params = includeContent ? { includeContent: "true" } : {}
+    return await listPages("postsByTag", { tag, params, limit, cursor, all, maxItems, legacyKey: "posts" })
+  }),
+
+  /**
+   * Keyword search over the local post index (BM25 on title, subtitle and content)
+   * Filters: tag, publication (id or slug) and a publishedAt range. The index is built on first
+   * use from the own publication; refresh pulls new posts from every followed source first.
+   */
+  paragraph_searchPosts: wrapTool(async ({ query, tag, publication, from, to, limit = 10, refresh = false } = {}) => {
+    const invalid = Object.entries({ from, to })
+      .filter(([, value]) => value !== undefined && value !== null && Number.isNaN(Date.parse(value)))
+      .map(([field]) => ({ field, message: `${field} must be an ISO date` }))
+    if (invalid.length) throw new ValidationError(invalid)
+
+    let index = await readState(SEARCH_INDEX_FILE, { sources: {}, docs: {} })
+    let refreshed = null
+    if (refresh || !Object.keys(index.sources).length) {
+      refreshed = await refreshSearchIndex()
+      index = await readState(SEARCH_INDEX_FILE, { sources: {}, docs: {} })
     }
+    const { total, results } = searchDocuments(Object.values(index.docs), query, { filters: { tag, publication, from, to }, limit })
+    return { query, total, results, indexed: Object.keys(index.docs).length, refreshed }
+  }),
+
+  /**
+   * Add posts to the local search index from publications, tags and the feed
+   * Incremental: each source stops at posts it already indexed. Requested sources are followed,
+   * so later refreshes (and paragraph_searchPosts with refresh) include them.
+   */
+  paragraph_refreshSearchIndex: wrapTool(async ({ publicationIds, tags, includeFeed, maxItems, full } = {}) => {
+    return await refreshSearchIndex({ publicationIds, tags, includeFeed, maxItems, full })
   })
 }
 
+for (const [name, tool] of Object.entries(tools)) {
+  tool.schema = TOOL_SCHEMAS[name]
+  tool.toolName = name
+}
+
 export default tools
@@ -5,7 +5,84 @@
  * Run with: npm test
  */
 
-import tools from "./skill.js"
+import { execFile } from "child_process"
+import fs from "fs"
+import http from "http"
+import os from "os"
+import path from "path"
+import tools, { clearCache, configureAudit, configureCache, configureNewsletterPolicy, configureRetries, createParagraphClient, iteratePostsByTag, loadProfile, runScheduledPosts, setPostReadyHandler } from "./skill.js"
+import { loadFixtures, startMockServer } from "./mock/server.js"
+
+// Keep local state (drafts, queues, ledgers) out of the real state dir
+process.env.PARAGRAPH_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "paragraph-test-"))
+
+/**
+ * Build a fetch Response with a JSON body
+ */
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json", ...headers }
+  })
+}
+
+/**
+ * Run fn with global fetch replaced by a queue of canned responses.
+ * Sets a dummy API key and zero retry delay for the duration.
+ */
+async function withStubbedFetch(responders, fn) {
+  const originalFetch = globalThis.fetch
+  const originalKey = process.env.PARAGRAPH_API_KEY
+  const originalDelay = process.env.PARAGRAPH_RETRY_BASE_DELAY_MS
+  const calls = []
+  globalThis.fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init })
+    const responder = responders[Math.min(calls.length, responders.length) - 1]
+    return responder(url, init)
+  }
+  process.env.PARAGRAPH_API_KEY = "test_key"
+  process.env.PARAGRAPH_RETRY_BASE_DELAY_MS = "0"
+  try {
+    await fn(calls)
+  } finally {
+    globalThis.fetch = originalFetch
+    if (originalKey !== undefined) process.env.PARAGRAPH_API_KEY = originalKey
+    else delete process.env.PARAGRAPH_API_KEY
+    if (originalDelay !== undefined) process.env.PARAGRAPH_RETRY_BASE_DELAY_MS = originalDelay
+    else delete process.env.PARAGRAPH_RETRY_BASE_DELAY_MS
+  }
+}
+
+/**
+ * Run fn against a fresh mock API server (mock/server.js), with the default client pointed at it
+ */
+async function withMockServer(options, fn) {
+  const mock = await startMockServer(options)
+  const saved = ["PARAGRAPH_API_BASE_URL", "PARAGRAPH_API_KEY", "PARAGRAPH_RETRY_BASE_DELAY_MS"].map(name => [name, process.env[name]])
+  process.env.PARAGRAPH_API_BASE_URL = mock.baseUrl
+  process.env.PARAGRAPH_API_KEY = "mock_key"
+  process.env.PARAGRAPH_RETRY_BASE_DELAY_MS = "0"
+  try {
+    await fn(mock)
+  } finally {
+    for (const [name, value] of saved) {
+      if (value !== undefined) process.env[name] = value
+      else delete process.env[name]
+    }
+    await mock.close()
+  }
+}
+
+/**
+ * Run bin/paragraph.js with the current env; resolves with the exit code and output
+ */
+function runCli(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, ["bin/paragraph.js", ...args], { timeout: 20000, env: { ...process.env, ...env } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr })
+    })
+  })
+}
 
 async function runTests() {
   console.log("🧪 Running Paragraph skill tests...\n")
@@ -65,7 +142,7 @@ async function runTests() {
     console.log("\nTest: paragraph_testConnection without API key")
     // Temporarily clear env to test error handling
     const originalKey = process.env.PARAGRAPH_API_KEY
-    process.env.PARAGRAPH_API_KEY = undefined
+    delete process.env.PARAGRAPH_API_KEY
     const result = await tools.paragraph_testConnection({})
     if (!result.success && result.error.includes("PARAGRAPH_API_KEY")) {
       console.log("  ✅ Correctly detects missing API key")
@@ -75,13 +152,1301 @@ async function runTests() {
       failed++
     }
     // Restore
-    process.env.PARAGRAPH_API_KEY = originalKey
+    if (originalKey !== undefined) process.env.PARAGRAPH_API_KEY = originalKey
+  } catch (error) {
+    console.log(`  ❌ Test error: ${error.message}`)
+    failed++
+  }
+
+  // Test 5: GET requests retry on 429 and record the rate-limit budget
+  await withStubbedFetch([
+    () => jsonResponse({ msg: "Too many requests" }, 429, { "retry-after": "0", "x-ratelimit-remaining": "0", "x-ratelimit-limit": "100" }),
+    () => jsonResponse({ id: "post_1" }, 200, { "x-ratelimit-remaining": "42", "x-ratelimit-limit": "100", "x-ratelimit-reset": "60" })
+  ], async (calls) => {
+    try {
+      console.log("\nTest: request() retries GET on 429 and tracks rate limit")
+      const result = await tools.paragraph_getPost({ postId: "post_1" })
+      const status = await tools.paragraph_getRateLimitStatus({})
+      if (result.success && calls.length === 2 && status.data.remaining === 42 && status.data.limit === 100) {
+        console.log("  ✅ Retried once and recorded remaining budget")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ result, calls: calls.length, status })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 6: createPost (non-idempotent POST) is never retried automatically
+  await withStubbedFetch([
+    () => jsonResponse({ msg: "Service unavailable" }, 503),
+    () => jsonResponse({ id: "post_dup" }, 200)
+  ], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_createPost does not retry on 503")
+      const result = await tools.paragraph_createPost({ title: "No retry", markdown: "M" })
+      if (!result.success && calls.length === 1) {
+        console.log("  ✅ POST failed without retrying")
+        passed++
+      } else {
+        console.log(`  ❌ Expected a single attempt, got ${calls.length}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 7: createPost rejects an invalid coin config before publishing
+  await withStubbedFetch([() => jsonResponse({ id: "post_1" })], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_createPost validates coin config")
+      const result = await tools.paragraph_createPost({ title: "T", markdown: "M", coin: { ticker: "not a ticker!", name: "Coin" } })
+      if (!result.success && result.error.includes("coin.ticker") && calls.length === 0) {
+        console.log("  ✅ Rejected invalid ticker without calling the API")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify(result)}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 8: createPost with a coin sends coinData and returns coin id + contract address
+  await withStubbedFetch([
+    () => jsonResponse({ id: "post_1" }),
+    () => jsonResponse({ id: "post_1", slug: "hello", url: "https://paragraph.com/@me/hello", coinId: "coin_1" }),
+    () => jsonResponse({ id: "coin_1", contractAddress: "0xabc", ticker: "HELLO" })
+  ], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_createPost with coin returns coin id and contract")
+      const result = await tools.paragraph_createPost({ title: "Coined", markdown: "M", coin: { ticker: "$hello", name: "Hello Coin", supply: 1000000 } })
+      const sent = JSON.parse(calls[0].init.body)
+      if (result.success && sent.coinData?.ticker === "HELLO" && result.data.coin?.id === "coin_1" && result.data.coin?.contractAddress === "0xabc") {
+        console.log("  ✅ Coin config sent and coin resolved after processing")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify(result)}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 9: validatePost reports each failing field without calling the API
+  await withStubbedFetch([() => jsonResponse({})], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_validatePost dry run")
+      const result = await tools.paragraph_validatePost({
+        title: "x".repeat(201),
+        markdown: "#\n\n![img](http://example.com/a.png)\n\n```js\nconst a = 1",
+        slug: "Bad Slug",
+        categories: "web3, Web3 ,defi"
+      })
+      const relative = await tools.paragraph_validatePost({ title: "Links", markdown: "See [About](/about), [below](#section) and [x](javascript:alert)." })
+      const relativeWarnings = relative.data.warnings.map(w => w.message)
+      const fields = result.data.errors.map(e => e.field)
+      const messages = result.data.errors.map(e => e.message).join(" | ")
+      if (result.success && !result.data.valid && fields.includes("title") && fields.includes("slug") &&
+          messages.includes("Empty heading") && messages.includes("Unclosed code fence") && messages.includes("Non-HTTPS image") &&
+          result.data.normalized.categories.join() === "web3,defi" && calls.length === 0 &&
+          relative.data.errors.length === 1 && relative.data.errors[0].message.includes('Malformed link URL on line 1: "javascript:alert"') &&
+          relativeWarnings.length === 1 && relativeWarnings[0].includes('Relative link on line 1: "/about"')) {
+        console.log("  ✅ Reported title, slug and markdown issues; relative links only warned about; normalized categories")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ result, relative })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 10: createPost blocks invalid posts and sends normalized categories
+  await withStubbedFetch([() => jsonResponse({ id: "post_1" })], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_createPost runs validation before POST")
+      const bad = await tools.paragraph_createPost({ title: "T", markdown: "M", imageUrl: "not a url" })
+      const good = await tools.paragraph_createPost({ title: "Categorized", markdown: "M", categories: "a, b" })
+      const sent = JSON.parse(calls[0].init.body)
+      if (!bad.success && bad.details?.[0]?.field === "imageUrl" && good.success &&
+          JSON.stringify(sent.categories) === JSON.stringify(["a", "b"]) && calls.length === 1) {
+        console.log("  ✅ Invalid post rejected with field details; valid post normalized")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ bad, good, calls: calls.length })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 11: Drafts can be saved, listed and previewed (with unsafe link schemes left as text) without any API call
+  let draftId = null
+  await withStubbedFetch([() => jsonResponse({})], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_saveDraft / listDrafts / previewDraft")
+      const saved = await tools.paragraph_saveDraft({ title: "Draft", markdown: "# Hello\n\nSome **bold** text" })
+      draftId = saved.data?.id
+      const updated = await tools.paragraph_saveDraft({ draftId, subtitle: "Sub" })
+      const list = await tools.paragraph_listDrafts({})
+      const preview = await tools.paragraph_previewDraft({ draftId })
+      const links = await tools.paragraph_saveDraft({
+        title: "Links",
+        markdown: "[site](https://example.com) [about](/about) [mail](mailto:a@example.com) [bad](javascript:alert) [sneaky](JavaScript:x) ![pic](data:image/png;base64,AA)"
+      })
+      const linksHtml = (await tools.paragraph_previewDraft({ draftId: links.data?.id })).data?.html || ""
+      if (saved.success && updated.data.subtitle === "Sub" && list.data.drafts.some(d => d.id === draftId) &&
+          preview.data.html.includes("<h1>Hello</h1>") && preview.data.validation.valid && calls.length === 0 &&
+          linksHtml.includes('<a href="https://example.com">site</a>') && linksHtml.includes('<a href="/about">about</a>') &&
+          linksHtml.includes('<a href="mailto:a@example.com">mail</a>') && linksHtml.includes(" bad sneaky pic") &&
+          !/javascript:|data:/i.test(linksHtml)) {
+        console.log("  ✅ Draft stored locally with rendered preview; only http(s), mailto and relative links rendered live")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ saved, list, preview, linksHtml })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 12: publishDraft goes through createPost once and marks the draft published, even when
+  // two calls race for the same draft
+  await withStubbedFetch([() => jsonResponse({ id: "post_draft" })], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_publishDraft publishes once")
+      const first = await tools.paragraph_publishDraft({ draftId })
+      const second = await tools.paragraph_publishDraft({ draftId })
+      const sent = JSON.parse(calls[0].init.body)
+      const firstCalls = calls.length
+      const raced = await tools.paragraph_saveDraft({ title: "Raced", markdown: "Published by whichever call claims it first" })
+      const racing = await Promise.all([1, 2].map(() => tools.paragraph_publishDraft({ draftId: raced.data.id })))
+      const [winner, loser] = racing[0].success ? racing : [racing[1], racing[0]]
+      if (first.success && first.data.post.id === "post_draft" && sent.subtitle === "Sub" &&
+          !second.success && second.error.includes("already published") && firstCalls === 1 &&
+          winner.success && loser.code === "CONFLICT" && loser.error.includes("being published") && calls.length === 2) {
+        console.log("  ✅ Draft published and guarded against re-publishing")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ first, second, racing, calls: calls.length })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 13: Scheduled posts can be queued, listed and cancelled
+  let scheduleId = null
+  try {
+    console.log("\nTest: paragraph_schedulePost / listScheduled / cancelScheduled")
+    const publishAt = new Date(Date.now() + 3600000).toISOString()
+    const kept = await tools.paragraph_schedulePost({ title: "Later", markdown: "Soon", publishAt })
+    const dropped = await tools.paragraph_schedulePost({ title: "Never", markdown: "Gone", publishAt })
+    const cancelled = await tools.paragraph_cancelScheduled({ scheduleId: dropped.data.id })
+    const invalid = await tools.paragraph_schedulePost({ title: "Bad", markdown: "M", publishAt: "not a date" })
+    const pending = await tools.paragraph_listScheduled({ status: "pending" })
+    scheduleId = kept.data?.id
+    if (kept.success && cancelled.data.status === "cancelled" && !invalid.success &&
+        pending.data.items.length === 1 && pending.data.items[0].id === scheduleId) {
+      console.log("  ✅ Queue holds one pending post after cancelling the other")
+      passed++
+    } else {
+      console.log(`  ❌ Unexpected result: ${JSON.stringify({ kept, cancelled, invalid, pending })}`)
+      failed++
+    }
   } catch (error) {
     console.log(`  ❌ Test error: ${error.message}`)
     failed++
   }
 
-  // Test 5: Connection test with API key (only if set)
+  // Test 14: The runner publishes due posts, re-queues transient failures, skips while another
+  // runner holds the lock and recovers items a dead runner left "publishing"
+  await withStubbedFetch([
+    () => jsonResponse({ msg: "Service unavailable" }, 503),
+    () => jsonResponse({ id: "post_sched", slug: "later", url: "https://paragraph.com/@me/later" })
+  ], async (calls) => {
+    try {
+      console.log("\nTest: runScheduledPosts publishes due items with retry")
+      const notDue = await runScheduledPosts({ now: new Date() })
+      const first = await runScheduledPosts({ now: new Date(Date.now() + 2 * 3600000) })
+      const second = await runScheduledPosts({ now: new Date(Date.now() + 3 * 3600000) })
+      const list = await tools.paragraph_listScheduled({})
+      const item = list.data.items.find(i => i.id === scheduleId)
+      const runCalls = calls.length
+
+      const orphan = await tools.paragraph_schedulePost({ title: "Orphaned", markdown: "Claimed, then abandoned", publishAt: new Date().toISOString() })
+      const scheduleFile = path.join(process.env.PARAGRAPH_STATE_DIR, "schedule.json")
+      const lockFile = path.join(process.env.PARAGRAPH_STATE_DIR, "schedule.lock")
+      const queue = JSON.parse(fs.readFileSync(scheduleFile, "utf8"))
+      Object.assign(queue.items[orphan.data.id], { status: "publishing", updatedAt: new Date(Date.now() - 3600000).toISOString() })
+      fs.writeFileSync(scheduleFile, JSON.stringify(queue))
+      fs.writeFileSync(lockFile, "{}")
+      const locked = await runScheduledPosts({})
+      const hourAgo = new Date(Date.now() - 3600000)
+      fs.utimesSync(lockFile, hourAgo, hourAgo)
+      const recovered = await runScheduledPosts({})
+      if (notDue.processed === 0 && first.retrying.length === 1 && second.published.length === 1 &&
+          item.status === "published" && item.result.url === "https://paragraph.com/@me/later" && runCalls === 2 &&
+          locked.locked && locked.processed === 0 && recovered.recovered.join() === orphan.data.id &&
+          recovered.published[0]?.id === orphan.data.id && !fs.existsSync(lockFile)) {
+        console.log("  ✅ Retried after 503, recorded the published URL, waited for the lock and recovered the stale claim")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ notDue, first, second, item, locked, recovered })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 15: Repeating createPost with the same content returns the original post;
+  // idempotencyKey: true means the content hash, not one shared key
+  let postsCreated = 0
+  await withStubbedFetch([(url, init) => {
+    if (init.method === "POST") return jsonResponse({ id: ["post_once", "post_a", "post_b"][postsCreated++] })
+    const id = new URL(url).pathname.split("/").pop()
+    return jsonResponse({ id, slug: id, url: `https://paragraph.com/@me/${id}` })
+  }], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_createPost is idempotent by content hash")
+      const first = await tools.paragraph_createPost({ title: "Once", markdown: "Only once" })
+      const second = await tools.paragraph_createPost({ title: "Once", markdown: "Only once" })
+      const keyedA = await tools.paragraph_createPost({ title: "First", markdown: "One body", idempotencyKey: true })
+      const keyedB = await tools.paragraph_createPost({ title: "Second", markdown: "Another body", idempotencyKey: true })
+      const posts = calls.filter(c => c.init.method === "POST")
+      if (first.success && second.success && second.data.id === "post_once" && second.data._deduplicated &&
+          keyedA.data?.id === "post_a" && keyedB.data?.id === "post_b" && !keyedB.data._deduplicated && posts.length === 3) {
+        console.log("  ✅ Second call returned the original post without POSTing; idempotencyKey: true kept different posts apart")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ first, second, keyedA, keyedB, posts: posts.length })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 16: After an uncertain (network) failure, recent posts are checked (by markdown, not title) before re-posting
+  await withStubbedFetch([(url, init) => {
+    const { pathname } = new URL(url)
+    if (init.method === "POST") throw new TypeError("fetch failed")
+    if (pathname.endsWith("/v1/posts/feed")) return jsonResponse({ items: [{ publication: { slug: "me" } }] })
+    if (pathname.endsWith("/v1/publications/slug/me")) return jsonResponse({ id: "pub_1", slug: "me" })
+    if (pathname.endsWith("/v1/publications/pub_1/posts")) {
+      // A different post with the same title must not be mistaken for the one that landed
+      return jsonResponse({ items: [{ id: "post_other", title: "Keyed", markdown: "Another body" }, { id: "post_landed", title: "Keyed", markdown: "Body\n" }] })
+    }
+    return jsonResponse({ msg: "Not found" }, 404)
+  }], async (calls) => {
+    try {
+      console.log("\nTest: paragraph_createPost with idempotencyKey recovers after timeout")
+      const first = await tools.paragraph_createPost({ title: "Keyed", markdown: "Body", idempotencyKey: "report-2026-03-01" })
+      const second = await tools.paragraph_createPost({ title: "Keyed", markdown: "Body", idempotencyKey: "report-2026-03-01" })
+      const posts = calls.filter(c => c.init.method === "POST")
+      if (!first.success && second.success && second.data.id === "post_landed" && second.data._deduplicated && posts.length === 1) {
+        console.log("  ✅ Found the post that landed instead of publishing twice")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ first, second, posts: posts.length })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 17: Export writes markdown + front-matter, resumes after failure, is incremental and records
+  // cover images it could not download
+  {
+    const exportDir = path.join(process.env.PARAGRAPH_STATE_DIR, "export-test")
+    const older = [
+      { id: "p2", title: "Second", slug: "second", publishedAt: "2026-02-02T00:00:00Z", markdown: "Two", imageUrl: "https://img.example/cover.png", categories: ["web3"] },
+      { id: "p1", title: "First", slug: "first", publishedAt: "2026-02-01T00:00:00Z", markdown: "One", coinId: "coin_1" }
+    ]
+    let posts = older
+    let failPage2 = true
+    await withStubbedFetch([(url) => {
+      const { hostname, searchParams } = new URL(url)
+      if (hostname === "img.example") {
+        if (url.endsWith("/missing.png")) return new Response("gone", { status: 404 })
+        return new Response("png", { headers: { "content-type": "image/png" } })
+      }
+      if (searchParams.get("cursor") === "c2") {
+        if (failPage2) return jsonResponse({ msg: "Bad cursor" }, 400)
+        return jsonResponse({ items: posts.slice(1), pagination: { hasMore: false } })
+      }
+      return jsonResponse({ items: posts.slice(0, 1), pagination: { cursor: "c2", hasMore: true } })
+    }], async (calls) => {
+      try {
+        console.log("\nTest: paragraph_exportPublication resumable and incremental")
+        const interrupted = await tools.paragraph_exportPublication({ publicationId: "pub_1", outputDir: exportDir })
+        failPage2 = false
+        const resumed = await tools.paragraph_exportPublication({ publicationId: "pub_1", outputDir: exportDir })
+        posts = [{ id: "p3", title: "Third", slug: "third", publishedAt: "2026-02-03T00:00:00Z", markdown: "Three", imageUrl: "https://img.example/missing.png" }, ...older]
+        const incremental = await tools.paragraph_exportPublication({ publicationId: "pub_1", outputDir: exportDir })
+        const second = fs.readFileSync(path.join(exportDir, "posts", "2026-02-02-second.md"), "utf8")
+        const first = fs.readFileSync(path.join(exportDir, "posts", "2026-02-01-first.md"), "utf8")
+        const manifest = JSON.parse(fs.readFileSync(path.join(exportDir, "manifest.json"), "utf8"))
+        if (!interrupted.success && resumed.success && resumed.data.resumed && resumed.data.exported === 1 &&
+            incremental.data.exported === 1 && incremental.data.skipped === 0 && manifest.watermark === "2026-02-03T00:00:00Z" &&
+            second.includes('title: "Second"') && second.includes('image: "images/p2.png"') && first.includes('id: "coin_1"') &&
+            fs.existsSync(path.join(exportDir, "images", "p2.png")) && Object.keys(manifest.posts).length === 3 &&
+            manifest.posts.p3.image === null && manifest.posts.p3.imageError.includes("HTTP 404") && incremental.data.warnings.length === 1 &&
+            calls.filter(c => c.url.startsWith("https://img.example/")).every(c => c.init?.signal)) {
+          console.log("  ✅ Exported, resumed from the saved cursor, fetched only the newer post and recorded its failed image")
+          passed++
+        } else {
+          console.log(`  ❌ Unexpected result: ${JSON.stringify({ interrupted, resumed, incremental, manifest })}`)
+          failed++
+        }
+      } catch (error) {
+        console.log(`  ❌ Test error: ${error.message}`)
+        failed++
+      }
+    })
+  }
+
+  // Test 18: Bulk publish from a directory with dry run, skip state and front-matter write-back
+  {
+    const postsDir = path.join(process.env.PARAGRAPH_STATE_DIR, "posts-in")
+    fs.mkdirSync(postsDir, { recursive: true })
+    fs.writeFileSync(path.join(postsDir, "a.md"), '---\ntitle: "From File"\ncategories: web3, defi\nsendNewsletter: false\n---\n\nBody text\n')
+    fs.writeFileSync(path.join(postsDir, "b.md"), "---\ntitle: Bad\nslug: Not A Slug\n---\n\nBody\n")
+    fs.writeFileSync(path.join(postsDir, "c.md"), "---\ntitle: Old\nparagraphId: post_old\n---\n\nBody\n")
+    await withStubbedFetch([() => jsonResponse({ id: "post_file", slug: "from-file", url: "https://paragraph.com/@me/from-file" })], async (calls) => {
+      try {
+        console.log("\nTest: paragraph_publishDirectory dry run, publish and skip")
+        const dry = await tools.paragraph_publishDirectory({ dir: postsDir, dryRun: true })
+        const dryCalls = calls.length
+        const real = await tools.paragraph_publishDirectory({ dir: postsDir })
+        const again = await tools.paragraph_publishFromFile({ filePath: path.join(postsDir, "a.md") })
+        const written = fs.readFileSync(path.join(postsDir, "a.md"), "utf8")
+        const sent = JSON.parse(calls[0].init.body)
+        if (dry.data.counts["would-publish"] === 1 && dry.data.counts.invalid === 1 && dry.data.counts.skipped === 1 && dryCalls === 0 &&
+            real.data.counts.published === 1 && sent.title === "From File" && sent.categories.join() === "web3,defi" &&
+            again.data.status === "skipped" && written.includes('paragraphId: "post_file"') &&
+            written.includes('paragraphUrl: "https://paragraph.com/@me/from-file"') && calls.length === 1) {
+          console.log("  ✅ Published one file, reported the invalid one and skipped published files")
+          passed++
+        } else {
+          console.log(`  ❌ Unexpected result: ${JSON.stringify({ dry, real, again, calls: calls.length })}`)
+          failed++
+        }
+      } catch (error) {
+        console.log(`  ❌ Test error: ${error.message}`)
+        failed++
+      }
+    })
+  }
+
+  // Test 19: Local images are uploaded once (content-hash cache) and rewritten to hosted URLs;
+  // only real images inside baseDir are uploaded, and only when an upload endpoint is configured;
+  // drafts and scheduled posts resolve images against the baseDir they were saved with
+  {
+    const imageDir = path.join(process.env.PARAGRAPH_STATE_DIR, "images-in")
+    const outsideDir = path.join(process.env.PARAGRAPH_STATE_DIR, "images-outside")
+    fs.mkdirSync(imageDir, { recursive: true })
+    fs.mkdirSync(outsideDir, { recursive: true })
+    const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from("fake png bytes")])
+    fs.writeFileSync(path.join(imageDir, "chart.png"), png)
+    fs.writeFileSync(path.join(imageDir, "chart-copy.png"), png)
+    fs.writeFileSync(path.join(imageDir, "fake.env"), "SECRET=1\n")
+    fs.writeFileSync(path.join(imageDir, "renamed.png"), "SECRET=1\n")
+    fs.writeFileSync(path.join(outsideDir, "secret.png"), png)
+    fs.symlinkSync(path.join(outsideDir, "secret.png"), path.join(imageDir, "link.png"))
+    await withStubbedFetch([(url, init) => {
+      if (new URL(url).pathname.endsWith("/v1/images")) return jsonResponse({ url: "https://cdn.example/chart.png" })
+      return jsonResponse({ id: `post_${JSON.parse(init.body).title}` })
+    }], async (calls) => {
+      try {
+        console.log("\nTest: paragraph_createPost uploads local images and rewrites references")
+        const noEndpoint = await tools.paragraph_createPost({ title: "No endpoint", markdown: "![chart](./chart.png)", baseDir: imageDir })
+        process.env.PARAGRAPH_IMAGE_UPLOAD_ENDPOINT = "/v1/images"
+        const missing = await tools.paragraph_createPost({ title: "Missing image", markdown: "![x](./nope.png)", baseDir: imageDir })
+        const rejected = await Promise.all([
+          path.join(outsideDir, "secret.png"), "../images-outside/secret.png", "./link.png", "./fake.env", "./renamed.png"
+        ].map(ref => tools.paragraph_createPost({ title: "Leak", markdown: `![x](${ref})`, baseDir: imageDir })))
+        const first = await tools.paragraph_createPost({
+          title: "Charts", markdown: "![chart](./chart.png)\n\n```\n![chart](./chart.png)\n```", imageUrl: "chart.png", baseDir: imageDir
+        })
+        const second = await tools.paragraph_createPost({ title: "Charts again", markdown: "![copy](chart-copy.png)", baseDir: imageDir })
+        const uploads = calls.filter(c => new URL(c.url).pathname.endsWith("/v1/images"))
+        const posts = calls.filter(c => new URL(c.url).pathname.endsWith("/v1/posts")).map(c => JSON.parse(c.init.body))
+        const messages = rejected.map(r => r.details?.[0]?.message || "")
+        // Drafts and scheduled posts keep the baseDir their relative refs were checked against
+        const draft = await tools.paragraph_saveDraft({ title: "Drafted chart", markdown: "![c](./chart.png)", baseDir: imageDir })
+        const published = await tools.paragraph_publishDraft({ draftId: draft.data?.id })
+        const scheduled = await tools.paragraph_schedulePost({ title: "Scheduled chart", markdown: "![c](chart.png)", baseDir: imageDir, publishAt: new Date().toISOString(), waitForProcessing: false })
+        const run = await runScheduledPosts({})
+        const later = calls.filter(c => new URL(c.url).pathname.endsWith("/v1/posts")).slice(2).map(c => JSON.parse(c.init.body).markdown)
+        if (noEndpoint.code === "VALIDATION_ERROR" && noEndpoint.error.includes("PARAGRAPH_IMAGE_UPLOAD_ENDPOINT") &&
+            !missing.success && missing.error.includes("Local image not found") &&
+            rejected.every(r => r.code === "VALIDATION_ERROR") && messages.slice(0, 3).every(m => m.includes("outside baseDir")) &&
+            messages[3].includes("not an image file") && messages[4].includes("content is not image/png") &&
+            first.success && second.success && uploads.length === 1 && posts.length === 2 &&
+            uploads[0].init.body.get("file").type === "image/png" &&
+            posts[0].imageUrl === "https://cdn.example/chart.png" && posts[0].markdown.startsWith("![chart](https://cdn.example/chart.png)") &&
+            posts[0].markdown.includes("```\n![chart](./chart.png)") && posts[1].markdown === "![copy](https://cdn.example/chart.png)" &&
+            draft.data.baseDir === imageDir && published.success && scheduled.data?.baseDir === imageDir &&
+            run.published.length === 1 && later.join() === "![c](https://cdn.example/chart.png),![c](https://cdn.example/chart.png)") {
+          console.log("  ✅ Uploaded once, rewrote cover and inline images, left code blocks alone; paths outside baseDir and non-images rejected")
+          passed++
+        } else {
+          console.log(`  ❌ Unexpected result: ${JSON.stringify({ noEndpoint, missing, rejected, first, second, uploads: uploads.length, posts, draft, published, scheduled, run, later })}`)
+          failed++
+        }
+      } catch (error) {
+        console.log(`  ❌ Test error: ${error.message}`)
+        failed++
+      } finally {
+        delete process.env.PARAGRAPH_IMAGE_UPLOAD_ENDPOINT
+      }
+    })
+  }
+
+  // Test 20: Subscriber CSV import validates, dedupes and chunks rows before uploading, and
+  // reports the lines of a chunk that failed
+  {
+    const csvPath = path.join(process.env.PARAGRAPH_STATE_DIR, "subscribers.csv")
+    fs.writeFileSync(csvPath, [
+      "\uFEFFEmail,Wallet,Tags",
+      "alice@example.com,,premium,early",
+      "not-an-email,,",
+      ",0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed,nft",
+      ",0x5aAeb6053f3E94C9b9A09f33669435E7Ef1BeAed,",
+      "ALICE@example.com,,",
+      "bob@example.com,,",
+      "carol@example.com,0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359,\"a,b\""
+    ].join("\r\n"))
+    let importCalls = 0
+    await withStubbedFetch([(url, init) => {
+      if (new URL(url).pathname.endsWith("/v1/subscribers/import")) {
+        // The last chunk of the third import fails
+        if (++importCalls === 4) return jsonResponse({ msg: "Bad gateway" }, 502)
+        return jsonResponse({ imported: 1, skipped: 0, total: 1 })
+      }
+      return jsonResponse({ items: [{ email: "Bob@Example.com" }], pagination: { hasMore: false } })
+    }], async (calls) => {
+      try {
+        console.log("\nTest: paragraph_importSubscribers dry run report and chunked import")
+        const dry = await tools.paragraph_importSubscribers({ csvPath, dryRun: true })
+        const dryImports = calls.filter(c => new URL(c.url).pathname.endsWith("/import")).length
+        const real = await tools.paragraph_importSubscribers({ csvPath, chunkSize: 2, sendWelcomeEmail: false })
+        const imports = calls.filter(c => new URL(c.url).pathname.endsWith("/import"))
+        const firstCsv = await imports[0].init.body.get("file").text()
+        const partial = await tools.paragraph_importSubscribers({ csvPath, chunkSize: 2, sendWelcomeEmail: false })
+        const [done, lost] = partial.data?.chunkResults || []
+        const statuses = dry.data.rows.map(r => r.status).join(",")
+        if (dry.success && statuses === "valid,invalid,valid,invalid,duplicate,existing,valid" && dryImports === 0 &&
+            dry.data.toImport === 3 && dry.data.rows[3].reason.includes("checksum") && dry.data.rows[4].reason === "duplicate of line 2" &&
+            real.success && imports.length === 2 && real.data.imported === 2 && real.data.chunks === 2 &&
+            imports[0].url.includes("sendWelcomeEmail=false") && real.data.complete &&
+            partial.success && !partial.data.complete && partial.data.imported === 1 && partial.data.failed === 1 &&
+            done.status === "imported" && done.lines.from === 2 && done.lines.to === 4 &&
+            lost.status === "failed" && lost.lines.from === 8 && lost.code === "UPSTREAM" && lost.error.includes("Bad gateway") &&
+            firstCsv === "email,wallet_address,tags,created_at\nalice@example.com,,\"premium,early\",\n,0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed,nft,\n") {
+          console.log("  ✅ Flagged invalid/duplicate/existing rows, dry run sent nothing, import split into chunks, failed chunk reported")
+          passed++
+        } else {
+          console.log(`  ❌ Unexpected result: ${JSON.stringify({ dry, real, partial, imports: imports.length, firstCsv })}`)
+          failed++
+        }
+      } catch (error) {
+        console.log(`  ❌ Test error: ${error.message}`)
+        failed++
+      }
+    })
+  }
+
+  // Test 21: List tools share one page shape and follow cursors with all / maxItems
+  {
+    // Three pages of two items; the cursor is the index of the next item
+    const listResponder = (url) => {
+      const query = new URL(url).searchParams
+      const start = Number(query.get("cursor") || 0)
+      const end = Math.min(6, start + Number(query.get("limit")))
+      const items = Array.from({ length: end - start }, (_, i) => ({ id: `i${start + i}` }))
+      const key = new URL(url).pathname.endsWith("/holders") ? "holders" : "items"
+      return jsonResponse({ [key]: items, pagination: { cursor: String(end), hasMore: end < 6, total: 6 } })
+    }
+    await withStubbedFetch([listResponder], async (calls) => {
+      try {
+        console.log("\nTest: pagination layer (single page, all, maxItems, iterators)")
+        const page = await tools.paragraph_getFeed({ limit: 2 })
+        const holders = await tools.paragraph_listCoinHolders({ coinId: "coin_1", limit: 2, all: true })
+        const capped = await tools.paragraph_listSubscribers({ limit: 2, maxItems: 3 })
+        const cappedLimits = calls.slice(-2).map(c => new URL(c.url).searchParams.get("limit")).join(",")
+        const tagged = []
+        for await (const post of iteratePostsByTag({ tag: "web3", cursor: "4" })) tagged.push(post.id)
+        if (page.success && page.data.items.length === 2 && page.data.nextCursor === "2" && page.data.hasMore === true &&
+            page.data.posts === page.data.items && page.data.pagination.cursor === "2" && page.data.pagination.total === 6 && !("holders" in holders.data) &&
+            holders.data.items.map(h => h.id).join() === "i0,i1,i2,i3,i4,i5" && holders.data.hasMore === false && holders.data.nextCursor === null &&
+            capped.data.items.length === 3 && capped.data.nextCursor === "3" && capped.data.hasMore === true && cappedLimits === "2,1" &&
+            tagged.join() === "i4,i5") {
+          console.log("  ✅ { items, nextCursor, hasMore } everywhere (old keys kept on single pages); cursors followed and maxItems resumes exactly")
+          passed++
+        } else {
+          console.log(`  ❌ Unexpected result: ${JSON.stringify({ page, holders, capped, cappedLimits, tagged })}`)
+          failed++
+        }
+      } catch (error) {
+        console.log(`  ❌ Test error: ${error.message}`)
+        failed++
+      }
+    })
+  }
+
+  // Test 22: Opt-in response cache (TTL, ETag revalidation, invalidation, disk backend, processing posts)
+  let postFetches = 0
+  await withStubbedFetch([(url, init) => {
+    const pathname = new URL(url).pathname
+    if (pathname.endsWith("/v1/posts/p1")) {
+      // Still processing for the first two fetches
+      return jsonResponse(++postFetches > 2 ? { id: "p1", slug: "p-one", url: "https://paragraph.com/@mock/p-one" } : { id: "p1" })
+    }
+    if (pathname.endsWith("/v1/posts/feed")) {
+      if (init.headers["If-None-Match"] === '"feed-v1"') return new Response(null, { status: 304 })
+      return jsonResponse({ items: [{ id: "f1" }], pagination: { hasMore: false } }, 200, { etag: '"feed-v1"' })
+    }
+    if (init.method === "POST") return jsonResponse({ success: true })
+    return jsonResponse({ id: pathname.split("/").pop(), items: [], pagination: { hasMore: false } })
+  }], async (calls) => {
+    const count = (suffix) => calls.filter(c => new URL(c.url).pathname.endsWith(suffix)).length
+    try {
+      console.log("\nTest: response cache hits, ETag revalidation and invalidation")
+      configureCache({ backend: "memory", ttls: { feed: 1 } })
+      const user1 = await tools.paragraph_getUser({ userId: "u1" })
+      const user2 = await tools.paragraph_getUser({ userId: "u1" })
+      await tools.paragraph_getFeed({})
+      await new Promise(r => setTimeout(r, 5))
+      const feed2 = await tools.paragraph_getFeed({})
+      await tools.paragraph_listSubscribers({})
+      const subs2 = await tools.paragraph_listSubscribers({})
+      await tools.paragraph_addSubscriber({ email: "new@example.com" })
+      const subs3 = await tools.paragraph_listSubscribers({})
+      await tools.paragraph_getPost({ postId: "p1" })
+      const processing = await tools.paragraph_getPost({ postId: "p1" })
+      const status = await tools.paragraph_getPostStatus({ postId: "p1" })
+      const ready = await tools.paragraph_getPost({ postId: "p1" })
+      configureCache({ backend: "disk", ttls: {} })
+      await tools.paragraph_getCoin({ coinId: "c1" })
+      const coin2 = await tools.paragraph_getCoin({ coinId: "c1" })
+      const diskFiles = fs.readdirSync(path.join(process.env.PARAGRAPH_STATE_DIR, "cache"))
+      if (user1.fromCache === false && user2.fromCache === true && user2.data.id === "u1" && count("/users/u1") === 1 &&
+          count("/posts/feed") === 2 && feed2.fromCache === true && feed2.data.items[0].id === "f1" &&
+          subs2.fromCache === true && subs3.fromCache === false && count("/v1/subscribers") === 3 &&
+          processing.fromCache === false && !processing.data.slug && status.data?.status === "ready" &&
+          ready.fromCache === true && ready.data.url === "https://paragraph.com/@mock/p-one" && count("/posts/p1") === 3 &&
+          coin2.fromCache === true && count("/coins/c1") === 1 && diskFiles.some(f => f.startsWith("coins-"))) {
+        console.log("  ✅ Served repeats from cache, revalidated with ETag, invalidated after addSubscriber, skipped processing posts, persisted on disk")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ user1, user2, feed2, subs2, subs3, processing, status, ready, coin2, diskFiles, calls: calls.map(c => c.url) })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    } finally {
+      await clearCache()
+      configureCache({ backend: "off" })
+    }
+  })
+
+  // Test 23: Profiles and client factory keep keys, publications and discovery isolated
+  {
+    fs.writeFileSync(path.join(process.env.PARAGRAPH_STATE_DIR, "profiles.json"), JSON.stringify({
+      profiles: {
+        alpha: { description: "Research", env: { PARAGRAPH_API_KEY: "key_alpha", PARAGRAPH_PUBLICATION_SLUG: "alpha" } },
+        beta: { env: { PARAGRAPH_API_KEY: "key_beta", PARAGRAPH_PUBLICATION_ID: "pub_beta" } }
+      }
+    }))
+    await withStubbedFetch([(url) => {
+      const pathname = new URL(url).pathname
+      if (pathname.endsWith("/v1/publications/slug/alpha")) return jsonResponse({ id: "pub_alpha", slug: "alpha" })
+      return jsonResponse({ items: [], pagination: { hasMore: false } })
+    }], async (calls) => {
+      try {
+        console.log("\nTest: profiles and createParagraphClient")
+        const auth = (c) => c.init.headers.Authorization
+        await tools.paragraph_listPosts({ profile: "alpha" })
+        await tools.paragraph_listPosts({ profile: "alpha" })
+        const beta = await loadProfile("beta")
+        await beta.paragraph_listPosts({})
+        const gamma = createParagraphClient({ apiKey: "key_gamma", publicationId: "pub_gamma", apiBaseUrl: "https://mock.example/api" })
+        await gamma.paragraph_listSubscribers({})
+        const unknown = await tools.paragraph_listPosts({ profile: "nope" })
+        const profiles = await tools.paragraph_listProfiles({})
+        const urls = calls.map(c => new URL(c.url).pathname)
+        const alphaLookups = urls.filter(u => u.endsWith("/slug/alpha")).length
+        if (alphaLookups === 1 && urls.filter(u => u.endsWith("/pub_alpha/posts")).length === 2 &&
+            calls.slice(0, 3).every(c => auth(c) === "Bearer key_alpha") &&
+            urls[3].endsWith("/pub_beta/posts") && auth(calls[3]) === "Bearer key_beta" &&
+            calls[4].url.startsWith("https://mock.example/api/v1/subscribers") && auth(calls[4]) === "Bearer key_gamma" &&
+            !unknown.success && unknown.error.includes('Unknown profile "nope"') &&
+            profiles.data.map(p => p.name).join() === "alpha,beta" && !JSON.stringify(profiles.data).includes("key_")) {
+          console.log("  ✅ Each profile/client used its own key, base URL and cached discovery")
+          passed++
+        } else {
+          console.log(`  ❌ Unexpected result: ${JSON.stringify({ urls, auth: calls.map(auth), unknown, profiles })}`)
+          failed++
+        }
+      } catch (error) {
+        console.log(`  ❌ Test error: ${error.message}`)
+        failed++
+      }
+    })
+  }
+
+  // Test 24: Every API-backed tool works end-to-end against the mock server
+  await withMockServer({}, async (mock) => {
+    try {
+      console.log("\nTest: all API tools against the mock Paragraph API")
+      // Fresh client so earlier tests' discovered publication isn't reused; its base URL comes from PARAGRAPH_API_BASE_URL
+      const mockTools = createParagraphClient({ apiKey: "mock_key", name: "mock" })
+      const csvPath = path.join(process.env.PARAGRAPH_STATE_DIR, "mock-subscribers.csv")
+      fs.writeFileSync(csvPath, "email,wallet,tags\nalice@example.com,,\ncarol@example.com,,vip\n")
+      const wallet = "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed"
+      const checks = [
+        ["paragraph_testConnection", {}, d => d.totalSubscribers === 3],
+        ["paragraph_getMyPublication", {}, d => d.id === "pub_mock"],
+        ["paragraph_getPublication", { slug: "mockblog" }, d => d.id === "pub_mock"],
+        ["paragraph_getPublicationByDomain", { domain: "blog.mock.test" }, d => d.slug === "mockblog"],
+        ["paragraph_listPosts", { limit: 2, all: true }, d => d.items.length === 3 && !d.hasMore],
+        ["paragraph_getPost", { postId: "post_1" }, d => d.slug === "hello-paragraph"],
+        ["paragraph_getPostBySlug", { publicationSlug: "@mockblog", postSlug: "onchain-notes" }, d => d.id === "post_2"],
+        ["paragraph_getFeed", { limit: 3 }, d => d.items.length === 3 && d.hasMore],
+        ["paragraph_getPostsByTag", { tag: "web3", all: true }, d => d.items.length === 3],
+        ["paragraph_getSubscriberCount", { publicationId: "pub_mock" }, d => d.count === 3],
+        ["paragraph_listSubscribers", { limit: 2, all: true }, d => d.items.length === 3 && d.total === 3],
+        ["paragraph_addSubscriber", { email: "dave@example.com" }, d => d.success === true],
+        ["paragraph_importSubscribers", { csvPath }, d => d.existing === 1 && d.imported === 1],
+        ["paragraph_getCoin", { coinId: "coin_1" }, d => d.ticker === "HELLO"],
+        ["paragraph_getCoinByContract", { contractAddress: "0x06fc3d5d2369561e28f261148576520f5e49d6ea" }, d => d.id === "coin_1"],
+        ["paragraph_getPopularCoins", {}, d => d.items[0].id === "coin_1"],
+        ["paragraph_listCoinHolders", { coinId: "coin_1", limit: 1, maxItems: 2 }, d => d.items.length === 2 && d.hasMore],
+        ["paragraph_getUser", { userId: "user_1" }, d => d.walletAddress === wallet],
+        ["paragraph_getUserByWallet", { walletAddress: wallet }, d => d.id === "user_1"],
+        ["paragraph_exportPublication", { outputDir: path.join(process.env.PARAGRAPH_STATE_DIR, "mock-export"), downloadImages: false }, d => d.totalPosts === 3],
+        ["paragraph_createPost", { title: "Mock coined post", markdown: "Body", coin: { ticker: "MOCK", name: "Mock" } },
+          d => d.slug === "mock-coined-post" && d.url.endsWith("/@mockblog/mock-coined-post") && /^0x[0-9a-f]{40}$/.test(d.coin.contractAddress)],
+        ["paragraph_createPost", { title: "Mock waited post", markdown: "Body", waitForProcessing: true }, d => d.slug === "mock-waited-post"]
+      ]
+      const failures = []
+      for (const [name, args, check] of checks) {
+        const result = await mockTools[name](args)
+        if (!result.success || !check(result.data)) failures.push({ name, result })
+      }
+      const subscriberCount = mock.state.subscribers.pub_mock.length
+      if (!failures.length && subscriberCount === 5) {
+        console.log(`  ✅ ${checks.length} tool calls (including waitForProcessing polling) behaved as expected`)
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ failures, subscriberCount }).slice(0, 2000)}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 25: Publication discovery: configured id, configured slug, bad slug and no-slug feed fallbacks
+  await withMockServer({}, async (mock) => {
+    try {
+      console.log("\nTest: discoverPublicationId fallbacks against the mock server")
+      const client = (options) => createParagraphClient({ apiKey: "mock_key", apiBaseUrl: mock.baseUrl, ...options })
+      const lookups = () => mock.requests.map(r => r.path)
+      const byId = await client({ publicationId: "pub_second" }).paragraph_listPosts({})
+      const byIdPaths = lookups().join()
+      mock.requests.length = 0
+      const bySlug = client({ publicationSlug: "secondblog" })
+      await bySlug.paragraph_listPosts({})
+      await bySlug.paragraph_listPosts({})
+      const bySlugPaths = lookups().join()
+      mock.requests.length = 0
+      const originalWarn = console.warn
+      console.warn = () => {}
+      const badSlug = await client({ publicationSlug: "missing" }).paragraph_listPosts({}).finally(() => { console.warn = originalWarn })
+      const badSlugPaths = lookups().join()
+      mock.requests.length = 0
+      const fromFeed = await client({}).paragraph_getMyPublication({})
+      const emptyMock = await startMockServer({ fixtures: { ...loadFixtures(), posts: [] } })
+      const none = await createParagraphClient({ apiKey: "mock_key", apiBaseUrl: emptyMock.baseUrl }).paragraph_listPosts({})
+      await emptyMock.close()
+      if (byId.data.items[0].id === "post_4" && byIdPaths === "/v1/publications/pub_second/posts" &&
+          bySlugPaths === "/v1/publications/slug/secondblog,/v1/publications/pub_second/posts,/v1/publications/pub_second/posts" &&
+          badSlug.data.items.length === 3 && badSlugPaths.startsWith("/v1/publications/slug/missing,/v1/posts/feed,/v1/publications/slug/mockblog") &&
+          fromFeed.data.id === "pub_mock" && !none.success && none.error.includes("Could not auto-discover publication ID")) {
+        console.log("  ✅ Configured id skips discovery, slug is looked up once, bad/missing slugs fall back to the feed")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ byId, byIdPaths, bySlugPaths, badSlug, badSlugPaths, fromFeed, none })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 26: Injected 429/5xx faults and delays from the mock server
+  await withMockServer({ rateLimit: { limit: 100, windowMs: 60000 } }, async (mock) => {
+    try {
+      console.log("\nTest: mock fault injection (429, 5xx, delay) and rate-limit headers")
+      mock.inject({ path: "/v1/users/", status: 429, retryAfter: 0 })
+      mock.inject({ path: "/v1/coins/", status: 503, times: 2 })
+      mock.inject({ path: "/v1/posts/feed", delayMs: 50 })
+      mock.inject({ method: "POST", path: "/v1/posts", status: 500 })
+      const user = await tools.paragraph_getUser({ userId: "user_2" })
+      const coin = await tools.paragraph_getCoin({ coinId: "coin_1" })
+      const started = Date.now()
+      const feed = await tools.paragraph_getFeed({ limit: 1 })
+      const feedMs = Date.now() - started
+      const post = await tools.paragraph_createPost({ title: "Mock fault post", markdown: "Body", idempotencyKey: false })
+      const count = (p, method = "GET") => mock.requests.filter(r => r.method === method && r.path.startsWith(p)).length
+      const budget = await tools.paragraph_getRateLimitStatus({})
+      if (user.success && count("/v1/users/") === 2 && coin.success && count("/v1/coins/") === 3 &&
+          feed.success && feedMs >= 50 && !post.success && count("/v1/posts", "POST") === 1 &&
+          budget.data.limit === 100 && budget.data.remaining === 100 - mock.requests.length) {
+        console.log("  ✅ Retried 429/503 GETs, honoured delays, did not retry the failed POST, tracked the budget")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ user, coin, feedMs, post, budget, requests: mock.requests.map(r => r.path) })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 27: paragraph CLI against the mock server
+  await withMockServer({}, async (mock) => {
+    try {
+      console.log("\nTest: paragraph CLI subcommands, output modes and exit codes")
+      const postFile = path.join(process.env.PARAGRAPH_STATE_DIR, "cli-post.md")
+      fs.writeFileSync(postFile, "---\ntitle: From the CLI\ntags: [cli, web3]\n---\nPosted with `paragraph post create`.\n")
+      const help = await runCli(["help"])
+      const holders = await runCli(["coin", "holders", "coin_1", "--all", "--json"])
+      const subscribers = await runCli(["subscribers", "list", "--limit", "2", "--table"])
+      const created = await runCli(["post", "create", "--file", postFile, "--json"])
+      const missingUser = await runCli(["user", "get", "user_missing", "--json"])
+      const missingArg = await runCli(["post", "get"])
+      const unknownOption = await runCli(["coin", "get", "coin_1", "--colour", "red"])
+      const audited = await runCli(["coin", "get", "coin_1", "--json"], { PARAGRAPH_AUDIT: "stdout" })
+      const holdersData = JSON.parse(holders.stdout).data
+      const createdPost = mock.state.posts.find(p => p.title === "From the CLI")
+      if (Object.keys(tools).every(name => help.stdout.includes(name)) &&
+          holders.code === 0 && holdersData.items.length === 3 && !holdersData.hasMore &&
+          subscribers.code === 0 && /^email\s+walletAddress/m.test(subscribers.stdout) && subscribers.stdout.includes("alice@example.com") &&
+          subscribers.stdout.includes("nextCursor:") &&
+          created.code === 0 && JSON.parse(created.stdout).success && createdPost?.categories.join() === "cli,web3" &&
+          missingUser.code === 1 && JSON.parse(missingUser.stdout).success === false &&
+          missingArg.code === 2 && missingArg.stderr.includes("Missing <postId>") &&
+          unknownOption.code === 2 && unknownOption.stderr.includes("--colour") &&
+          audited.code === 0 && JSON.parse(audited.stdout).success && audited.stderr.includes('"tool":"paragraph_getCoin"')) {
+        console.log("  ✅ Every tool has a subcommand; JSON/table output, exit codes 0/1/2 and stdout audit events kept off stdout")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ holders, subscribers, created, missingUser, missingArg, unknownOption, audited })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 28: Tool schemas are checked before any network call and published by describeTools
+  await withStubbedFetch([], async (calls) => {
+    try {
+      console.log("\nTest: JSON Schema argument checks and paragraph_describeTools")
+      const badLimit = await tools.paragraph_listSubscribers({ limit: "10" })
+      const missing = await tools.paragraph_getPost({})
+      const neither = await tools.paragraph_addSubscriber({ sendWelcomeEmail: false })
+      const typo = await tools.paragraph_getCoin({ coinId: "coin_1", coinID: "coin_1" })
+      const all = await tools.paragraph_describeTools({})
+      const one = await tools.paragraph_describeTools({ names: ["paragraph_getPost"] })
+      if (!badLimit.success && badLimit.details?.[0]?.field === "limit" && badLimit.error.includes("limit must be an integer") &&
+          !missing.success && missing.error.includes("postId is required") &&
+          !neither.success && neither.error.includes("At least one of email or wallet is required") &&
+          !typo.success && typo.error.includes("Unknown parameter coinID") && calls.length === 0 &&
+          Object.keys(tools).every(name => tools[name].schema && all.data.some(t => t.name === name)) &&
+          one.data.length === 1 && one.data[0].parameters.required.join() === "postId" && one.data[0].returns.type === "object") {
+        console.log(`  ✅ Rejected bad arguments without a request; described ${all.data.length} tools`)
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ badLimit, missing, neither, typo, one, calls: calls.length })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 29: Failures carry a stable code, HTTP status, retryable/retryAfter and the endpoint (subscriber
+  // uploads included: audited like any request and, as POSTs, not retried)
+  await withMockServer({}, async (mock) => {
+    try {
+      console.log("\nTest: structured error envelopes (codes, status, retryAfter, endpoint)")
+      const csvPath = path.join(process.env.PARAGRAPH_STATE_DIR, "error-subscribers.csv")
+      fs.writeFileSync(csvPath, "email\ndave@example.com\n")
+      const mockTools = createParagraphClient({ apiKey: "mock_key", name: "errors" })
+      const ok = await mockTools.paragraph_getUser({ userId: "user_1" })
+      const notFound = await mockTools.paragraph_getUser({ userId: "user_missing" })
+      const badKey = await createParagraphClient({ apiKey: "wrong_key" }).paragraph_getCoin({ coinId: "coin_1" })
+      const invalid = await mockTools.paragraph_getPost({ postId: 42 })
+      mock.inject({ path: "/v1/coins/", status: 429, retryAfter: 120 })
+      const limited = await mockTools.paragraph_getCoin({ coinId: "coin_1" })
+      mock.inject({ method: "POST", path: "/v1/subscribers/import", status: 502 })
+      const upstream = await mockTools.paragraph_importSubscribers({ csvPath, checkExisting: false, sendWelcomeEmail: false })
+      const offline = await createParagraphClient({ apiKey: "mock_key", apiBaseUrl: "http://127.0.0.1:9/api" })
+        .paragraph_importSubscribers({ csvPath, checkExisting: false })
+      const uploads = mock.requests.filter(r => r.method === "POST" && r.path === "/v1/subscribers/import").length
+      const audited = (await mockTools.paragraph_getAuditLog({ tool: "paragraph_importSubscribers" })).data?.events[0]
+      const fields = (r) => [r.code, r.status, r.retryable, r.retryAfter, r.endpoint].join("|")
+      if (ok.success && !("code" in ok) &&
+          fields(notFound) === "NOT_FOUND|404|false||GET /v1/users/user_missing" && typeof notFound.error === "string" &&
+          fields(badKey) === "AUTH_FAILED|401|false||GET /v1/coins/coin_1" &&
+          fields(invalid) === "VALIDATION_ERROR||false||" && invalid.details[0].field === "postId" &&
+          fields(limited) === "RATE_LIMITED|429|true|120000|GET /v1/coins/coin_1" &&
+          fields(upstream) === "UPSTREAM|502|true||POST /v1/subscribers/import" && uploads === 1 &&
+          audited?.requests.some(r => r.endpoint === "POST /v1/subscribers/import" && r.status === 502) &&
+          fields(offline) === "NETWORK||true||POST /v1/subscribers/import") {
+        console.log("  ✅ NOT_FOUND, AUTH_FAILED, VALIDATION_ERROR, RATE_LIMITED, UPSTREAM and NETWORK reported with context")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ ok, notFound, badKey, invalid, limited, upstream, uploads, audited, offline })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 30: Pending posts are tracked on disk, resumed by a new client, announced once ready and pruned
+  // once stale or over the registry cap
+  await withMockServer({ processingPolls: 3 }, async () => {
+    const hooks = []
+    const webhook = http.createServer((req, res) => {
+      let body = ""
+      req.on("data", chunk => { body += chunk })
+      req.on("end", () => {
+        hooks.push(JSON.parse(body))
+        res.end()
+      })
+    })
+    await new Promise(resolve => webhook.listen(0, "127.0.0.1", resolve))
+    const ready = []
+    setPostReadyHandler((post) => ready.push(post.id))
+    try {
+      console.log("\nTest: post status, waitForPost and the pending-post registry")
+      const options = { apiKey: "mock_key", stateDir: fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "pending-")) }
+      const created = await createParagraphClient(options).paragraph_createPost({ title: "Tracked post", markdown: "Body" })
+
+      // A later session: a fresh client over the same state dir
+      const later = createParagraphClient(options)
+      const pending = await later.paragraph_listPendingPosts({})
+      const status = await later.paragraph_getPostStatus({ postId: created.data.id })
+      const early = await later.paragraph_waitForPost({ postId: created.data.id, deadlineMs: 0 })
+      const waited = await later.paragraph_waitForPost({
+        postId: created.data.id,
+        intervalMs: 10,
+        webhookUrl: `http://127.0.0.1:${webhook.address().port}/hook`
+      })
+      const after = await later.paragraph_listPendingPosts({})
+      const history = await later.paragraph_listPendingPosts({ includeReady: true })
+      const entry = history.data?.items[0]
+      const announced = ready.join()
+
+      // Stale entries (processing for days, tracked over a month ago) are pruned and the registry is capped
+      const crowdedDir = fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "pending-"))
+      const ago = (ms) => new Date(Date.now() - ms).toISOString()
+      const day = 24 * 60 * 60 * 1000
+      const seeded = { stuck: { postId: "stuck", status: "processing", trackedAt: ago(4 * day) }, unnotified: { postId: "unnotified", status: "ready", notifiedAt: null, readyAt: ago(40 * day), trackedAt: ago(40 * day) } }
+      for (let i = 0; i < 1000; i++) seeded[`recent_${i}`] = { postId: `recent_${i}`, status: "processing", trackedAt: ago(day - i * 1000) }
+      fs.writeFileSync(path.join(crowdedDir, "pending-posts.json"), JSON.stringify({ posts: seeded }))
+      await createParagraphClient({ ...options, stateDir: crowdedDir }).paragraph_waitForPost({ postId: created.data.id, deadlineMs: 0 })
+      const crowded = Object.keys(JSON.parse(fs.readFileSync(path.join(crowdedDir, "pending-posts.json"), "utf8")).posts)
+
+      if (pending.data?.total === 1 && pending.data.items[0].postId === created.data.id &&
+          status.data?.status === "processing" && status.data.tracked && status.data.checks === 1 &&
+          early.data?.timedOut === true && early.data.status === "processing" &&
+          waited.data?.status === "ready" && waited.data.url && waited.data.timedOut === false &&
+          hooks.length === 1 && hooks[0].event === "post.ready" && hooks[0].post.url === waited.data.url &&
+          announced === created.data.id &&
+          after.data.total === 0 && entry?.status === "ready" && entry.notifiedAt && !entry.notifyError &&
+          crowded.length === 1000 && crowded.includes(created.data.id) && !crowded.includes("recent_0") && crowded.includes("recent_1") &&
+          !crowded.includes("stuck") && !crowded.includes("unnotified")) {
+        console.log(`  ✅ Processing post resumed from the registry, ready after ${waited.data.attempts} checks, webhook and handler fired once`)
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ pending, status, early, waited, hooks, ready, history, crowded: crowded?.length })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    } finally {
+      setPostReadyHandler(null)
+      webhook.close()
+    }
+  })
+
+  // Test 31: Coin holder reports compute concentration metrics and diff dated snapshots
+  await withMockServer({}, async (mock) => {
+    try {
+      console.log("\nTest: paragraph_coinReport metrics, snapshots and diffs")
+      const client = createParagraphClient({ apiKey: "mock_key", stateDir: fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "coins-")) })
+      const first = await client.paragraph_coinReport({ coinId: "coin_1", topN: 2, compareTo: "latest" })
+
+      const coin = mock.state.coins.find(c => c.id === "coin_1")
+      coin.holders = [
+        { walletAddress: "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed", balance: "600000" },
+        { walletAddress: "0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359", balance: "350000" },
+        { walletAddress: "0x00000000000000000000000000000000000000aa", balance: "50000.5" }
+      ]
+      const second = await client.paragraph_coinReport({ coinId: "coin_1", compareTo: "latest", includeMarkdown: true })
+      const snapshots = await client.paragraph_listCoinSnapshots({ coinId: "coin_1" })
+      const diff = await client.paragraph_diffCoinSnapshots({ coinId: "coin_1", includeMarkdown: true })
+      const missing = await client.paragraph_diffCoinSnapshots({ coinId: "coin_1", from: "2020-01-01" })
+
+      const m = first.data?.metrics
+      const d = second.data?.diff
+      if (m?.holderCount === 3 && m.totalBalance === "1000000" && m.gini === 0.333333 && m.topShare === 0.9 &&
+          m.topHolders.length === 2 && m.topHolders[0].share === 0.6 && !first.data.diff && first.data.snapshotId &&
+          d?.from.id === first.data.snapshotId && d.holderCountChange === 0 && d.totalBalanceChange === "0.5" &&
+          d.newHolders[0]?.balance === "50000.5" && d.exits[0]?.walletAddress === "0xdbf03b407c01e7cd3cbea99509d93f8dddc8c6fb" &&
+          d.changes.length === 1 && d.changes[0].change === "50000" &&
+          second.data.markdown.includes("| Gini coefficient |") && second.data.markdown.includes("Changes since") &&
+          snapshots.data?.total === 2 && snapshots.data.items[1].id === second.data.snapshotId &&
+          JSON.stringify(diff.data.newHolders) === JSON.stringify(d.newHolders) && diff.data.markdown.startsWith("# Changes since") &&
+          missing.code === "NOT_FOUND") {
+        console.log("  ✅ Holder count, top-N share and Gini computed; snapshots saved and diffed (new holder, exit, change)")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ first, second, snapshots, diff, missing })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 32: Coin holders above a minimum balance are added as subscribers once, with a change log
+  await withMockServer({}, async (mock) => {
+    try {
+      console.log("\nTest: paragraph_syncHoldersToSubscribers dry run, sync, dedupe and change log")
+      const client = createParagraphClient({ apiKey: "mock_key", stateDir: fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "sync-")) })
+      const sync = (args) => client.paragraph_syncHoldersToSubscribers({ coinIds: ["coin_1"], ...args })
+      const dry = await sync({ minBalance: "200000", dryRun: true })
+      const subscribedBefore = mock.state.subscribers.pub_mock.length
+      const real = await sync({ minBalance: 200000 })
+      const again = await sync({ requireUser: true })
+      const log = await client.paragraph_getHolderSyncLog({})
+      const empty = await client.paragraph_syncHoldersToSubscribers({ coinIds: [] })
+
+      const action = (run, wallet) => run.data?.changes.find(c => c.walletAddress.startsWith(wallet))?.action
+      const wallets = mock.state.subscribers.pub_mock.map(s => s.walletAddress)
+      if (dry.data?.holders === 2 && dry.data.counts["would-add"] === 1 && dry.data.counts.existing === 1 &&
+          mock.state.subscribers.pub_mock.length === subscribedBefore + 1 &&
+          action(real, "0xfb69") === "added" && real.data.changes.find(c => c.action === "added").userId === "user_2" &&
+          wallets.includes("0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359") &&
+          again.data?.counts.existing === 2 && action(again, "0xdbf0") === "no-user" && again.data.counts.added === 0 &&
+          log.data?.total === 3 && log.data.runs[0].id === again.data.id && log.data.runs[1].changes.length === 1 &&
+          log.data.runs[1].changes[0].action === "added" && log.data.runs[2].dryRun &&
+          empty.code === "VALIDATION_ERROR" && empty.details[0].field === "coinIds") {
+        console.log("  ✅ Dry run reported the missing holder, sync added it once, users without accounts skipped, runs logged")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ dry, real, again, log, empty, wallets })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 33: Publication stats combine posts, subscriber snapshots and coin holders
+  await withMockServer({}, async () => {
+    try {
+      console.log("\nTest: paragraph_publicationStats report and subscriber snapshots")
+      const stateDir = fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "stats-"))
+      const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()
+      fs.writeFileSync(path.join(stateDir, "subscriber-snapshots.json"), JSON.stringify({
+        publications: { pub_mock: [{ date: lastWeek.slice(0, 10), count: 1, takenAt: lastWeek }] }
+      }))
+      const client = createParagraphClient({ apiKey: "mock_key", stateDir })
+      const stats = await client.paragraph_publicationStats({ weeks: 4 })
+      const again = await client.paragraph_publicationStats({ weeks: 4 })
+      const stored = JSON.parse(fs.readFileSync(path.join(stateDir, "subscriber-snapshots.json"), "utf8")).publications.pub_mock
+
+      const r = stats.data
+      if (r?.totalPosts === 3 && r.cadence.weeks.length === 4 && r.cadence.lastPublishedAt === "2026-01-14T12:00:00.000Z" &&
+          r.categories.items[0].category === "web3" && r.categories.items[0].posts === 2 &&
+          r.length.averageWords === 5 && r.length.longest.id === "post_1" &&
+          r.missing.cover.map(p => p.id).sort().join() === "post_2,post_3" && r.missing.preview.length === 2 &&
+          r.subscribers.current === 3 && r.subscribers.changeSincePrevious === 2 && r.subscribers.changeInPeriod === 2 &&
+          r.coins.coinedPosts === 1 && r.coins.totalHolders === 3 && r.coins.posts[0].ticker === "HELLO" &&
+          r.markdown.includes("## Missing cover image (2)") && r.markdown.includes("| web3 | 2 |") &&
+          again.data?.subscribers.snapshots.length === 2 && stored.length === 2) {
+        console.log("  ✅ Cadence, categories, length, content gaps, subscriber trend and coin holders reported (JSON + markdown)")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ stats, again, stored })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 34: Local BM25 search index with filters and incremental refresh
+  await withMockServer({ processingPolls: 0 }, async () => {
+    try {
+      console.log("\nTest: paragraph_searchPosts index, filters and incremental refresh")
+      const client = createParagraphClient({ apiKey: "mock_key", stateDir: fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "search-")) })
+      const first = await client.paragraph_searchPosts({ query: "onchain" })
+      const followed = await client.paragraph_refreshSearchIndex({ tags: ["web3"] })
+      const other = await client.paragraph_searchPosts({ query: "live", publication: "secondblog" })
+      const ranged = await client.paragraph_searchPosts({ query: "", tag: "web3", from: "2026-01-11", to: "2026-01-12" })
+      await client.paragraph_createPost({ title: "Onchain governance", markdown: "Voting onchain.", categories: ["web3"], waitForProcessing: true })
+      const refreshed = await client.paragraph_searchPosts({ query: "governance onchain", refresh: true })
+      const odd = await client.paragraph_searchPosts({ query: "constructor" })
+      const bad = await client.paragraph_searchPosts({ query: "onchain", from: "yesterday" })
+
+      const ids = (r) => r.data?.results.map(p => p.id).join()
+      if (first.data?.refreshed?.added === 3 && first.data.results[0].id === "post_2" && first.data.results[0].matched.join() === "onchain" &&
+          followed.data?.added === 1 && followed.data.total === 4 && followed.data.sources[0].fetched === 3 &&
+          ids(other) === "post_4" &&
+          ranged.data?.total === 2 && ids(ranged) === "post_2,post_4" &&
+          refreshed.data?.refreshed.added === 1 && refreshed.data.refreshed.sources.every(source => source.fetched === 1) &&
+          refreshed.data.results[0].title === "Onchain governance" && refreshed.data.indexed === 5 &&
+          odd.success && odd.data.total === 0 &&
+          bad.code === "VALIDATION_ERROR" && bad.details[0].field === "from") {
+        console.log("  ✅ Index built on first search, tag source followed, filters applied, refresh added only the new post")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ first, followed, other, ranged, refreshed, odd, bad })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 35: Series published in order with navigation, an index post (at a slug checked to be free) and appended parts
+  await withMockServer({ processingPolls: 0 }, async (mock) => {
+    try {
+      console.log("\nTest: paragraph_publishSeries headers, links, index and append")
+      const client = createParagraphClient({ apiKey: "mock_key", stateDir: fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "series-")) })
+      const part = (n) => ({ title: `Onchain basics ${n}`, markdown: `Body of part ${n}.` })
+      const series = await client.paragraph_publishSeries({ title: "Onchain basics", description: "A short course.", posts: [part(1), part(2)] })
+      const appended = await client.paragraph_publishSeries({ seriesId: series.data?.seriesId, posts: [part(3)] })
+      mock.inject({ method: "POST", path: "/v1/posts", status: 400 })
+      const stopped = await client.paragraph_publishSeries({ title: "Second series", posts: [part(4)] })
+      const resumed = await client.paragraph_publishSeries({ seriesId: stopped.data?.seriesId, posts: [part(4)] })
+      const posted = mock.requests.filter(r => r.method === "POST" && r.path === "/v1/posts").length
+      const invalid = await client.paragraph_publishSeries({ title: "Invalid", posts: [part(5), { ...part(6), slug: "Not A Slug" }] })
+      const taken = await client.paragraph_publishSeries({ title: "Taken", indexSlug: "onchain-basics-1", posts: [part(7)] })
+      const rejectedPosts = mock.requests.filter(r => r.method === "POST" && r.path === "/v1/posts").length
+      const sameTitle = await client.paragraph_publishSeries({ title: "Onchain basics", posts: [part(8)] })
+      const list = await client.paragraph_listSeries({})
+
+      const body = (title) => mock.state.posts.find(p => p.title === title)?.markdown || ""
+      const indexUrl = `https://paragraph.com/@mockblog/onchain-basics-${series.data?.seriesId.replace("series_", "")}-index`
+      const urls = appended.data?.parts.map(p => p.url) || []
+      if (series.data?.status === "complete" && series.data.index.url === indexUrl && series.data.index.parts === 2 && !series.data._warning &&
+          body("Onchain basics 1").startsWith(`**Part 1 of 2** · [Onchain basics](${indexUrl})`) && !body("Onchain basics 1").includes("Previous") &&
+          body("Onchain basics 2").includes(`← Previous: [Part 1: Onchain basics 1](${urls[0]})`) &&
+          body("Onchain basics").includes(`1. [Onchain basics 1](${urls[0]})`) && body("Onchain basics").includes(`2. [Onchain basics 2](${urls[1]})`) &&
+          appended.data?.parts.length === 3 && body("Onchain basics 3").startsWith("**Part 3 of 3**") &&
+          body("Onchain basics 3").includes(`2. [Onchain basics 2](${urls[1]})`) && appended.data._warning.includes("lists parts 1-2") &&
+          stopped.data?.status === "incomplete" && stopped.data.error.startsWith("Part 1 failed") && stopped.data.parts.length === 0 &&
+          resumed.data?.status === "complete" && resumed.data.parts[0].title === "Onchain basics 4" && resumed.data.index.url.endsWith(`/second-series-${stopped.data.seriesId.replace("series_", "")}-index`) &&
+          invalid.code === "VALIDATION_ERROR" && invalid.details[0].field === "posts[1].slug" &&
+          taken.code === "CONFLICT" && taken.details[0].field === "indexSlug" && rejectedPosts === posted &&
+          sameTitle.data?.status === "complete" && sameTitle.data.index.url !== indexUrl &&
+          list.data?.total === 3 && list.data.items.every(item => item.status === "complete")) {
+        console.log("  ✅ Parts linked only to earlier URLs and the planned index, index listed the parts, appends and resumes kept the manifest")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ series, appended, stopped, resumed, invalid, taken, sameTitle, list })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    }
+  })
+
+  // Test 36: Newsletter sends need a single-use confirm token and respect the daily limit and blackout hours
+  await withMockServer({ processingPolls: 0 }, async (mock) => {
+    try {
+      console.log("\nTest: newsletter policy (confirm token, daily limit, blackout hours) and audit log")
+      const client = createParagraphClient({ apiKey: "mock_key", stateDir: fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "newsletter-")) })
+      const letter = (n) => ({ title: `Weekly letter ${n}`, markdown: `News number ${n}.`, sendNewsletter: true })
+      // Each blocked call must fail without any request reaching the API
+      const offline = async (params, tool = client.paragraph_createPost) => {
+        const before = mock.requests.length
+        const result = await tool(params)
+        return { ...result, requests: mock.requests.length - before }
+      }
+
+      configureNewsletterPolicy({ maxPerDay: 1 })
+      const unconfirmed = await offline(letter(1))
+      const preview = await client.paragraph_previewNewsletter(letter(1))
+      const mismatched = await offline({ ...letter(1), markdown: "Edited after the preview.", confirmToken: preview.data?.confirmToken })
+      const sent = await client.paragraph_createPost({ ...letter(1), confirmToken: preview.data?.confirmToken })
+      const reused = await offline({ ...letter(1), confirmToken: preview.data?.confirmToken, idempotencyKey: false })
+      // Series parts and front-matter sends can never match a preview, so they fail before anything is published
+      const series = await offline({ title: "Letters", posts: [{ title: "Part one", markdown: "First." }, letter(4)] }, client.paragraph_publishSeries)
+      const letterFile = path.join(fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "letters-")), "letter.md")
+      fs.writeFileSync(letterFile, "---\ntitle: Weekly letter 5\nsendNewsletter: true\n---\nNews number 5.\n")
+      const fromFile = await offline({ filePath: letterFile }, client.paragraph_publishFromFile)
+      const second = await client.paragraph_previewNewsletter(letter(2))
+      const overLimit = await offline({ ...letter(2), confirmToken: second.data?.confirmToken })
+
+      const hour = new Date().getUTCHours()
+      configureNewsletterPolicy({ maxPerDay: null, blackoutHours: { start: hour, end: (hour + 1) % 24 } })
+      const blackout = await client.paragraph_previewNewsletter(letter(2))
+      const inBlackout = await offline({ ...letter(2), confirmToken: blackout.data?.confirmToken })
+      const log = await client.paragraph_getNewsletterLog({})
+      configureNewsletterPolicy({ timeZone: "Mars/Olympus_Mons" })
+      const badConfig = await offline({ ...letter(3) })
+      configureNewsletterPolicy(null)
+
+      const rules = (result) => result.details?.map(d => d.rule).join()
+      if (unconfirmed.code === "POLICY_VIOLATION" && rules(unconfirmed) === "confirmation" && unconfirmed.requests === 0 &&
+          preview.data?.subscriberCount === 3 && preview.data.allowedNow && preview.data.remainingToday === 1 &&
+          mismatched.code === "POLICY_VIOLATION" && mismatched.error.includes("different title or markdown") && mismatched.requests === 0 &&
+          sent.success && mock.state.posts.find(p => p.id === sent.data.id)?.sendNewsletter === true &&
+          reused.code === "POLICY_VIOLATION" && reused.error.includes("already been used") && reused.requests === 0 &&
+          series.code === "POLICY_VIOLATION" && series.details?.[0].field === "posts[1].sendNewsletter" && series.requests === 0 &&
+          fromFile.code === "POLICY_VIOLATION" && fromFile.requests === 0 && !fs.readFileSync(letterFile, "utf8").includes("paragraphId") &&
+          second.data?.allowedNow === false && second.data.blockedBy[0].rule === "maxPerDay" &&
+          overLimit.code === "POLICY_VIOLATION" && rules(overLimit) === "maxPerDay" && overLimit.requests === 0 &&
+          blackout.data?.blackoutActive && inBlackout.code === "POLICY_VIOLATION" && rules(inBlackout) === "blackoutHours" && inBlackout.requests === 0 &&
+          log.data?.total === 6 && log.data.sendsToday === 1 &&
+          log.data.entries.map(e => e.status).join() === "blocked,blocked,blocked,sent,blocked,blocked" &&
+          log.data.entries[3].postId === sent.data.id && log.data.entries[3].subscriberCount === 3 && log.data.entries[3].confirmed &&
+          badConfig.code === "CONFIG_ERROR" && badConfig.requests === 0) {
+        console.log("  ✅ Sends blocked offline without a matching token, over the daily limit and in blackout hours; every attempt logged")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ unconfirmed, preview, mismatched, sent, reused, series, fromFile, second, overLimit, blackout, inBlackout, log, badConfig })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    } finally {
+      configureNewsletterPolicy(null)
+    }
+  })
+
+  // Test 37: Audit events for tool calls (redacted args, requests, retries, result ids) and log lines
+  await withMockServer({ processingPolls: 0 }, async (mock) => {
+    try {
+      console.log("\nTest: audit events, sinks, redaction and paragraph_getAuditLog")
+      const client = createParagraphClient({ apiKey: "mock_key", stateDir: fs.mkdtempSync(path.join(process.env.PARAGRAPH_STATE_DIR, "audit-")) })
+      const received = []
+      configureAudit({ sinks: ["jsonl", event => received.push(event)], level: "debug" })
+      mock.inject({ method: "GET", path: "/v1/publications/pub_mock/posts", status: 503 })
+      const list = await client.paragraph_listPosts({})
+      await client.paragraph_addSubscriber({ email: "reader@example.com", sendWelcomeEmail: false })
+      const post = await client.paragraph_createPost({ title: "Audited", markdown: "word ".repeat(100), confirmToken: "nl_not_for_the_log" })
+      await client.paragraph_getPost({ postId: "post_missing" })
+      const listCalls = await client.paragraph_getAuditLog({ tool: "paragraph_listPosts" })
+      const failures = await client.paragraph_getAuditLog({ success: false, type: "tool" })
+      const all = await client.paragraph_getAuditLog({ limit: 2 })
+      configureAudit(null)
+
+      const call = listCalls.data?.events.find(e => e.type === "tool")
+      const debug = listCalls.data?.events.find(e => e.type === "log")
+      const created = received.find(e => e.tool === "paragraph_createPost")
+      const subscribed = received.find(e => e.tool === "paragraph_addSubscriber")
+      if (list.success && call?.success && call.retries === 1 && call.resultIds.includes("post_1") &&
+          call.requests.some(r => r.endpoint === "GET /v1/publications/pub_mock/posts" && r.status === 200 && r.retries === 1) &&
+          debug?.level === "debug" && debug.callId === call.callId && debug.data.publicationId === "pub_mock" &&
+          subscribed?.args.email === "r***@example.com" &&
+          created?.args.confirmToken === "[redacted]" && created.args.markdown.includes("(+300 chars)") &&
+          created.resultIds[0] === post.data?.id && created.requests.some(r => r.endpoint === "POST /v1/posts" && r.status === 200) &&
+          failures.data?.total === 1 && failures.data.events[0].code === "NOT_FOUND" && failures.data.events[0].status === 404 &&
+          all.data?.events.length === 2 && all.data.total === received.length && all.data.recording &&
+          !received.some(e => e.tool === "paragraph_getAuditLog")) {
+        console.log("  ✅ Calls recorded with redacted args, endpoints, retries and result ids; debug log linked by callId; failures queryable")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ list, listCalls, failures, all, received })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    } finally {
+      configureAudit(null)
+    }
+  })
+
+  // Test 38: configureRetries overrides the env retry count until reset
+  await withStubbedFetch([
+    () => jsonResponse({ msg: "Server error" }, 503)
+  ], async (calls) => {
+    try {
+      console.log("\nTest: configureRetries sets the retry count in-process")
+      configureRetries({ retries: 1 })
+      const limited = await tools.paragraph_getPost({ postId: "post_1" })
+      const limitedCalls = calls.length
+      configureRetries({ retries: 0 })
+      await tools.paragraph_getPost({ postId: "post_1" })
+      const disabledCalls = calls.length - limitedCalls
+      if (!limited.success && limited.code === "UPSTREAM" && limitedCalls === 2 && disabledCalls === 1) {
+        console.log("  ✅ One retry, then none, as configured")
+        passed++
+      } else {
+        console.log(`  ❌ Unexpected result: ${JSON.stringify({ limited, limitedCalls, disabledCalls })}`)
+        failed++
+      }
+    } catch (error) {
+      console.log(`  ❌ Test error: ${error.message}`)
+      failed++
+    } finally {
+      configureRetries(null)
+    }
+  })
+
+  // Test 39: Connection test with API key (only if set)
   if (process.env.PARAGRAPH_API_KEY) {
     try {
       console.log("\nTest: paragraph_testConnection with API key")
@@ -101,6 +1466,8 @@ async function runTests() {
     console.log("\n⚠️  Skipping live connection test (PARAGRAPH_API_KEY not set)")
   }
 
+  fs.rmSync(process.env.PARAGRAPH_STATE_DIR, { recursive: true, force: true })
+
   console.log(`\n📊 Results: ${passed} passed, ${failed} failed`)
   process.exit(failed > 0 ? 1 : 0)
 }